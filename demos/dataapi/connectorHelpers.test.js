@@ -0,0 +1,124 @@
+/**
+ * Offline checks of the Data API connector's helper functions. The connector is an Apps Script
+ * file, so it is evaluated in a sandbox with a minimal Logger; no cluster is needed.
+ *
+ * Run with: node demos/dataapi/connectorHelpers.test.js
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const CONNECTOR_PATH = path.resolve(__dirname, '../../src/dataapi/connector.gs');
+
+/**
+ * Evaluates the connector source and returns its global scope.
+ */
+function loadConnector() {
+  const sandbox = { Logger: { log() {} } };
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(CONNECTOR_PATH, 'utf8'), sandbox, { filename: CONNECTOR_PATH });
+  return sandbox;
+}
+
+const connector = loadConnector();
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`❌ ${name}: ${error.message}`);
+  }
+}
+
+// --- Custom query parameters (_parseQueryParameterValue, _buildQueryParameters) ---
+
+check('parameter values are strings by default', () => {
+  assert.strictEqual(connector._parseQueryParameterValue('zip', '00501'), '00501');
+  assert.strictEqual(connector._parseQueryParameterValue('id', '12345'), '12345');
+  assert.strictEqual(connector._parseQueryParameterValue('flag', 'true', 'string'), 'true');
+  assert.strictEqual(connector._parseQueryParameterValue('country', '  France '), 'France');
+});
+
+check('number parameters are parsed as numbers', () => {
+  assert.strictEqual(connector._parseQueryParameterValue('limit', '42', 'number'), 42);
+  assert.strictEqual(connector._parseQueryParameterValue('ratio', '-1.5', 'number'), -1.5);
+  assert.strictEqual(connector._parseQueryParameterValue('small', '0.25', 'number'), 0.25);
+  assert.throws(() => connector._parseQueryParameterValue('zip', '00501', 'number'), /leading zeros/);
+  assert.throws(() => connector._parseQueryParameterValue('limit', '12abc', 'number'), /must be a number/);
+  assert.throws(() => connector._parseQueryParameterValue('limit', '0x10', 'number'), /must be a number/);
+});
+
+check('boolean and JSON parameters are parsed', () => {
+  assert.strictEqual(connector._parseQueryParameterValue('active', 'false', 'boolean'), false);
+  assert.throws(() => connector._parseQueryParameterValue('active', 'yes', 'boolean'), /must be true or false/);
+  assert.strictEqual(JSON.stringify(connector._parseQueryParameterValue('countries', '["FR", "DE"]', 'json')), '["FR","DE"]');
+  assert.throws(() => connector._parseQueryParameterValue('countries', '[FR]', 'json'), /must be valid JSON/);
+});
+
+check('query parameters take their configured types', () => {
+  const namedParams = connector._buildQueryParameters('SELECT * FROM c WHERE zip = $zip AND stops <= $stops', {
+    param_zip: '00501',
+    param_stops: '2',
+    paramType_stops: 'number'
+  });
+  assert.strictEqual(JSON.stringify(namedParams), '{"zip":"00501","stops":2}');
+  assert.throws(() => connector._buildQueryParameters('SELECT $missing', {}), /A value is required/);
+});
+
+// --- Keyspace paths (_parseKeyspacePath, _formatKeyspacePath, _buildQueryContext) ---
+
+check('keyspace paths split on dots outside backticks', () => {
+  assert.strictEqual(JSON.stringify(connector._parseKeyspacePath('travel-sample.inventory')), '["travel-sample","inventory"]');
+  assert.strictEqual(JSON.stringify(connector._parseKeyspacePath('`my.bucket`.inventory')), '["my.bucket","inventory"]');
+  assert.strictEqual(JSON.stringify(connector._parseKeyspacePath('`a``b`.c')), '["a`b","c"]');
+  ['', 'bucket.', '.scope', 'a..b', '`my.bucket.scope', '`a`b.c'].forEach(path => {
+    assert.strictEqual(connector._parseKeyspacePath(path), null, path);
+  });
+});
+
+check('formatted keyspace paths parse back to their components', () => {
+  assert.strictEqual(connector._formatKeyspacePath(['travel-sample', 'inventory']), 'travel-sample.inventory');
+  assert.strictEqual(connector._formatKeyspacePath(['my.bucket', 'inventory']), '`my.bucket`.inventory');
+  assert.strictEqual(JSON.stringify(connector._parseKeyspacePath(connector._formatKeyspacePath(['a.b`c', 'd']))), '["a.b`c","d"]');
+});
+
+check('query contexts quote the bucket and scope', () => {
+  assert.strictEqual(connector._buildQueryContext('travel-sample.inventory'), 'default:`travel-sample`.`inventory`');
+  assert.strictEqual(connector._buildQueryContext('`my.bucket`.inventory'), 'default:`my.bucket`.`inventory`');
+});
+
+// --- Numeric field semantics (_applyNumericSemantics) ---
+
+function numericSemantics(name, samples, docCount) {
+  const field = connector._applyNumericSemantics({ name: name, dataType: 'NUMBER' }, samples, docCount);
+  return { conceptType: field.semantics.conceptType, aggregation: field.defaultAggregationType };
+}
+
+check('identifiers and date parts holding integers are dimensions', () => {
+  ['airline_id', 'zip', 'order_year', 'birthMonth', 'schedule.day', 'flight_number', 'api_version'].forEach(name => {
+    assert.strictEqual(numericSemantics(name, [1, 2, 3]).conceptType, 'DIMENSION', name);
+  });
+});
+
+check('date parts and numbers of a quantity are metrics', () => {
+  assert.deepStrictEqual(numericSemantics('duration_hour', [1, 2, 3]), { conceptType: 'METRIC', aggregation: undefined });
+  assert.deepStrictEqual(numericSemantics('num_day', [1, 2, 3]), { conceptType: 'METRIC', aggregation: 'SUM' });
+  assert.deepStrictEqual(numericSemantics('total_number', [1, 2, 3]), { conceptType: 'METRIC', aggregation: 'SUM' });
+  assert.deepStrictEqual(numericSemantics('count_per_hour', [1, 2, 3]), { conceptType: 'METRIC', aggregation: 'SUM' });
+});
+
+check('low-cardinality integers are categories and other numbers metrics', () => {
+  assert.strictEqual(numericSemantics('stars', [1, 2, 3, 4, 5], 100).conceptType, 'DIMENSION');
+  assert.strictEqual(numericSemantics('stars', [1, 2, 3, 4, 5], 20).conceptType, 'METRIC');
+  assert.deepStrictEqual(numericSemantics('unit_price', [9.99]), { conceptType: 'METRIC', aggregation: 'AVG' });
+});
+
+if (failures > 0) {
+  console.error(`\n${failures} check(s) failed.`);
+  process.exit(1);
+}
+console.log('\nAll checks passed.');
@@ -3,6 +3,77 @@
  * This connector allows users to connect to a Couchbase database and run N1QL queries.
  */
 
+// Result cache settings (see getResultCacheKey).
+const DEFAULT_RESULT_CACHE_SECONDS = 300; // Five minutes.
+const MAX_CACHE_SECONDS = 21600; // CacheService's maximum expiration (6 hours).
+const CACHE_CHUNK_SIZE = 50000; // Characters per cache entry; CacheService values are limited to 100KB.
+const MAX_CACHE_CHUNKS = 100; // Larger results are not cached.
+
+// Analytics service consistency levels offered in the advanced options.
+const SCAN_CONSISTENCY_LEVELS = ['not_bounded', 'request_plus'];
+
+// Retry policy for transient Couchbase HTTP failures (see fetchWithRetry).
+const MAX_FETCH_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 500; // Doubled after every failed attempt.
+const RETRYABLE_STATUS_CODES = [408, 429, 502, 503, 504];
+const RETRYABLE_QUERY_ERROR_CODES = [21002, 23000, 23003, 23007]; // Request timeout, temporarily unavailable, operation limit, job queue full.
+const EXECUTION_START_TIME = Date.now(); // Apps Script evaluates the global scope at the start of every execution.
+const EXECUTION_TIME_LIMIT_MS = 330000; // Leaves 30 seconds of Apps Script's 6-minute limit for building the response.
+
+// Geographic fields recognised by name (see applyGeoSemantics and addLatLonFields).
+const GEO_FIELD_PATTERNS = [
+  { semanticType: 'COUNTRY', pattern: /^country(_?name)?$/i },
+  { semanticType: 'CITY', pattern: /^city(_?name)?$/i },
+  { semanticType: 'REGION', pattern: /^(region|state|province)(_?name)?$/i },
+  { semanticType: 'POSTAL_CODE', pattern: /^(postal_?code|post_?code|zip(_?code)?)$/i }
+];
+const LATITUDE_FIELD_PATTERN = /^lat(itude)?$/i;
+const LONGITUDE_FIELD_PATTERN = /^(lon|lng|long|longitude)$/i;
+const LAT_LON_FIELD_NAME = 'lat_lon'; // Synthetic field combining a latitude/longitude pair, e.g., geo.lat_lon.
+
+// NUMBER fields recognised by name (see applyNumericSemantics): words are matched against the last word
+// of the field name (e.g., "unit_price", "unitPrice"), prefixes against the first (e.g., "num_stops").
+const NUMERIC_FIELD_PATTERNS = [
+  { conceptType: 'DIMENSION', words: ['id', 'key', 'code', 'sku', 'zip', 'phone'] },
+  // Date parts, numbers and versions, unless another word of the name is a quantity (e.g., "duration_hour", "total_number").
+  { conceptType: 'DIMENSION', unlessQuantity: true, words: ['number', 'year', 'quarter', 'month', 'week', 'day', 'hour', 'version'] },
+  { aggregation: 'AVG', semanticType: 'PERCENT', words: ['pct', 'percent', 'percentage', 'ratio', 'rate'], prefixes: ['pct'] },
+  { aggregation: 'AVG', words: ['rating', 'score', 'avg', 'average', 'mean'], prefixes: ['avg', 'average', 'mean'] },
+  { aggregation: 'AVG', semanticType: 'CURRENCY_USD', words: ['price'] },
+  { aggregation: 'SUM', semanticType: 'CURRENCY_USD', words: ['amount', 'cost', 'revenue', 'fee', 'salary', 'balance', 'spend', 'sales', 'income', 'tax'] },
+  { aggregation: 'SUM', semanticType: 'DURATION', words: ['duration', 'elapsed', 'seconds', 'secs'] },
+  { aggregation: 'SUM', words: ['count', 'qty', 'quantity', 'total'], prefixes: ['num', 'total', 'count'] }
+];
+
+// Other integer fields with few distinct values across many sampled documents are categories, e.g., a
+// status code or a number of stars (see applyNumericSemantics).
+const LOW_CARDINALITY_MAX_VALUES = 5;
+const LOW_CARDINALITY_DOCS_PER_VALUE = 10;
+
+// Dimension added in multi-collection mode, holding the bucket.scope.collection each row came from (see buildUnionQuery).
+const SOURCE_COLLECTION_FIELD = '_source_collection';
+
+// Document metadata added to each row when "Include Document Metadata" is checked (see buildMetadataQuery).
+// Timestamps are epoch milliseconds; documents without an expiry get a null _meta_expiration.
+// _meta_last_modified assumes the CAS is a hybrid logical clock value in nanoseconds (Couchbase Server 4.6+).
+const METADATA_FIELDS = [
+  { name: '_meta_id', label: 'Document Key', dataType: 'STRING', expression: alias => 'META(' + alias + ').id' },
+  { name: '_meta_cas', label: 'Document CAS', dataType: 'STRING', expression: alias => 'TO_STRING(META(' + alias + ').cas)',
+    description: 'The CAS value of the last mutation, for change detection. The document revision sequence number is not available: Analytics does not ingest it.' },
+  { name: '_meta_expiration', label: 'Document Expiration', dataType: 'YEAR_MONTH_DAY_SECOND', expression: alias => 'CASE WHEN META(' + alias + ').expiration > 0 THEN META(' + alias + ').expiration * 1000 END' },
+  { name: '_meta_last_modified', label: 'Last Modified', dataType: 'YEAR_MONTH_DAY_SECOND', expression: alias => 'ROUND(META(' + alias + ').cas / 1000000)',
+    description: 'Approximate time of the last mutation, derived from the CAS on the assumption that it is a hybrid logical clock timestamp (Couchbase Server 4.6 and later). Documents replicated by XDCR or restored from a backup keep their source CAS, so this is their last write on the source cluster.' }
+];
+
+// Storage formats of the "Date Range Field" filtered by the report's date range (see buildDateRangeCondition).
+const DATE_RANGE_FORMATS = ['iso8601', 'epochMillis', 'epochSeconds'];
+
+// Field overrides merged onto the built schema (see parseFieldOverrides and applyFieldOverrides).
+const FIELD_OVERRIDE_PROPERTIES = ['label', 'dataType', 'conceptType', 'aggregation', 'hidden'];
+const FIELD_OVERRIDES_EXAMPLE = '{"zip": {"dataType": "STRING"}, "internal_id": {"hidden": true}}';
+const FIELD_OVERRIDE_DATA_TYPES = ['STRING', 'NUMBER', 'BOOLEAN', 'URL'];
+const FIELD_OVERRIDE_AGGREGATIONS = ['AUTO', 'SUM', 'AVG', 'MIN', 'MAX', 'COUNT', 'COUNT_DISTINCT', 'NONE'];
+
 // ==========================================================================
 // ===                       AUTHENTICATION FLOW                          ===
 // ==========================================================================
@@ -59,7 +130,7 @@ function validateCredentials(path, username, password) {
 
   try {
     Logger.log('Sending validation request...');
-    const response = UrlFetchApp.fetch(queryUrl, options);
+    const response = fetchWithRetry(queryUrl, options);
     const responseCode = response.getResponseCode();
     const responseText = response.getContentText(); 
     Logger.log('Validation response code: %s', responseCode);
@@ -194,7 +265,7 @@ function fetchCouchbaseMetadata() {
   try {
     // Fetch buckets
     Logger.log('fetchCouchbaseMetadata: Fetching buckets from %s', bucketUrl);
-    const response = UrlFetchApp.fetch(bucketUrl, options);
+    const response = fetchWithRetry(bucketUrl, options);
     
     if (response.getResponseCode() !== 200) {
       Logger.log('Error fetching buckets. Code: %s, Response: %s', 
@@ -251,7 +322,7 @@ function fetchCouchbaseMetadata() {
     };
     
     try {
-      const keyspaceResponse = UrlFetchApp.fetch(queryUrl, queryOptions);
+      const keyspaceResponse = fetchWithRetry(queryUrl, queryOptions);
       
       if (keyspaceResponse.getResponseCode() === 200) {
         const keyspaceData = JSON.parse(keyspaceResponse.getContentText());
@@ -323,7 +394,7 @@ function getConfig(request) {
   config
     .newInfo()
     .setId('instructions')
-    .setText('Select one or more collections OR enter a custom N1QL query below. If a custom query is entered, the collection selection will be ignored.');
+    .setText('Select a collection, select several identically-shaped collections to combine, OR enter a custom N1QL query below. If a custom query is entered, the collection selection will be ignored.');
 
   // Fetch buckets, scopes, and collections
   const metadata = fetchCouchbaseMetadata();
@@ -356,11 +427,21 @@ function getConfig(request) {
   // Sort collection paths alphabetically
   collectionPaths.sort((a, b) => a.label.localeCompare(b.label));
   
+  // Multi-collection mode combines the selected collections with UNION ALL
+  const collectionMultiSelect = config.newSelectMultiple()
+    .setId('collections')
+    .setName('Combine Collections (Optional)')
+    .setHelpText(`Select several collections with the same document structure (e.g., one per region) to chart them together. Overrides the single collection above; each row gets a ${SOURCE_COLLECTION_FIELD} dimension naming its collection.`)
+    .setAllowOverride(true);
+
   // Add options for each collection path
   collectionPaths.forEach(item => {
     collectionSingleSelect.addOption(
       config.newOptionBuilder().setLabel(item.label).setValue(item.path)
     );
+    collectionMultiSelect.addOption(
+      config.newOptionBuilder().setLabel(item.label).setValue(item.path)
+    );
   });
 
   // Always show query textarea
@@ -372,6 +453,76 @@ function getConfig(request) {
     .setPlaceholder('SELECT airline.name, airline.iata, airline.country FROM `travel-sample`.`inventory`.`airline` AS airline WHERE airline.country = "France" AND airline.name LIKE "A%" LIMIT 10 OFFSET 20')
     .setAllowOverride(true);
 
+  config
+    .newInfo()
+    .setId('date_range_info')
+    .setText('To filter by the report date range, use @DS_START_DATE and @DS_END_DATE in your query. They are replaced by the first and last day of the range as "YYYY-MM-DD" strings, e.g., WHERE SUBSTR(created_at, 0, 10) BETWEEN @DS_START_DATE AND @DS_END_DATE.');
+
+  config
+    .newCheckbox()
+    .setId('includeMetadata')
+    .setName('Include Document Metadata')
+    .setHelpText(`Single collection only. Adds ${METADATA_FIELDS.map(field => field.name).join(', ')} fields with each document's key, CAS, expiry and last modification time. The key can be used to blend with other data sources.`)
+    .setAllowOverride(true);
+
+  config
+    .newTextInput()
+    .setId('dateRangeField')
+    .setName('Date Range Field (Optional)')
+    .setHelpText('Timestamp field filtered by the report date range control, e.g., created_at or order.date. Ignored for custom queries. Leave empty to ignore the date range.')
+    .setAllowOverride(true);
+
+  config
+    .newSelectSingle()
+    .setId('dateRangeFormat')
+    .setName('Date Range Field Format')
+    .setHelpText('How the date range field is stored in your documents (default: ISO-8601 string).')
+    .setAllowOverride(true)
+    .addOption(config.newOptionBuilder().setLabel('ISO-8601 string').setValue('iso8601'))
+    .addOption(config.newOptionBuilder().setLabel('Epoch milliseconds').setValue('epochMillis'))
+    .addOption(config.newOptionBuilder().setLabel('Epoch seconds').setValue('epochSeconds'));
+
+  // Always request a date range; it is ignored unless a date range field or placeholder is used
+  config.setDateRangeRequired(true);
+
+  config
+    .newTextInput()
+    .setId('cacheSeconds')
+    .setName('Result Cache Duration (seconds)')
+    .setHelpText(`How long query results are reused by charts requesting the same data (default: ${DEFAULT_RESULT_CACHE_SECONDS}, maximum: ${MAX_CACHE_SECONDS}). Refreshing the report always fetches fresh data. Enter 0 to disable.`)
+    .setPlaceholder(String(DEFAULT_RESULT_CACHE_SECONDS))
+    .setAllowOverride(true);
+
+  config
+    .newTextArea()
+    .setId('fieldOverrides')
+    .setName('Field Overrides (Optional)')
+    .setHelpText(`JSON object keyed by field name; each entry may set ${FIELD_OVERRIDE_PROPERTIES.join(', ')}.`)
+    .setPlaceholder(FIELD_OVERRIDES_EXAMPLE)
+    .setAllowOverride(true);
+
+  config
+    .newInfo()
+    .setId('advanced_options_info')
+    .setText('Advanced options: leave these empty to use the Analytics service defaults.');
+
+  config
+    .newSelectSingle()
+    .setId('scanConsistency')
+    .setName('Scan Consistency')
+    .setHelpText('"Request plus" waits for the Analytics collections to include every mutation made before the query, so recently ingested documents are returned; "Not bounded" (the default) is faster but may miss them.')
+    .setAllowOverride(true)
+    .addOption(config.newOptionBuilder().setLabel('Not bounded').setValue('not_bounded'))
+    .addOption(config.newOptionBuilder().setLabel('Request plus').setValue('request_plus'));
+
+  config
+    .newTextInput()
+    .setId('queryTimeoutSeconds')
+    .setName('Query Timeout (seconds)')
+    .setHelpText('Server-side timeout for each query request (default: 30).')
+    .setPlaceholder('30')
+    .setAllowOverride(true);
+
   return config.build();
 }
 
@@ -397,21 +548,31 @@ function validateConfig(configParams) {
   configParams.username = username;
   configParams.password = password;
   
-  // Convert collections string to array if it's a string (only if it exists)
-  // This check is no longer needed as we use single select now
-  // if (configParams.collections && typeof configParams.collections === 'string') {
-  //  configParams.collections = configParams.collections.split(',');
-  // }
+  // Convert the multi-select's comma-separated collections string to an array
+  if (typeof configParams.collections === 'string') {
+    configParams.collections = configParams.collections.split(',').map(path => path.trim()).filter(path => path !== '');
+  }
+  configParams.collections = configParams.collections || [];
   
-  // Validate configuration: Use query if provided, otherwise require a collection
+  // Validate configuration: Use query if provided, otherwise require one or more collections
   const hasQuery = configParams.query && configParams.query.trim() !== '';
-  // Use the singular 'collection' ID now
+  const hasCollections = configParams.collections.length > 0;
   const hasCollection = configParams.collection && configParams.collection.trim() !== ''; 
 
   if (hasQuery) {
     // Custom query is provided, ignore collection selection
     configParams.collection = ''; // Clear collection explicitly
+    configParams.collections = [];
     Logger.log('validateConfig: Using custom query: %s', configParams.query);
+  } else if (hasCollections) {
+    // Multiple collections are combined, the single collection is ignored
+    const invalidPath = configParams.collections.find(path => path.split('.').length !== 3);
+    if (invalidPath) {
+      throwUserError('Configuration Error: Invalid collection "' + invalidPath + '". Format: bucket.scope.collection');
+    }
+    configParams.collection = '';
+    configParams.query = '';
+    Logger.log('validateConfig: Using collections: %s', configParams.collections.join(', '));
   } else if (hasCollection) {
     // Collection is selected, query is empty
     configParams.query = ''; // Ensure query is empty
@@ -421,6 +582,38 @@ function validateConfig(configParams) {
     throwUserError('Configuration Error: Please select at least one collection OR enter a Custom N1QL Query.');
   }
 
+  // Document metadata is only added to the single collection's rows
+  configParams.includeMetadata = String(configParams.includeMetadata) === 'true';
+  if (configParams.includeMetadata && !hasQuery && hasCollections) {
+    throwUserError('Configuration Error: Document metadata can only be included for a single collection. Clear "Combine Collections" or uncheck "Include Document Metadata".');
+  }
+
+  // The date range field only applies to collections; custom queries use placeholders
+  configParams.dateRangeField = hasQuery ? '' : String(configParams.dateRangeField || '').trim();
+  configParams.dateRangeFormat = configParams.dateRangeFormat || 'iso8601';
+  if (configParams.dateRangeField && configParams.dateRangeField.split('.').some(part => part === '')) {
+    throwUserError('Configuration Error: Invalid date range field "' + configParams.dateRangeField + '". Use a field name or a dotted path, e.g., order.date');
+  }
+  if (DATE_RANGE_FORMATS.indexOf(configParams.dateRangeFormat) === -1) {
+    throwUserError('Configuration Error: Invalid date range field format "' + configParams.dateRangeFormat + '". Use one of: ' + DATE_RANGE_FORMATS.join(', ') + '.');
+  }
+
+  // Result cache duration in seconds (0 disables the cache)
+  configParams.cacheSeconds = getCacheSeconds(configParams.cacheSeconds, DEFAULT_RESULT_CACHE_SECONDS);
+
+  // Advanced options are optional; empty values leave the service defaults in place
+  if (configParams.scanConsistency && SCAN_CONSISTENCY_LEVELS.indexOf(configParams.scanConsistency) === -1) {
+    throwUserError('Configuration Error: Invalid scan consistency "' + configParams.scanConsistency + '". Use one of: ' + SCAN_CONSISTENCY_LEVELS.join(', ') + '.');
+  }
+  const queryTimeoutSeconds = String(configParams.queryTimeoutSeconds || '').trim();
+  if (queryTimeoutSeconds !== '' && (!/^\d+$/.test(queryTimeoutSeconds) || parseInt(queryTimeoutSeconds, 10) <= 0)) {
+    throwUserError('Configuration Error: Query Timeout must be a positive whole number of seconds.');
+  }
+  configParams.queryTimeoutSeconds = queryTimeoutSeconds !== '' ? parseInt(queryTimeoutSeconds, 10) : null;
+
+  // Field overrides are applied by getSchema; only their format is checked here
+  parseFieldOverrides(configParams.fieldOverrides);
+
   // Optional: Check Capella URL format
   if (path.includes('cloud.couchbase.com') && !path.startsWith('couchbases://') && !path.startsWith('https://')) {
       Logger.log('validateConfig Warning: Capella URL found without secure prefix: %s', path);
@@ -429,6 +622,8 @@ function validateConfig(configParams) {
   // Log success based on which input was used
   if (hasQuery) {
       Logger.log('validateConfig successful (used custom query).');
+  } else if (hasCollections) {
+      Logger.log('validateConfig successful (used %s collections).', configParams.collections.length);
   } else {
       Logger.log('validateConfig successful (used collection: %s).', configParams.collection);
   }
@@ -440,18 +635,23 @@ function validateConfig(configParams) {
 // ==========================================================================
 
 /**
- * Returns the schema for the given request.
+ * Returns the schema for the given request: the schema built from sampled documents,
+ * with the user's field overrides applied.
  */
 function getSchema(request) {
   request.configParams = validateConfig(request.configParams);
   
   try {
     const hasCustomQuery = request.configParams.query && request.configParams.query.trim() !== '';
+    const fieldOverrides = parseFieldOverrides(request.configParams.fieldOverrides);
 
     // If a custom query exists, use it directly
     if (hasCustomQuery) {
       Logger.log('getSchema: Using custom query: %s', request.configParams.query);
-      const result = fetchData(request.configParams); 
+      const result = fetchData({
+        ...request.configParams,
+        query: applyDateRangePlaceholders(request.configParams.query)
+      }); 
       
       // Check if the custom query returned any results for schema inference
       if (!result?.results?.length) {
@@ -466,7 +666,18 @@ function getSchema(request) {
       
       // Proceed with building schema from the custom query results
       const schema = buildSchema(result);
-      return { schema: schema };
+      return { schema: applyFieldOverrides(schema, fieldOverrides) };
+    } else if (request.configParams.collections.length > 0) {
+      // Sample every collection so the merged schema covers fields missing from some of them
+      const schemaParams = {
+        ...request.configParams,
+        query: buildUnionQuery(request.configParams.collections, 100)
+      };
+      Logger.log('getSchema: Using %s collections for schema with generated query: %s', request.configParams.collections.length, schemaParams.query);
+
+      const result = fetchData(schemaParams);
+      const schema = buildSchema(result);
+      return { schema: applyFieldOverrides(schema, fieldOverrides) };
     } else {
       // Otherwise, generate query based on the selected collection
       const collectionPath = request.configParams.collection; // Use singular 'collection'
@@ -486,16 +697,22 @@ function getSchema(request) {
       };
       
       // Generate the SELECT * query, limited for schema inference performance
-      const formattedBucket = '`' + bucket + '`';
-      const formattedScope = '`' + scope + '`';
-      const formattedCollection = '`' + collectionName + '`';
+      const formattedBucket = quoteIdentifier(bucket);
+      const formattedScope = quoteIdentifier(scope);
+      const formattedCollection = quoteIdentifier(collectionName);
       schemaParams.query = 'SELECT * FROM ' + formattedBucket + '.' + formattedScope + '.' + formattedCollection + ' LIMIT 100'; // Limit for schema performance
+      if (request.configParams.includeMetadata) {
+        schemaParams.query = buildMetadataQuery(collectionPath, 100);
+      }
       
       Logger.log('getSchema: Using collection %s for schema with generated query (LIMIT 100): %s', collectionPath, schemaParams.query);
       
       const result = fetchData(schemaParams);
-      const schema = buildSchema(result);
-      return { schema: schema };
+      let schema = buildSchema(result);
+      if (request.configParams.includeMetadata) {
+        schema = addMetadataFields(schema);
+      }
+      return { schema: applyFieldOverrides(schema, fieldOverrides) };
     }
   } catch (e) {
     Logger.log('Error during getSchema: %s', e.toString());
@@ -507,6 +724,7 @@ function getSchema(request) {
       DataStudioApp.createCommunityConnector()
         .newUserError()
         .setText(e.message)
+        .setDebugText(e.debugText || '')
         .throwException();
     }
     
@@ -532,6 +750,8 @@ function buildSchema(result) {
   Logger.log(JSON.stringify(result.results.slice(0, 10), null, 2)); 
   
   const schema = [];
+  const numericSamples = {}; // Distinct NUMBER values seen per field name, for applyNumericSemantics
+  const numericDocCounts = {}; // Rows holding a NUMBER value per field name
   // Helper function defined inside buildSchema to access the schema array easily
   function addFieldToSchema(key, value, parentKey = '') {
     const fieldName = parentKey ? parentKey + '.' + key : key;
@@ -548,6 +768,9 @@ function buildSchema(result) {
     } else if (typeof value === 'number') {
       potentialDataType = 'NUMBER';
       potentialSemantics = { conceptType: 'METRIC', isReaggregatable: true };
+      numericSamples[fieldName] = numericSamples[fieldName] || new Set();
+      numericSamples[fieldName].add(value);
+      numericDocCounts[fieldName] = (numericDocCounts[fieldName] || 0) + 1;
     } else if (typeof value === 'boolean') {
       potentialDataType = 'BOOLEAN';
       potentialSemantics = { conceptType: 'DIMENSION' };
@@ -633,6 +856,11 @@ function buildSchema(result) {
   if (schema.length === 0) {
     throw new Error('Could not determine any fields from the first row of results. Check query and data structure.');
   }
+
+  // Numeric and geographic fields are recognised by name once the sampled types have been merged
+  schema.forEach(field => applyNumericSemantics(field, Array.from(numericSamples[field.name] || []), numericDocCounts[field.name]));
+  schema.forEach(applyGeoSemantics);
+  addLatLonFields(schema);
   
   Logger.log('buildSchema successful. Detected %s fields: %s', schema.length, schema.map(f => f.name).join(', '));
   return schema;
@@ -648,12 +876,43 @@ function getData(request) {
     const hasCustomQuery = request.configParams.query && request.configParams.query.trim() !== '';
     let result;
     let queryToRun;
+    let fullSchema = null; // Fetched up front when needed to plan an aggregation query
+    // Results are cached per query until the user refreshes the report (see getResultCacheKey)
+    const cacheOptions = {
+      cacheSeconds: request.configParams.cacheSeconds,
+      lastRefresh: request.scriptParams ? request.scriptParams.lastRefresh : undefined
+    };
+    // Documents outside the report's date range are skipped server-side (see buildDateRangeCondition)
+    const dateRangeCondition = request.configParams.dateRangeField && request.dateRange
+      ? buildDateRangeCondition('t', request.configParams.dateRangeField, request.configParams.dateRangeFormat, request.dateRange)
+      : null;
 
     if (hasCustomQuery) {
       Logger.log('getData: Using custom query: %s', request.configParams.query);
-      queryToRun = request.configParams.query;
+      queryToRun = applyDateRangePlaceholders(request.configParams.query, request.dateRange);
       // Pass the full configParams, fetchData handles the query context
-      result = fetchData(request.configParams); 
+      result = fetchData({ ...request.configParams, query: queryToRun }, cacheOptions); 
+    } else if (request.configParams.collections.length > 0) {
+      // Combine the selected collections, tagging each row with its source collection
+      const unionQuery = buildUnionQuery(request.configParams.collections, null, dateRangeCondition);
+      const dataParams = {
+        ...request.configParams,
+        query: unionQuery
+      };
+
+      // Aggregate server-side over the combined rows, as for a single collection
+      const hasFilters = request.dimensionsFilters && request.dimensionsFilters.length > 0;
+      if (!hasFilters) {
+        fullSchema = getSchema(request).schema;
+        const aggregationQuery = buildAggregationQuery(request.fields, fullSchema, '(' + unionQuery + ')');
+        if (aggregationQuery) {
+          dataParams.query = aggregationQuery;
+        }
+      }
+      queryToRun = dataParams.query;
+
+      Logger.log('getData: Using %s collections for data with generated query: %s', request.configParams.collections.length, dataParams.query);
+      result = fetchData(dataParams, cacheOptions);
     } else { 
       // Generate query based on the selected collection
       const collectionPath = request.configParams.collection;
@@ -672,14 +931,37 @@ function getData(request) {
       };
       
       // Generate the SELECT * query for this collection (no limit here)
-      const formattedBucket = '`' + bucket + '`';
-      const formattedScope = '`' + scope + '`';
-      const formattedCollection = '`' + collectionName + '`';
+      const formattedBucket = quoteIdentifier(bucket);
+      const formattedScope = quoteIdentifier(scope);
+      const formattedCollection = quoteIdentifier(collectionName);
       dataParams.query = 'SELECT * FROM ' + formattedBucket + '.' + formattedScope + '.' + formattedCollection;
+      if (dateRangeCondition) {
+        dataParams.query += ' AS t WHERE ' + dateRangeCondition;
+      }
+      if (request.configParams.includeMetadata) {
+        dataParams.query = buildMetadataQuery(collectionPath, null, dateRangeCondition);
+      }
+
+      // Aggregate server-side when dimensions plus NUMBER metrics are requested, so totals cover
+      // the whole collection. Filters are applied by Looker Studio, which needs row-level data.
+      const hasFilters = request.dimensionsFilters && request.dimensionsFilters.length > 0;
+      if (!hasFilters) {
+        fullSchema = getSchema(request).schema;
+        let keyspace = formattedBucket + '.' + formattedScope + '.' + formattedCollection;
+        if (request.configParams.includeMetadata) {
+          keyspace = '(' + dataParams.query + ')';
+        } else if (dateRangeCondition) {
+          keyspace = '(SELECT VALUE t FROM ' + keyspace + ' AS t WHERE ' + dateRangeCondition + ')';
+        }
+        const aggregationQuery = buildAggregationQuery(request.fields, fullSchema, keyspace);
+        if (aggregationQuery) {
+          dataParams.query = aggregationQuery;
+        }
+      }
       queryToRun = dataParams.query;
       
       Logger.log('getData: Using collection %s for data with generated query: %s', collectionPath, dataParams.query);
-      result = fetchData(dataParams);
+      result = fetchData(dataParams, cacheOptions);
     }
 
     // --- Process results --- 
@@ -701,7 +983,7 @@ function getData(request) {
     let responseSchema = [];
     try {
        // Attempt to get the full schema definition to ensure correct data types
-       const fullSchema = getSchema(request).schema; 
+       fullSchema = fullSchema || getSchema(request).schema;
        responseSchema = requestedFieldIds.map(fieldId => {
           const fieldDefinition = fullSchema.find(f => f.name === fieldId);
           // Return a minimal schema object if somehow not found in full schema (fallback)
@@ -723,10 +1005,13 @@ function getData(request) {
       }
       
       // Create values array IN THE SAME ORDER as requestedFieldIds (and responseSchema)
-      const values = requestedFieldIds.map(fieldId => { 
+      const values = requestedFieldIds.map((fieldId, index) => { 
          // Handle nested field access (e.g., 'geo.lat')
          let value = null;
-         if (fieldId.includes('.')) {
+         if (Object.prototype.hasOwnProperty.call(dataObject, fieldId)) {
+            // Aggregated rows are keyed by the full field name (e.g., 'geo.alt')
+            value = dataObject[fieldId];
+         } else if (fieldId.includes('.')) {
             try {
                value = fieldId.split('.').reduce((obj, key) => obj && obj[key] !== undefined ? obj[key] : null, dataObject);
             } catch (e) {
@@ -735,7 +1020,14 @@ function getData(request) {
          } else {
             value = dataObject[fieldId];
          }
-         return value !== undefined ? value : null;
+         // Synthetic LATITUDE_LONGITUDE fields combine their latitude/longitude pair
+         const latLonFields = (value === null || value === undefined) && fullSchema ? getLatLonSourceFields(fieldId, fullSchema) : null;
+         if (latLonFields) {
+            const lat = latLonFields.lat.split('.').reduce((obj, key) => obj && obj[key] !== undefined ? obj[key] : null, dataObject);
+            const lon = latLonFields.lon.split('.').reduce((obj, key) => obj && obj[key] !== undefined ? obj[key] : null, dataObject);
+            value = (typeof lat === 'number' && typeof lon === 'number') ? lat + ',' + lon : null;
+         }
+         return formatFieldValue(value, responseSchema[index].dataType);
        });
       return { values };
     });
@@ -756,6 +1048,7 @@ function getData(request) {
       DataStudioApp.createCommunityConnector()
         .newUserError()
         .setText(e.message)
+        .setDebugText(e.debugText || '')
         .throwException();
     }
     
@@ -769,8 +1062,10 @@ function getData(request) {
 
 /**
  * Fetches data from Couchbase Analytics using the provided configuration.
+ * If cacheOptions.cacheSeconds is set, successful results are cached in the user cache,
+ * keyed on the statement, the user and cacheOptions.lastRefresh (see getResultCacheKey).
  */
-function fetchData(configParams) {
+function fetchData(configParams, cacheOptions) {
   // Get credentials and URL from configParams (populated by validateConfig)
   const username = configParams.username;
   const password = configParams.password;
@@ -783,7 +1078,7 @@ function fetchData(configParams) {
 
   // Bucket and scope are not directly used in Analytics API call payload
   const query = configParams.query; 
-  const timeout = 30000; 
+  const timeout = configParams.queryTimeoutSeconds ? configParams.queryTimeoutSeconds * 1000 : 30000;
 
   // Construct the base API URL using the helper function for Analytics (port 18095)
   const apiBaseUrl = constructApiUrl(baseUrl, 18095); // Default Analytics port is 18095
@@ -795,10 +1090,23 @@ function fetchData(configParams) {
     statement: query,
     timeout: timeout + "ms"
   };
+  if (configParams.scanConsistency) {
+    queryPayload.scan_consistency = configParams.scanConsistency;
+  }
 
   // query_context is not typically used for Analytics API
   Logger.log('fetchData: Analytics API call does not use query_context.');
 
+  const cacheSeconds = (cacheOptions && cacheOptions.cacheSeconds) || 0;
+  const cacheKey = cacheSeconds > 0 ? getResultCacheKey(queryUrl, username, queryPayload, cacheOptions.lastRefresh) : null;
+  if (cacheKey) {
+    const cachedResult = readCachedValue(cacheKey);
+    if (cachedResult) {
+      Logger.log('fetchData: Using cached result with %s rows.', (cachedResult.results || []).length);
+      return cachedResult;
+    }
+  }
+
   const options = {
     method: 'post',
     contentType: 'application/json',
@@ -813,12 +1121,13 @@ function fetchData(configParams) {
   try {
     Logger.log('fetchData: Sending query to %s', queryUrl);
     Logger.log('fetchData: Query: %s', query);
-    const response = UrlFetchApp.fetch(queryUrl, options);
+    const response = fetchWithRetry(queryUrl, options);
     const responseCode = response.getResponseCode();
     const responseText = response.getContentText();
 
     if (responseCode !== 200) {
       Logger.log('Error querying Couchbase. URL: %s, Code: %s, Response: %s', queryUrl, responseCode, responseText);
+      throwMappedQueryError(responseCode, responseText, query);
       throw new Error('Error querying Couchbase: [Code: ' + responseCode + '] ' + responseText);
     }
 
@@ -828,9 +1137,15 @@ function fetchData(configParams) {
       Logger.log('Couchbase query failed. Status: %s, Errors: %s', result.status, JSON.stringify(result.errors));
       throw new Error('Couchbase query failed: ' + JSON.stringify(result.errors));
     }
+    if (cacheKey) {
+      writeCachedValue(cacheKey, { results: result.results }, cacheSeconds);
+    }
     return result;
 
   } catch (e) {
+    if (e.isUserError) {
+      throw e;
+    }
     Logger.log('Error connecting to Couchbase during fetchData. URL: %s, Exception: %s', queryUrl, e.toString());
     Logger.log('fetchData Exception details: %s', e.stack);
     throw new Error('Error connecting to Couchbase: ' + e.toString());
@@ -879,6 +1194,642 @@ function constructApiUrl(path, defaultPort) {
   return 'https://' + hostAndPort;
 }
 
+/**
+ * Sends an HTTP request with UrlFetchApp.fetch, retrying transient failures (network
+ * exceptions, RETRYABLE_STATUS_CODES and RETRYABLE_QUERY_ERROR_CODES) of idempotent
+ * requests with exponential backoff and jitter, or as long as the server's Retry-After
+ * header asks. Stops before the Apps Script execution time limit is reached.
+ * Returns the response of the last attempt, or throws its exception.
+ */
+function fetchWithRetry(url, options) {
+  const canRetry = isIdempotentRequest(options);
+  for (let attempt = 1; ; attempt++) {
+    let response = null;
+    let fetchError = null;
+    try {
+      response = UrlFetchApp.fetch(url, options);
+    } catch (e) {
+      fetchError = e;
+    }
+
+    const retryReason = fetchError ? fetchError.toString() : getRetryReason(response);
+    const delayMs = retryReason ? getRetryDelayMs(response, attempt) : 0;
+    const withinTimeLimit = Date.now() + delayMs < EXECUTION_START_TIME + EXECUTION_TIME_LIMIT_MS;
+    if (!retryReason || !canRetry || attempt >= MAX_FETCH_ATTEMPTS || !withinTimeLimit) {
+      if (retryReason) {
+        Logger.log('fetchWithRetry: Giving up on %s after %s attempt(s): %s', url, attempt, retryReason);
+      }
+      if (fetchError) {
+        throw fetchError;
+      }
+      return response;
+    }
+
+    Logger.log('fetchWithRetry: Attempt %s to %s failed (%s); retrying in %s ms.', attempt, url, retryReason, delayMs);
+    Utilities.sleep(delayMs);
+  }
+}
+
+/**
+ * Returns whether a request can safely be sent again: GET requests, and query requests
+ * whose statement only reads data (SELECT, WITH, INFER, EXPLAIN or ADVISE).
+ */
+function isIdempotentRequest(options) {
+  if (!options.method || options.method.toLowerCase() === 'get') {
+    return true;
+  }
+  try {
+    const payload = typeof options.payload === 'string' ? JSON.parse(options.payload) : options.payload;
+    return !!(payload && typeof payload.statement === 'string' &&
+      /^\s*\(?\s*(SELECT|WITH|INFER|EXPLAIN|ADVISE)\b/i.test(payload.statement));
+  } catch (e) {
+    return false; // Not a JSON query payload
+  }
+}
+
+/**
+ * Returns a description of the transient failure in a response, or null if the
+ * response is a success or a permanent failure.
+ */
+function getRetryReason(response) {
+  const responseCode = response.getResponseCode();
+  if (RETRYABLE_STATUS_CODES.indexOf(responseCode) !== -1) {
+    return 'HTTP ' + responseCode;
+  }
+  if (responseCode >= 200 && responseCode < 300) {
+    return null;
+  }
+  try {
+    const errors = JSON.parse(response.getContentText()).errors || [];
+    const retryableError = errors.find(error => RETRYABLE_QUERY_ERROR_CODES.indexOf(error.code) !== -1);
+    return retryableError ? 'HTTP ' + responseCode + ', error ' + retryableError.code + ': ' + retryableError.msg : null;
+  } catch (e) {
+    return null; // Not a JSON error response
+  }
+}
+
+/**
+ * Returns the delay in milliseconds before the next attempt: the server's Retry-After
+ * header (in seconds or as an HTTP date) if present, otherwise an exponential backoff
+ * with jitter. The response is null if the failed attempt threw.
+ */
+function getRetryDelayMs(response, attempt) {
+  const headers = response ? response.getHeaders() || {} : {};
+  const retryAfterKey = Object.keys(headers).find(key => key.toLowerCase() === 'retry-after');
+  if (retryAfterKey) {
+    const retryAfter = String(headers[retryAfterKey]).trim();
+    const retryAfterMs = /^\d+$/.test(retryAfter) ? parseInt(retryAfter, 10) * 1000 : Date.parse(retryAfter) - Date.now();
+    if (!isNaN(retryAfterMs)) {
+      return Math.max(retryAfterMs, 0);
+    }
+  }
+  const backoffMs = RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+  return Math.round(backoffMs / 2 + Math.random() * backoffMs / 2); // Jitter spreads out concurrent retries
+}
+
+/**
+ * Throws an actionable user error when a failed Analytics service response contains a
+ * well-known error code, keeping the raw response as debug text. Unknown errors are
+ * left to the caller.
+ */
+function throwMappedQueryError(responseCode, responseText, statement) {
+  let errors = [];
+  try {
+    errors = JSON.parse(responseText).errors || [];
+  } catch (e) {
+    return; // Not a JSON error response
+  }
+
+  const debugText = 'Analytics service error (HTTP ' + responseCode + ') for statement: ' + statement + '\nResponse: ' + responseText;
+  for (const error of errors) {
+    const message = describeQueryError(error.code, error.msg || '');
+    if (message) {
+      throwUserError(message, debugText);
+    }
+  }
+}
+
+/**
+ * Returns an actionable message for a well-known Analytics service error code,
+ * or null if the code is not a well-known one.
+ */
+function describeQueryError(code, msg) {
+  switch (code) {
+    case 24045: // Cannot find collection
+    case 24034: // Cannot find scope (dataverse)
+      return 'Couchbase could not find a collection or scope referenced by the query (' + msg + '). ' +
+        'Check the bucket, scope and collection names in the query and data source settings.';
+    case 20000: // Authentication failure
+      return 'Couchbase rejected the username or password. Update the credentials by re-authenticating the data source.';
+    case 20001: // Insufficient privileges
+      return 'Your Couchbase user is not allowed to run this query (' + msg + '). ' +
+        'Ask a cluster administrator to grant read access to the queried collections.';
+    case 24000: // Syntax error
+      return 'The SQL++ query could not be parsed (' + msg + '). Correct the query in the data source settings.';
+    case 21002: // Timeout
+      return 'The query timed out (' + msg + '). Narrow the query with filters, or raise the Query Timeout in the advanced options.';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parses a cache duration in seconds. Blank or invalid values use the default;
+ * 0 disables caching. Durations are capped at CacheService's 6-hour maximum.
+ */
+function getCacheSeconds(rawValue, defaultSeconds) {
+  const seconds = parseInt(rawValue, 10);
+  if (isNaN(seconds) || seconds < 0) {
+    return defaultSeconds;
+  }
+  return Math.min(seconds, MAX_CACHE_SECONDS);
+}
+
+/**
+ * Builds the result cache key: a hash of the query URL, the username, the query payload
+ * and Looker Studio's last refresh time, which changes when the user refreshes the report.
+ */
+function getResultCacheKey(queryUrl, username, payload, lastRefresh) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256,
+    [queryUrl, username, JSON.stringify(payload), lastRefresh || ''].join('|'), Utilities.Charset.UTF_8);
+  return 'result_' + Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * Reads a value stored by writeCachedValue from the user cache.
+ * Returns null on a cache miss (including a missing chunk) or error.
+ */
+function readCachedValue(cacheKey) {
+  try {
+    const cache = CacheService.getUserCache();
+    const manifest = cache.get(cacheKey);
+    if (!manifest) {
+      return null;
+    }
+    const chunkKeys = [];
+    for (let i = 0; i < JSON.parse(manifest).chunks; i++) {
+      chunkKeys.push(`${cacheKey}_${i}`);
+    }
+    const chunks = cache.getAll(chunkKeys);
+    if (chunkKeys.some(key => chunks[key] === undefined || chunks[key] === null)) {
+      Logger.log('readCachedValue: Cache entry %s is incomplete.', cacheKey);
+      return null;
+    }
+    return JSON.parse(chunkKeys.map(key => chunks[key]).join(''));
+  } catch (e) {
+    Logger.log('readCachedValue: Ignoring unreadable cache entry: %s', e.toString());
+    return null;
+  }
+}
+
+/**
+ * Stores a value in the user cache as JSON, split into CACHE_CHUNK_SIZE-character chunks
+ * to fit CacheService's 100KB value limit, plus a manifest entry under the key itself.
+ * Values above MAX_CACHE_CHUNKS chunks and failures are logged and ignored.
+ */
+function writeCachedValue(cacheKey, value, cacheSeconds) {
+  try {
+    const json = JSON.stringify(value);
+    const chunkCount = Math.max(1, Math.ceil(json.length / CACHE_CHUNK_SIZE));
+    if (chunkCount > MAX_CACHE_CHUNKS) {
+      Logger.log('writeCachedValue: Value of %s characters is too large to cache.', json.length);
+      return;
+    }
+    const entries = {};
+    for (let i = 0; i < chunkCount; i++) {
+      entries[`${cacheKey}_${i}`] = json.substring(i * CACHE_CHUNK_SIZE, (i + 1) * CACHE_CHUNK_SIZE);
+    }
+    entries[cacheKey] = JSON.stringify({ chunks: chunkCount });
+    CacheService.getUserCache().putAll(entries, cacheSeconds);
+    Logger.log('writeCachedValue: Cached %s characters in %s chunks for %s seconds.', json.length, chunkCount, cacheSeconds);
+  } catch (e) {
+    Logger.log('writeCachedValue: Could not cache value: %s', e.toString());
+  }
+}
+
+/**
+ * Refines the semantics of a NUMBER field from its name (see NUMERIC_FIELD_PATTERNS) and
+ * sampled values, since summing every number misleads charts (e.g., a summed year).
+ * Identifiers, codes and date parts holding integers become dimensions (unless the name
+ * also names a quantity, e.g., duration_hour), as do fields whose
+ * samples are only 0 and 1 (flags) and other integer fields with at most
+ * LOW_CARDINALITY_MAX_VALUES distinct values across docCount sampled documents, each seen in
+ * LOW_CARDINALITY_DOCS_PER_VALUE documents on average (categories). Metrics get a
+ * defaultAggregationType (e.g., AVG for ratios and ratings) and a semantic type where the
+ * samples support it: PERCENT for ratios between 0 and 1, CURRENCY_USD for amounts and
+ * prices, DURATION for non-negative seconds.
+ */
+function applyNumericSemantics(field, samples, docCount) {
+  if (field.dataType !== 'NUMBER') {
+    return field;
+  }
+  const values = (samples || []).filter(sample => typeof sample === 'number');
+  const words = field.name.split('.').pop()
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2') // camelCase -> camel_Case
+    .toLowerCase().split(/[^a-z0-9]+/).filter(word => word !== '');
+  const wordMatch = NUMERIC_FIELD_PATTERNS.find(entry => entry.words.includes(words[words.length - 1]));
+  const prefixMatch = words.length > 1 ? NUMERIC_FIELD_PATTERNS.find(entry => (entry.prefixes || []).includes(words[0])) : null;
+
+  const hasQuantityWord = words.some(word => NUMERIC_FIELD_PATTERNS.some(entry =>
+    entry.aggregation && (entry.words.includes(word) || (entry.prefixes || []).includes(word))));
+  const isIdentifier = wordMatch && wordMatch.conceptType === 'DIMENSION' && !prefixMatch &&
+    !(wordMatch.unlessQuantity && hasQuantityWord) && values.every(Number.isInteger);
+  const isFlag = !wordMatch && !prefixMatch && values.length >= 2 && values.every(value => value === 0 || value === 1);
+  const distinctValues = values.filter((value, index) => values.indexOf(value) === index);
+  const isCategory = !wordMatch && !prefixMatch && docCount > 0 && distinctValues.length > 0 &&
+    distinctValues.length <= LOW_CARDINALITY_MAX_VALUES && docCount >= distinctValues.length * LOW_CARDINALITY_DOCS_PER_VALUE &&
+    distinctValues.every(Number.isInteger);
+  if (isIdentifier || isFlag || isCategory) {
+    field.semantics = { conceptType: 'DIMENSION' };
+    return field;
+  }
+
+  field.semantics = { conceptType: 'METRIC', isReaggregatable: true };
+  const aggregation = (prefixMatch && prefixMatch.aggregation) || (wordMatch && wordMatch.aggregation);
+  if (aggregation) {
+    field.defaultAggregationType = aggregation;
+  }
+  const semanticType = (wordMatch && wordMatch.semanticType) || (prefixMatch && prefixMatch.semanticType);
+  const isSupported = semanticType === 'PERCENT' ? values.length > 0 && values.every(value => value >= 0 && value <= 1)
+    : semanticType === 'DURATION' ? values.every(value => value >= 0)
+    : Boolean(semanticType);
+  if (isSupported) {
+    field.semantics.semanticType = semanticType;
+    field.semantics.semanticGroup = semanticType === 'CURRENCY_USD' ? 'CURRENCY' : 'NUMERIC';
+  }
+  return field;
+}
+
+/**
+ * Tags a schema field with a Looker Studio geo semantic type when its name (the last
+ * path segment) looks like a country, city, region or postal code. Only STRING fields
+ * are tagged, except postal codes, which are also recognised when stored as numbers.
+ */
+function applyGeoSemantics(field) {
+  const baseName = field.name.split('.').pop();
+  const geoPattern = GEO_FIELD_PATTERNS.find(entry => entry.pattern.test(baseName));
+  if (!geoPattern || !(field.dataType === 'STRING' || (field.dataType === 'NUMBER' && geoPattern.semanticType === 'POSTAL_CODE'))) {
+    return field;
+  }
+  field.dataType = 'STRING';
+  field.semantics = { conceptType: 'DIMENSION', semanticType: geoPattern.semanticType, semanticGroup: 'GEO' };
+  return field;
+}
+
+/**
+ * Finds the NUMBER latitude and longitude fields directly inside the object at prefix
+ * ('' for top-level fields). Returns { lat, lon } field names, or null.
+ */
+function findLatLonPair(prefix, schema) {
+  const siblings = schema.filter(field => field.dataType === 'NUMBER' &&
+    field.name.lastIndexOf('.') === (prefix ? prefix.length : -1) && (!prefix || field.name.startsWith(prefix + '.')));
+  const latField = siblings.find(field => LATITUDE_FIELD_PATTERN.test(field.name.split('.').pop()));
+  const lonField = siblings.find(field => LONGITUDE_FIELD_PATTERN.test(field.name.split('.').pop()));
+  return latField && lonField ? { lat: latField.name, lon: lonField.name } : null;
+}
+
+/**
+ * Adds a synthetic LATITUDE_LONGITUDE field (e.g., geo.lat_lon) to the schema for every
+ * object holding a latitude/longitude pair. getData fills it with "lat,lon" values.
+ */
+function addLatLonFields(schema) {
+  const prefixes = new Set(schema.map(field => field.name.split('.').slice(0, -1).join('.')));
+  prefixes.forEach(prefix => {
+    const fieldName = prefix ? prefix + '.' + LAT_LON_FIELD_NAME : LAT_LON_FIELD_NAME;
+    if (findLatLonPair(prefix, schema) && !schema.some(field => field.name === fieldName)) {
+      schema.push({
+        name: fieldName,
+        label: fieldName,
+        dataType: 'STRING',
+        semantics: { conceptType: 'DIMENSION', semanticType: 'LATITUDE_LONGITUDE', semanticGroup: 'GEO' }
+      });
+      Logger.log('addLatLonFields: Added field [%s]', fieldName);
+    }
+  });
+}
+
+/**
+ * Returns the { lat, lon } field names behind a synthetic LATITUDE_LONGITUDE field,
+ * or null if fieldName is not one.
+ */
+function getLatLonSourceFields(fieldName, schema) {
+  const fieldDefinition = schema.find(field => field.name === fieldName);
+  if (!fieldDefinition || !fieldDefinition.semantics || fieldDefinition.semantics.semanticType !== 'LATITUDE_LONGITUDE') {
+    return null;
+  }
+  return findLatLonPair(fieldName.split('.').slice(0, -1).join('.'), schema);
+}
+
+/**
+ * Escapes a name as a backticked SQL++ identifier (e.g., a keyspace, field or alias name):
+ * embedded backticks are doubled, so "a`b" becomes "`a``b`".
+ */
+function quoteIdentifier(name) {
+  return '`' + String(name).replace(/`/g, '``') + '`';
+}
+
+/**
+ * Builds a SQL++ GROUP BY query that aggregates the requested NUMBER metrics by the requested
+ * dimensions. Returns null unless every metric defaults to SUM, MIN or MAX: Looker Studio
+ * re-aggregates the returned rows (e.g., by a coarser date), and only those functions give
+ * the same result when applied to their own per-group values; AVG would average averages.
+ */
+function buildAggregationQuery(requestFields, schema, keyspace) {
+  const pushableAggregations = ['SUM', 'MIN', 'MAX'];
+  const selectExpressions = [];
+  const groupByExpressions = [];
+  let hasMetric = false;
+
+  for (const requestField of requestFields || []) {
+    const fieldDefinition = schema.find(f => f.name === requestField.name);
+    if (!fieldDefinition) {
+      Logger.log('buildAggregationQuery: Field [%s] not in schema, not aggregating.', requestField.name);
+      return null;
+    }
+    const toFieldPath = name => 't.' + name.split('.').map(quoteIdentifier).join('.');
+    const fieldPath = toFieldPath(fieldDefinition.name);
+    const fieldAlias = quoteIdentifier(fieldDefinition.name);
+    const latLonFields = getLatLonSourceFields(fieldDefinition.name, schema);
+
+    if (latLonFields) {
+      // Synthetic LATITUDE_LONGITUDE fields group by their latitude/longitude pair
+      const latPath = toFieldPath(latLonFields.lat);
+      const lonPath = toFieldPath(latLonFields.lon);
+      selectExpressions.push('TO_STRING(' + latPath + ') || "," || TO_STRING(' + lonPath + ') AS ' + fieldAlias);
+      groupByExpressions.push(latPath, lonPath);
+      continue;
+    }
+
+    if (fieldDefinition.semantics && fieldDefinition.semantics.conceptType === 'METRIC') {
+      let aggregation = fieldDefinition.defaultAggregationType || 'SUM';
+      if (aggregation === 'AUTO') aggregation = 'SUM';
+      if (fieldDefinition.dataType !== 'NUMBER' || !pushableAggregations.includes(aggregation)) {
+        Logger.log('buildAggregationQuery: Metric [%s] (%s) cannot be aggregated server-side.', fieldDefinition.name, aggregation);
+        return null;
+      }
+      selectExpressions.push(aggregation + '(' + fieldPath + ') AS ' + fieldAlias);
+      hasMetric = true;
+    } else {
+      selectExpressions.push(fieldPath + ' AS ' + fieldAlias);
+      groupByExpressions.push(fieldPath);
+    }
+  }
+
+  if (!hasMetric) {
+    return null;
+  }
+  const groupByClause = groupByExpressions.length > 0 ? ' GROUP BY ' + groupByExpressions.join(', ') : '';
+  const query = 'SELECT ' + selectExpressions.join(', ') + ' FROM ' + keyspace + ' AS t' + groupByClause;
+  Logger.log('buildAggregationQuery: Generated query: %s', query);
+  return query;
+}
+
+/**
+ * Builds a SQL++ query combining the given collections with UNION ALL. Each row is
+ * the collection's document with a SOURCE_COLLECTION_FIELD naming its collection.
+ * If limitPerCollection is set, only that many documents are read from each collection.
+ * If whereCondition is set (a condition on alias t), only matching documents are read.
+ */
+function buildUnionQuery(collectionPaths, limitPerCollection, whereCondition) {
+  return collectionPaths.map(collectionPath => {
+    const keyspace = collectionPath.split('.').map(quoteIdentifier).join('.');
+    const source = limitPerCollection
+      ? '(SELECT VALUE c FROM ' + keyspace + ' AS c LIMIT ' + limitPerCollection + ')'
+      : keyspace;
+    const whereClause = whereCondition ? ' WHERE ' + whereCondition : '';
+    return 'SELECT VALUE OBJECT_ADD(t, "' + SOURCE_COLLECTION_FIELD + '", ' + JSON.stringify(collectionPath) + ') FROM ' + source + ' AS t' + whereClause;
+  }).join(' UNION ALL ');
+}
+
+/**
+ * Builds a SQL++ query returning the collection's documents with the METADATA_FIELDS
+ * added to each of them. If limit is set, only that many documents are read.
+ * If whereCondition is set (a condition on alias t), only matching documents are read.
+ */
+function buildMetadataQuery(collectionPath, limit, whereCondition) {
+  const keyspace = collectionPath.split('.').map(quoteIdentifier).join('.');
+  const row = METADATA_FIELDS.reduce((expression, field) => 'OBJECT_ADD(' + expression + ', "' + field.name + '", ' + field.expression('t') + ')', 't');
+  const whereClause = whereCondition ? ' WHERE ' + whereCondition : '';
+  return 'SELECT VALUE ' + row + ' FROM ' + keyspace + ' AS t' + whereClause + (limit ? ' LIMIT ' + limit : '');
+}
+
+/**
+ * Builds a SQL++ condition restricting the "Date Range Field" of the given alias to the
+ * report's date range (request.dateRange, whose end date is inclusive). The field is compared
+ * with epoch milliseconds, or seconds for 'epochSeconds'; ISO-8601 strings are compared as
+ * instants so values with different UTC offsets sort correctly.
+ */
+function buildDateRangeCondition(alias, fieldName, format, dateRange) {
+  const start = Date.parse(dateRange.startDate + 'T00:00:00Z');
+  const end = Date.parse(dateRange.endDate + 'T00:00:00Z') + 24 * 60 * 60 * 1000;
+  if (isNaN(start) || isNaN(end)) {
+    throwUserError('Invalid date range: ' + dateRange.startDate + ' - ' + dateRange.endDate);
+  }
+  const fieldPath = alias + '.' + fieldName.split('.').map(quoteIdentifier).join('.');
+  const divisor = format === 'epochSeconds' ? 1000 : 1;
+  const fieldExpression = format === 'iso8601' ? 'STR_TO_MILLIS(' + fieldPath + ')' : fieldPath;
+  const condition = fieldExpression + ' >= ' + (start / divisor) + ' AND ' + fieldExpression + ' < ' + (end / divisor);
+  Logger.log('buildDateRangeCondition: Generated condition: %s', condition);
+  return condition;
+}
+
+/**
+ * Replaces the @DS_START_DATE and @DS_END_DATE placeholders in a custom query with the first
+ * and last day of the date range, as "YYYY-MM-DD" string literals. Without a date range
+ * (e.g., when building the schema), the last 28 days up to yesterday are used, matching
+ * Looker Studio's default range. Placeholders inside string literals and backticked
+ * identifiers are left unchanged.
+ */
+function applyDateRangePlaceholders(statement, dateRange) {
+  let range = dateRange;
+  if (!range || !range.startDate || !range.endDate) {
+    const dayMillis = 24 * 60 * 60 * 1000;
+    const today = Date.parse(new Date().toISOString().substring(0, 10) + 'T00:00:00Z');
+    range = {
+      startDate: new Date(today - 28 * dayMillis).toISOString().substring(0, 10),
+      endDate: new Date(today - dayMillis).toISOString().substring(0, 10)
+    };
+  }
+  // The dates are inlined, so anything but YYYY-MM-DD is rejected
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(range.startDate) || !/^\d{4}-\d{2}-\d{2}$/.test(range.endDate)) {
+    throwUserError('Invalid date range: ' + range.startDate + ' - ' + range.endDate);
+  }
+
+  // Literals are matched first so placeholders inside them are kept as written
+  const tokenPattern = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`[^`]*`|@DS_(START|END)_DATE\b/g;
+  return statement.replace(tokenPattern, (token, bound) => {
+    if (bound === 'START') return '"' + range.startDate + '"';
+    if (bound === 'END') return '"' + range.endDate + '"';
+    return token;
+  });
+}
+
+/**
+ * Replaces the inferred definitions of the METADATA_FIELDS with fixed dimensions, as
+ * sampled values (e.g., a missing expiry) do not show their type.
+ */
+function addMetadataFields(schema) {
+  const metadataNames = METADATA_FIELDS.map(field => field.name);
+  return schema.filter(field => metadataNames.indexOf(field.name) === -1).concat(METADATA_FIELDS.map(field => ({
+    name: field.name,
+    label: field.label,
+    dataType: field.dataType,
+    description: field.description,
+    semantics: field.dataType === 'STRING'
+      ? { conceptType: 'DIMENSION' }
+      : { conceptType: 'DIMENSION', semanticGroup: 'DATETIME' }
+  })));
+}
+
+/**
+ * Parses and validates the "Field Overrides" configuration: a JSON object keyed by field name
+ * (see FIELD_OVERRIDES_EXAMPLE). Returns the normalized overrides by field name (empty if none
+ * are set); enum values are upper-cased.
+ */
+function parseFieldOverrides(rawValue) {
+  if (!rawValue || String(rawValue).trim() === '') {
+    return {};
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(rawValue);
+  } catch (e) {
+    throwUserError('Configuration Error: Field overrides must be a JSON object keyed by field name, e.g., ' + FIELD_OVERRIDES_EXAMPLE + '.', e.message);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throwUserError('Configuration Error: Field overrides must be a JSON object keyed by field name, e.g., ' + FIELD_OVERRIDES_EXAMPLE + '.');
+  }
+
+  const overrides = {};
+  Object.keys(parsed).forEach(fieldName => {
+    const entry = parsed[fieldName];
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throwUserError('Configuration Error: Field override for "' + fieldName + '" must be an object, e.g., ' + FIELD_OVERRIDES_EXAMPLE + '.');
+    }
+    const unknownProperty = Object.keys(entry).find(property => FIELD_OVERRIDE_PROPERTIES.indexOf(property) === -1);
+    if (unknownProperty) {
+      throwUserError('Configuration Error: Unknown property "' + unknownProperty + '" in the field override for "' + fieldName + '". Use: ' + FIELD_OVERRIDE_PROPERTIES.join(', ') + '.');
+    }
+
+    const override = {};
+    if (entry.label !== undefined) {
+      if (typeof entry.label !== 'string' || entry.label.trim() === '') {
+        throwUserError('Configuration Error: The label override for "' + fieldName + '" must be a non-empty string.');
+      }
+      override.label = entry.label.trim();
+    }
+    const enumOptions = [
+      { property: 'dataType', values: FIELD_OVERRIDE_DATA_TYPES },
+      { property: 'conceptType', values: ['DIMENSION', 'METRIC'] },
+      { property: 'aggregation', values: FIELD_OVERRIDE_AGGREGATIONS }
+    ];
+    enumOptions.forEach(option => {
+      if (entry[option.property] === undefined) {
+        return;
+      }
+      const value = String(entry[option.property]).trim().toUpperCase();
+      if (option.values.indexOf(value) === -1) {
+        throwUserError('Configuration Error: Invalid ' + option.property + ' "' + entry[option.property] + '" in the field override for "' + fieldName + '". Use one of: ' + option.values.join(', ') + '.');
+      }
+      override[option.property] = value;
+    });
+    if (entry.hidden !== undefined) {
+      if (typeof entry.hidden !== 'boolean') {
+        throwUserError('Configuration Error: The hidden override for "' + fieldName + '" must be true or false.');
+      }
+      override.hidden = entry.hidden;
+    }
+    overrides[fieldName] = override;
+  });
+  return overrides;
+}
+
+/**
+ * Returns a copy of the schema with the field overrides from parseFieldOverrides applied.
+ * A data type override drops the field's semantic type (e.g., POSTAL_CODE) and, unless
+ * conceptType is also set, makes NUMBER fields metrics and other types dimensions; NUMBER
+ * metrics are reaggregatable, as inferred ones are (see applyNumericSemantics). An
+ * aggregation sets defaultAggregationType, which buildAggregationQuery also follows.
+ */
+function applyFieldOverrides(schema, overrides) {
+  const fieldNames = Object.keys(overrides);
+  if (fieldNames.length === 0) {
+    return schema;
+  }
+  const unknownField = fieldNames.find(fieldName => !schema.some(field => field.name === fieldName));
+  if (unknownField) {
+    throwUserError('Configuration Error: Field override for "' + unknownField + '" does not match any field of the data source. Check the field name, e.g., "address.city" for nested fields.',
+      'Available fields: ' + schema.map(field => field.name).join(', '));
+  }
+
+  return schema.map(field => {
+    const override = overrides[field.name];
+    if (!override) {
+      return field;
+    }
+    const overridden = { ...field, semantics: { ...field.semantics } };
+    if (override.label) {
+      overridden.label = override.label;
+    }
+    if (override.dataType && override.dataType !== field.dataType) {
+      overridden.dataType = override.dataType;
+      overridden.semantics = { conceptType: override.dataType === 'NUMBER' ? 'METRIC' : 'DIMENSION' };
+    }
+    if (override.conceptType) {
+      overridden.semantics.conceptType = override.conceptType;
+    }
+    if (overridden.semantics.conceptType === 'METRIC' && overridden.dataType === 'NUMBER') {
+      overridden.semantics.isReaggregatable = true;
+    } else if (overridden.semantics.conceptType !== 'METRIC') {
+      // Dimensions are not aggregated, e.g., a rating (inferred AVG) turned into a dimension
+      delete overridden.defaultAggregationType;
+      delete overridden.semantics.isReaggregatable;
+    }
+    if (override.aggregation) {
+      if (overridden.semantics.conceptType !== 'METRIC') {
+        throwUserError('Configuration Error: The aggregation override for "' + field.name + '" requires the field to be a metric. Add "conceptType": "METRIC" to its override.');
+      }
+      overridden.defaultAggregationType = override.aggregation;
+    }
+    if (override.hidden !== undefined) {
+      overridden.isHidden = override.hidden;
+    }
+    Logger.log('applyFieldOverrides: Field [%s] overridden: %s', field.name, JSON.stringify(overridden));
+    return overridden;
+  });
+}
+
+/**
+ * Converts a document value to the data type of its schema field: NUMBER values are sent
+ * as numbers and BOOLEAN values as booleans (null if they cannot be converted), STRING and
+ * URL values as strings (objects as JSON), and epoch milliseconds as YEAR_MONTH_DAY_SECOND
+ * (e.g., 20231114221320). Other types are sent as they are.
+ */
+function formatFieldValue(value, dataType) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  switch (dataType) {
+    case 'NUMBER': {
+      const number = Number(value);
+      return isNaN(number) ? null : number;
+    }
+    case 'BOOLEAN':
+      if (typeof value === 'string') {
+        const lowerValue = value.toLowerCase();
+        return lowerValue === 'true' ? true : (lowerValue === 'false' ? false : null);
+      }
+      return Boolean(value);
+    case 'STRING':
+    case 'URL':
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    case 'YEAR_MONTH_DAY_SECOND':
+      return typeof value === 'number' ? new Date(value).toISOString().substring(0, 19).replace(/[-T:]/g, '') : value;
+    default:
+      return value;
+  }
+}
+
 /**
  * Helper function to get schema fields based on the request object.
  * Used when getData returns no results but schema is needed.
@@ -901,13 +1852,14 @@ function getFieldsFromRequest(request) {
 }
 
 /**
- * Throws a user-friendly error message.
+ * Throws a user-friendly error message, with optional debug text shown to admins.
  */
-function throwUserError(message) {
+function throwUserError(message, debugText) {
   // Create a custom error that preserves the message when caught
   const customError = new Error(message);
   customError.name = 'UserError';
   customError.isUserError = true;
+  customError.debugText = debugText || '';
   throw customError;
 }
 
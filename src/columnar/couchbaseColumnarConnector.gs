@@ -4,6 +4,62 @@
  * Supports Views, Collections, and Custom Queries.
  */
 
+// Timestamp formats recognised in inferred schema samples (see detectDateType).
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // e.g., 2024-05-31
+const ISO_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/; // e.g., 2024-05-31T13:45:00+02:00
+const EPOCH_MILLIS_RANGE = { min: 946684800000, max: 4102444800000 }; // 2000-01-01 to 2100-01-01 UTC.
+
+// Geographic fields recognised by name (see applyGeoSemantics and addLatLonFields).
+const GEO_FIELD_PATTERNS = [
+  { semanticType: 'COUNTRY', pattern: /^country(_?name)?$/i },
+  { semanticType: 'CITY', pattern: /^city(_?name)?$/i },
+  { semanticType: 'REGION', pattern: /^(region|state|province)(_?name)?$/i },
+  { semanticType: 'POSTAL_CODE', pattern: /^(postal_?code|post_?code|zip(_?code)?)$/i }
+];
+const LATITUDE_FIELD_PATTERN = /^lat(itude)?$/i;
+const LONGITUDE_FIELD_PATTERN = /^(lon|lng|long|longitude)$/i;
+const LAT_LON_FIELD_NAME = 'lat_lon'; // Synthetic field combining a latitude/longitude pair, e.g., geo.lat_lon.
+
+// NUMBER fields recognised by name (see applyNumericSemantics): words are matched against the last word
+// of the field name (e.g., "unit_price", "unitPrice"), prefixes against the first (e.g., "num_stops").
+const NUMERIC_FIELD_PATTERNS = [
+  { conceptType: 'DIMENSION', words: ['id', 'key', 'code', 'sku', 'zip', 'phone'] },
+  // Date parts, numbers and versions, unless another word of the name is a quantity (e.g., "duration_hour", "total_number").
+  { conceptType: 'DIMENSION', unlessQuantity: true, words: ['number', 'year', 'quarter', 'month', 'week', 'day', 'hour', 'version'] },
+  { aggregation: 'AVG', semanticType: 'PERCENT', words: ['pct', 'percent', 'percentage', 'ratio', 'rate'], prefixes: ['pct'] },
+  { aggregation: 'AVG', words: ['rating', 'score', 'avg', 'average', 'mean'], prefixes: ['avg', 'average', 'mean'] },
+  { aggregation: 'AVG', semanticType: 'CURRENCY_USD', words: ['price'] },
+  { aggregation: 'SUM', semanticType: 'CURRENCY_USD', words: ['amount', 'cost', 'revenue', 'fee', 'salary', 'balance', 'spend', 'sales', 'income', 'tax'] },
+  { aggregation: 'SUM', semanticType: 'DURATION', words: ['duration', 'elapsed', 'seconds', 'secs'] },
+  { aggregation: 'SUM', words: ['count', 'qty', 'quantity', 'total'], prefixes: ['num', 'total', 'count'] }
+];
+
+// Paging defaults used when a data source does not override them in its configuration.
+const DEFAULT_PAGE_SIZE = 1000; // Rows requested per query page.
+const KEYSET_CURSOR_FIELD = '__lsc_cursor'; // Row alias of the document key in keyset paging; unlikely to collide with document fields.
+const DEFAULT_TIME_BUDGET_SECONDS = 240; // Stays well inside Apps Script's 6-minute execution limit.
+
+// Schema cache defaults (see getSchemaCacheKey).
+const DEFAULT_SCHEMA_CACHE_SECONDS = 600; // Ten minutes.
+const MAX_CACHE_SECONDS = 21600; // CacheService's maximum expiration (6 hours).
+
+// Retry policy for transient Couchbase HTTP failures (see fetchWithRetry).
+const MAX_FETCH_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 500; // Doubled after every failed attempt.
+const RETRYABLE_STATUS_CODES = [408, 429, 502, 503, 504];
+const RETRYABLE_QUERY_ERROR_CODES = [21002, 23000, 23003, 23007]; // Request timeout, temporarily unavailable, operation limit, job queue full.
+const EXECUTION_START_TIME = Date.now(); // Apps Script evaluates the global scope at the start of every execution.
+const EXECUTION_TIME_LIMIT_MS = 330000; // Leaves 30 seconds of Apps Script's 6-minute limit for building the response.
+
+// Storage formats of the "Date Range Field" filtered by the report's date range (see buildDateRangeCondition).
+const DATE_RANGE_FORMATS = ['iso8601', 'epochMillis', 'epochSeconds'];
+
+// Field overrides merged onto the inferred schema (see parseFieldOverrides and applyFieldOverrides).
+const FIELD_OVERRIDE_PROPERTIES = ['label', 'dataType', 'conceptType', 'aggregation', 'hidden'];
+const FIELD_OVERRIDES_EXAMPLE = '{"zip": {"dataType": "STRING"}, "internal_id": {"hidden": true}}';
+const FIELD_OVERRIDE_DATA_TYPES = ['STRING', 'NUMBER', 'BOOLEAN', 'URL', 'YEAR_MONTH_DAY', 'YEAR_MONTH_DAY_SECOND'];
+const FIELD_OVERRIDE_AGGREGATIONS = ['AUTO', 'SUM', 'AVG', 'MIN', 'MAX', 'COUNT', 'COUNT_DISTINCT', 'NONE'];
+
 // ==========================================================================
 // ===                       AUTHENTICATION FLOW                          ===
 // ==========================================================================
@@ -56,7 +112,7 @@ function validateCredentials(path, username, password) {
 
   try {
     Logger.log('Sending validation request...');
-    const response = UrlFetchApp.fetch(queryUrl, options);
+    const response = fetchWithRetry(queryUrl, options);
     const responseCode = response.getResponseCode();
     const responseText = response.getContentText(); 
     Logger.log('Validation response code: %s', responseCode);
@@ -115,6 +171,7 @@ function setCredentials(request) {
     userProperties.setProperty('dscc.path', path);
     userProperties.setProperty('dscc.username', username);
     userProperties.setProperty('dscc.password', password);
+    invalidateSchemaCache(); // Schemas cached under the previous credentials may no longer apply
     Logger.log('Credentials stored successfully.');
   } catch (e) {
     Logger.log('Error storing credentials: %s', e.toString());
@@ -140,6 +197,7 @@ function resetAuth() {
     userProperties.deleteProperty('dscc.path');
     userProperties.deleteProperty('dscc.username');
     userProperties.deleteProperty('dscc.password');
+    invalidateSchemaCache();
     Logger.log('Auth properties deleted.');
   } catch (e) {
     Logger.log('Error during resetAuth: %s', e.toString());
@@ -205,7 +263,7 @@ function fetchCouchbaseMetadata() {
     
     let hasSystemMetadata = false;
     try {
-      const metadataCheckResponse = UrlFetchApp.fetch(queryUrl, options);
+      const metadataCheckResponse = fetchWithRetry(queryUrl, options);
       if (metadataCheckResponse.getResponseCode() === 200) {
         const metadataCheckData = JSON.parse(metadataCheckResponse.getContentText());
         if (metadataCheckData.results && metadataCheckData.results.length > 0) {
@@ -229,7 +287,7 @@ function fetchCouchbaseMetadata() {
       
       options.payload = JSON.stringify(databaseQueryPayload);
       
-      const databaseResponse = UrlFetchApp.fetch(queryUrl, options);
+      const databaseResponse = fetchWithRetry(queryUrl, options);
       
       if (databaseResponse.getResponseCode() === 200) {
         const databaseData = JSON.parse(databaseResponse.getContentText());
@@ -251,7 +309,7 @@ function fetchCouchbaseMetadata() {
       
       options.payload = JSON.stringify(collectionsQueryPayload);
       
-      const collectionsResponse = UrlFetchApp.fetch(queryUrl, options);
+      const collectionsResponse = fetchWithRetry(queryUrl, options);
       
       if (collectionsResponse.getResponseCode() === 200) {
         const collectionsData = JSON.parse(collectionsResponse.getContentText());
@@ -319,7 +377,7 @@ function fetchCouchbaseMetadata() {
       options.payload = JSON.stringify(databaseQueryPayload);
       Logger.log('fetchCouchbaseMetadata: Querying for databases (legacy)');
       
-      const databaseResponse = UrlFetchApp.fetch(queryUrl, options);
+      const databaseResponse = fetchWithRetry(queryUrl, options);
       
       if (databaseResponse.getResponseCode() === 200) {
         const databaseData = JSON.parse(databaseResponse.getContentText());
@@ -347,7 +405,7 @@ function fetchCouchbaseMetadata() {
       options.payload = JSON.stringify(keyspaceQueryPayload);
       Logger.log('fetchCouchbaseMetadata: Querying for keyspaces (legacy)');
       
-      const keyspaceResponse = UrlFetchApp.fetch(queryUrl, options);
+      const keyspaceResponse = fetchWithRetry(queryUrl, options);
       
       if (keyspaceResponse.getResponseCode() === 200) {
         const keyspaceData = JSON.parse(keyspaceResponse.getContentText());
@@ -437,6 +495,75 @@ function fetchCouchbaseMetadata() {
   }
 }
 
+/**
+ * Fetches the field paths of a view or collection, sampled with array_infer_schema, that populate
+ * the config UI dropdowns: arrayFields lists the arrays of objects (for unnesting) and
+ * dateRangeFields the string and number fields (for the date range).
+ */
+function fetchFieldCandidates(entityPath) {
+  const userProperties = PropertiesService.getUserProperties();
+  const path = userProperties.getProperty('dscc.path');
+  const username = userProperties.getProperty('dscc.username');
+  const password = userProperties.getProperty('dscc.password');
+
+  if (!path || !username || !password) {
+    Logger.log('fetchFieldCandidates: Authentication credentials missing from storage.');
+    return { arrayFields: [], dateRangeFields: [] };
+  }
+
+  const queryUrl = constructApiUrl(path, 18095) + '/api/v1/request';
+  const options = {
+    method: 'post',
+    contentType: 'application/json',
+    headers: {
+      Authorization: 'Basic ' + Utilities.base64Encode(username + ':' + password)
+    },
+    payload: JSON.stringify({
+      statement: `SELECT array_infer_schema((SELECT VALUE t FROM ${entityPath} AS t LIMIT 100)) AS inferred_schema;`,
+      timeout: '60s'
+    }),
+    muteHttpExceptions: true,
+    validateHttpsCertificates: false
+  };
+
+  const arrayPaths = [];
+  const scalarPaths = [];
+  function collectFieldPaths(properties, prefix) {
+    Object.keys(properties || {}).forEach(key => {
+      const fieldInfo = properties[key];
+      const fieldName = prefix ? `${prefix}.${key}` : key;
+      const types = fieldInfo ? [].concat(fieldInfo.type) : [];
+      if (getArrayItemProperties(fieldInfo)) {
+        if (!arrayPaths.includes(fieldName)) arrayPaths.push(fieldName);
+      } else if (fieldInfo && fieldInfo.type === 'object') {
+        collectFieldPaths(fieldInfo.properties, fieldName);
+      } else if (types.some(type => type === 'string' || type === 'number' || type === 'bigint')) {
+        if (!scalarPaths.includes(fieldName)) scalarPaths.push(fieldName);
+      }
+    });
+  }
+
+  try {
+    const response = fetchWithRetry(queryUrl, options);
+    if (response.getResponseCode() !== 200) {
+      Logger.log('fetchFieldCandidates: Schema inference failed (%s): %s', response.getResponseCode(), response.getContentText());
+      return { arrayFields: [], dateRangeFields: [] };
+    }
+    const results = JSON.parse(response.getContentText()).results || [];
+    const flavors = results.length > 0 ? results[0].inferred_schema : null;
+    (flavors || []).forEach(flavor => {
+      if (flavor && flavor.properties) {
+        collectFieldPaths(flavor.properties, '');
+      }
+    });
+  } catch (e) {
+    Logger.log('Error in fetchFieldCandidates: %s', e.toString());
+  }
+
+  Logger.log('fetchFieldCandidates: Array fields of %s: %s, date range fields: %s', entityPath, JSON.stringify(arrayPaths), JSON.stringify(scalarPaths));
+  return { arrayFields: arrayPaths, dateRangeFields: scalarPaths };
+}
+
 /**
  * Returns the user configurable options for the connector.
  */
@@ -562,9 +689,28 @@ function getConfig(request) {
           .newTextInput()
           .setId('maxRows')
           .setName('Maximum Rows')
-          .setHelpText('Maximum number of rows to return (optional - leave blank for no limit).')
+          .setHelpText('Maximum number of rows to return across all pages (optional - leave blank for no limit).')
           .setPlaceholder('Leave blank for no limit')
           .setAllowOverride(true);
+        addPagingConfig(config);
+        addSchemaCacheConfig(config);
+        addFieldOverridesConfig(config);
+
+        // The unnest and date range dropdowns list fields sampled from the selected entity
+        const selectedPath = '`' + configParams.database + '`.`' + configParams.scope + '`.`' + configParams[entityFieldName] + '`';
+        const fieldCandidates = fetchFieldCandidates(selectedPath);
+
+        // Unnest: return one row per element of an array of objects
+        const unnestFieldSelect = config
+          .newSelectSingle()
+          .setId('unnestField')
+          .setName('Unnest Array Field')
+          .setHelpText('Array of objects to return as one row per element, with the element\'s properties as fields alongside the parent fields. Leave empty to return one row per document.')
+          .setAllowOverride(true);
+        fieldCandidates.arrayFields.forEach(fieldName => {
+          unnestFieldSelect.addOption(config.newOptionBuilder().setLabel(fieldName).setValue(fieldName));
+        });
+        addDateRangeConfig(config, fieldCandidates.dateRangeFields);
       }
 
     } else if (currentMode === 'customQuery') {
@@ -584,6 +730,24 @@ function getConfig(request) {
         .setHelpText('Enter a valid Columnar query. Ensure you include a LIMIT clause if needed.')
         .setPlaceholder('SELECT airline.name, airline.iata, airline.country FROM `travel-sample`.`inventory`.`airline` AS airline WHERE airline.country = \"France\" LIMIT 100')
         .setAllowOverride(true);
+
+      config
+        .newTextInput()
+        .setId('maxRows')
+        .setName('Maximum Rows')
+        .setHelpText('Maximum number of rows to return across all pages (optional - leave blank for no limit).')
+        .setPlaceholder('Leave blank for no limit')
+        .setAllowOverride(true);
+      addPagingConfig(config);
+      addSchemaCacheConfig(config);
+      addFieldOverridesConfig(config);
+
+      config.newInfo()
+        .setId('date_range_info')
+        .setText('To filter by the report date range, use @DS_START_DATE and @DS_END_DATE in your query. They are replaced by the first and last day of the range as "YYYY-MM-DD" strings, e.g., WHERE SUBSTR(created_at, 0, 10) BETWEEN @DS_START_DATE AND @DS_END_DATE.');
+
+      // Always request a date range; it is ignored unless the query uses the placeholders
+      config.setDateRangeRequired(true);
       
       isStepped = false; // Config is complete once the custom query text area is shown
     }
@@ -604,6 +768,85 @@ function getConfig(request) {
   }
 }
 
+/**
+ * Adds the paging inputs shared by all configuration modes: rows requested per
+ * query page and the time budget for fetching pages in one getData call.
+ */
+function addPagingConfig(config) {
+  config
+    .newTextInput()
+    .setId('pageSize')
+    .setName('Page Size')
+    .setHelpText(`Number of rows fetched per query request while paging through results (default: ${DEFAULT_PAGE_SIZE}).`)
+    .setPlaceholder(String(DEFAULT_PAGE_SIZE))
+    .setAllowOverride(true);
+
+  config
+    .newTextInput()
+    .setId('timeBudgetSeconds')
+    .setName('Time Budget (seconds)')
+    .setHelpText(`Stop fetching further pages after this many seconds and return the rows retrieved so far (default: ${DEFAULT_TIME_BUDGET_SECONDS}).`)
+    .setPlaceholder(String(DEFAULT_TIME_BUDGET_SECONDS))
+    .setAllowOverride(true);
+}
+
+/**
+ * Adds the schema cache input shared by all configuration modes.
+ */
+function addSchemaCacheConfig(config) {
+  config
+    .newTextInput()
+    .setId('schemaCacheSeconds')
+    .setName('Schema Cache Duration (seconds)')
+    .setHelpText(`How long the inferred schema is reused before it is inferred again (default: ${DEFAULT_SCHEMA_CACHE_SECONDS}, maximum: ${MAX_CACHE_SECONDS}). "Refresh fields" always infers it again. Enter 0 to infer the schema on every request.`)
+    .setPlaceholder(String(DEFAULT_SCHEMA_CACHE_SECONDS))
+    .setAllowOverride(true);
+}
+
+/**
+ * Adds the field overrides input shared by all configuration modes: a JSON object keyed
+ * by field name, applied to the inferred schema by getSchema (see parseFieldOverrides).
+ */
+function addFieldOverridesConfig(config) {
+  config
+    .newTextArea()
+    .setId('fieldOverrides')
+    .setName('Field Overrides (Optional)')
+    .setHelpText(`JSON object keyed by field name; each entry may set ${FIELD_OVERRIDE_PROPERTIES.join(', ')}.`)
+    .setPlaceholder(FIELD_OVERRIDES_EXAMPLE)
+    .setAllowOverride(true);
+}
+
+/**
+ * Adds the date range inputs for views and collections: the timestamp field filtered by
+ * the report's date range control, chosen from the sampled fields, and how it is stored
+ * (see buildDateRangeCondition).
+ */
+function addDateRangeConfig(config, fieldNames) {
+  const dateRangeFieldSelect = config
+    .newSelectSingle()
+    .setId('dateRangeField')
+    .setName('Date Range Field')
+    .setHelpText('Timestamp field filtered by the report date range control. Leave empty to ignore the date range.')
+    .setAllowOverride(true);
+  fieldNames.forEach(fieldName => {
+    dateRangeFieldSelect.addOption(config.newOptionBuilder().setLabel(fieldName).setValue(fieldName));
+  });
+
+  config
+    .newSelectSingle()
+    .setId('dateRangeFormat')
+    .setName('Date Range Field Format')
+    .setHelpText('How the date range field is stored in your documents (default: ISO-8601 string).')
+    .setAllowOverride(true)
+    .addOption(config.newOptionBuilder().setLabel('ISO-8601 string').setValue('iso8601'))
+    .addOption(config.newOptionBuilder().setLabel('Epoch milliseconds').setValue('epochMillis'))
+    .addOption(config.newOptionBuilder().setLabel('Epoch seconds').setValue('epochSeconds'));
+
+  // Always request a date range; it is ignored unless a date range field is selected
+  config.setDateRangeRequired(true);
+}
+
 /**
  * Validates the user configuration and returns the validated configuration object.
  *
@@ -655,14 +898,30 @@ function validateConfig(configParams) {
     validatedConfig[entityFieldName] = configParams[entityFieldName].trim();
     validatedConfig.maxRows = configParams.maxRows && parseInt(configParams.maxRows) > 0 ? 
                              parseInt(configParams.maxRows) : null; // No limit if not specified
+    validatedConfig.unnestField = configParams.unnestField ? configParams.unnestField.trim() : null;
+    validatedConfig.dateRangeField = configParams.dateRangeField ? configParams.dateRangeField.trim() : null;
+    validatedConfig.dateRangeFormat = configParams.dateRangeFormat || 'iso8601';
+    if (DATE_RANGE_FORMATS.indexOf(validatedConfig.dateRangeFormat) === -1) {
+      throwUserError(`Invalid date range field format "${validatedConfig.dateRangeFormat}". Use one of: ${DATE_RANGE_FORMATS.join(', ')}.`);
+    }
   } else if (configParams.configMode === 'customQuery') {
     if (!configParams.query || configParams.query.trim() === '') {
       throwUserError('Custom query must be specified in "Use Custom Query" mode.');
     }
     validatedConfig.query = configParams.query.trim();
+    validatedConfig.maxRows = configParams.maxRows && parseInt(configParams.maxRows) > 0 ? 
+                             parseInt(configParams.maxRows) : null; // No limit if not specified
   } else {
     throwUserError('Invalid configuration mode selected.');
   }
+
+  // Paging settings apply to every mode
+  validatedConfig.pageSize = configParams.pageSize && parseInt(configParams.pageSize) > 0 ?
+                             parseInt(configParams.pageSize) : DEFAULT_PAGE_SIZE;
+  validatedConfig.timeBudgetSeconds = configParams.timeBudgetSeconds && parseInt(configParams.timeBudgetSeconds) > 0 ?
+                             parseInt(configParams.timeBudgetSeconds) : DEFAULT_TIME_BUDGET_SECONDS;
+  validatedConfig.schemaCacheSeconds = getCacheSeconds(configParams.schemaCacheSeconds, DEFAULT_SCHEMA_CACHE_SECONDS);
+  validatedConfig.fieldOverrides = parseFieldOverrides(configParams.fieldOverrides); // Throws if an override is invalid
   
   Logger.log('Config validation successful: %s', JSON.stringify(validatedConfig));
   return validatedConfig;
@@ -676,24 +935,25 @@ function validateConfig(configParams) {
  * Gets the requested fields from the request.
  *
  * @param {Object} request The request.
+ * @param {Array} [fullSchema] The data source schema, if already fetched.
  * @return {Fields} The requested fields.
  */
-function getRequestedFields(request) {
+function getRequestedFields(request, fullSchema) {
   const cc = DataStudioApp.createCommunityConnector();
   const requestedFields = cc.getFields(); // Start with an empty Fields object
   
   // Log the raw request fields for inspection
   Logger.log('getRequestedFields: Raw request.fields from Looker Studio: %s', JSON.stringify(request.fields));
 
+  // Fetch the full schema once for all requested fields (unless the caller already has it)
+  fullSchema = fullSchema || getCachedSchema(request).schema;
+
   // Populate the Fields object using the information provided in the request
   request.fields.forEach(fieldInfo => {
     // Looker Studio provides the name and the inferred type/aggregation.
     // We need to respect this when building the Fields object for the getData response.
     Logger.log('getRequestedFields: Adding field [%s] to response schema', fieldInfo.name);
     
-    // Fetch the full schema first
-    const fullSchema = getSchema(request).schema; // Assuming getSchema is idempotent and fast enough
-    
     // Find the definition for the current requested field
     const fieldDefinition = fullSchema.find(field => field.name === fieldInfo.name);
     
@@ -715,6 +975,12 @@ function getRequestedFields(request) {
          case 'URL':
            fieldTypeEnum = cc.FieldType.URL;
            break;
+         case 'YEAR_MONTH_DAY':
+           fieldTypeEnum = cc.FieldType.YEAR_MONTH_DAY;
+           break;
+         case 'YEAR_MONTH_DAY_SECOND':
+           fieldTypeEnum = cc.FieldType.YEAR_MONTH_DAY_SECOND;
+           break;
          case 'STRING': // Fallthrough for STRING and any other unhandled types
          case 'TEXT': // Explicitly handle TEXT if getDataType returns it
          case 'DATE': // Handle DATE if getDataType were to return it
@@ -724,6 +990,10 @@ function getRequestedFields(request) {
            fieldTypeEnum = cc.FieldType.TEXT; // Default to TEXT
            break;
        }
+       // Geographic fields are STRING fields with a geo semantic type (e.g., COUNTRY)
+       if (fieldDefinition.semantics.semanticGroup === 'GEO') {
+         fieldTypeEnum = cc.FieldType[fieldDefinition.semantics.semanticType];
+       }
        
        if (fieldDefinition.semantics.conceptType === 'METRIC') {
          requestedFields.newMetric()
@@ -857,12 +1127,67 @@ function processDocument(document) {
 }
 
 /**
- * Returns the schema for the given request.
+ * Returns the schema for the given request, with the user's field overrides applied (see
+ * applyFieldOverrides), so getData formats values with the overridden data types.
+ * Looker Studio calls getSchema when the data source is created or its fields are
+ * refreshed, so the schema is always inferred again here; the result is cached per user
+ * and configuration for schemaCacheSeconds, for getData to reuse (see getCachedSchema).
  *
  * @param {Object} request The request.
  * @return {Object} The schema response.
  */
 function getSchema(request) {
+  const configParams = request.configParams || {};
+  const schemaResponse = inferSchema(request);
+  try {
+    schemaResponse.schema = applyFieldOverrides(schemaResponse.schema, parseFieldOverrides(configParams.fieldOverrides));
+  } catch (e) {
+    Logger.log('getSchema: Invalid field overrides: %s', e.message);
+    DataStudioApp.createCommunityConnector()
+      .newUserError()
+      .setText(e.message)
+      .setDebugText(e.debugText || '')
+      .throwException();
+  }
+
+  const cacheSeconds = getCacheSeconds(configParams.schemaCacheSeconds, DEFAULT_SCHEMA_CACHE_SECONDS);
+  const cacheKey = cacheSeconds > 0 ? getSchemaCacheKey(configParams) : null;
+  if (cacheKey) {
+    writeSchemaCache(cacheKey, schemaResponse.schema, cacheSeconds);
+  }
+  return schemaResponse;
+}
+
+/**
+ * Returns the schema getData needs on every chart render: the schema cached by the last
+ * getSchema call for this user and configuration, or a freshly inferred one (see getSchema).
+ *
+ * @param {Object} request The request.
+ * @return {Object} The schema response.
+ */
+function getCachedSchema(request) {
+  const configParams = request.configParams || {};
+  const cacheSeconds = getCacheSeconds(configParams.schemaCacheSeconds, DEFAULT_SCHEMA_CACHE_SECONDS);
+  const cacheKey = cacheSeconds > 0 ? getSchemaCacheKey(configParams) : null;
+
+  if (cacheKey) {
+    const cachedSchema = readSchemaCache(cacheKey);
+    if (cachedSchema) {
+      Logger.log('getCachedSchema: Using cached schema with %s fields.', cachedSchema.length);
+      return { schema: cachedSchema };
+    }
+  }
+  return getSchema(request);
+}
+
+/**
+ * Infers the schema for the given request with array_infer_schema
+ * (or uses the schema provided in the configuration).
+ *
+ * @param {Object} request The request.
+ * @return {Object} The schema response.
+ */
+function inferSchema(request) {
   Logger.log('getSchema request: %s', JSON.stringify(request));
 
   try {
@@ -890,7 +1215,11 @@ function getSchema(request) {
     }
 
     // --- Schema Processing Helper Functions ---
-    function mapInferredTypeToLookerType(inferredType) {
+    function mapInferredTypeToLookerType(inferredType, samples) {
+      // Dates stored as ISO-8601 strings or epoch milliseconds are detected from the samples
+      const dateType = detectDateType(inferredType, samples);
+      if (dateType) return dateType;
+
       if (Array.isArray(inferredType)) {
         if (inferredType.includes('string')) return 'STRING';
         if (inferredType.includes('number')) return 'NUMBER';
@@ -939,7 +1268,8 @@ function getSchema(request) {
            Logger.log('processInferredProperties: Added field for array (as STRING): %s', fieldName);
         } else {
           // Handle primitive types (string, number, boolean, null, or mixed)
-          const lookerType = mapInferredTypeToLookerType(fieldInfo.type);
+          const lookerType = mapInferredTypeToLookerType(fieldInfo.type, fieldInfo.samples);
+          fieldSamples[fieldName] = (fieldSamples[fieldName] || []).concat(fieldInfo.samples || []);
           const conceptType = getConceptTypeFromLookerType(lookerType);
           fields.push({
             name: fieldName,
@@ -972,14 +1302,17 @@ function getSchema(request) {
       
       // Use same limit as data query for consistency
       const limitClause = configParams.maxRows ? ` LIMIT ${configParams.maxRows}` : '';
-      inferSchemaQuery = `SELECT array_infer_schema((SELECT VALUE t FROM ${targetCollectionPath} AS t${limitClause})) AS inferred_schema;`;
+      // When unnesting, infer from the unnested rows so the element's properties become fields
+      const sourceQuery = configParams.unnestField ? buildUnnestQuery(targetCollectionPath, configParams.unnestField) :
+                          `SELECT VALUE t FROM ${targetCollectionPath} AS t`;
+      inferSchemaQuery = `SELECT array_infer_schema((${sourceQuery}${limitClause})) AS inferred_schema;`;
       Logger.log(`getSchema: Inferring schema from ${entityLabel.toLowerCase()}: %s`, targetCollectionPath);
     } else if (configParams.configMode === 'customQuery') {
        if (!configParams.query || configParams.query.trim() === '') {
          throwUserError('Custom query must be specified to infer schema in "Use Custom Query" mode.');
        }
-       // Use exact same query as data retrieval for consistency
-       let userQuery = configParams.query.trim().replace(/;$/, '');
+       // Use exact same query as data retrieval for consistency, with the default date range
+       let userQuery = applyDateRangePlaceholders(configParams.query.trim().replace(/;$/, ''));
        inferSchemaQuery = `SELECT array_infer_schema((${userQuery})) AS inferred_schema;`;
        Logger.log('getSchema: Inferring schema from custom query results.');
     } else {
@@ -1006,7 +1339,7 @@ function getSchema(request) {
       validateHttpsCertificates: false
     };
 
-    const response = UrlFetchApp.fetch(apiUrl, options);
+    const response = fetchWithRetry(apiUrl, options);
     const responseCode = response.getResponseCode();
     const responseBody = response.getContentText();
 
@@ -1014,6 +1347,7 @@ function getSchema(request) {
 
     if (responseCode !== 200) {
       Logger.log('API error in getSchema: %s, Error: %s', responseCode, responseBody);
+      throwMappedQueryError(responseCode, responseBody, payload.statement);
       throwUserError(`Couchbase API error during schema inference (${responseCode}): ${responseBody}`);
     }
 
@@ -1064,6 +1398,7 @@ function getSchema(request) {
     // Each flavor represents a different document structure variant
     let allFields = [];
     const processedFieldNames = new Set();
+    const fieldSamples = {}; // Sampled values per field name across all flavors, for applyNumericSemantics
     
     Logger.log('getSchema: Processing %d schema flavors from array_infer_schema', inferredSchemaArray.length);
     
@@ -1106,6 +1441,11 @@ function getSchema(request) {
        throwUserError('Schema inference failed: Could not find properties in any schema flavor.');
     }
 
+    // Numeric and geographic fields are recognised by name once all flavors have been merged
+    allFields.forEach(field => applyNumericSemantics(field, fieldSamples[field.name]));
+    allFields.forEach(applyGeoSemantics);
+    addLatLonFields(allFields);
+
     let fields = allFields;
 
     if (fields.length === 0) {
@@ -1126,6 +1466,7 @@ function getSchema(request) {
       DataStudioApp.createCommunityConnector()
         .newUserError()
         .setText(e.message)
+        .setDebugText(e.debugText || '')
         .throwException();
     }
     
@@ -1272,6 +1613,7 @@ function buildSchema(result) {
  */
 function getData(request) {
   Logger.log('getData request: %s', JSON.stringify(request));
+  const startTime = Date.now(); // The paging time budget is measured from here
   
   try {
     // Get credentials from user properties
@@ -1293,15 +1635,18 @@ function getData(request) {
     }
     
     // Get requested fields
-    const requestedFieldsObject = getRequestedFields(request); // Renamed for clarity
+    const fullSchema = getCachedSchema(request).schema;
+    const requestedFieldsObject = getRequestedFields(request, fullSchema); // Renamed for clarity
     const requestedFieldsArray = requestedFieldsObject.asArray(); // Array of Field objects
     const requestedFieldIds = requestedFieldsArray.map(field => field.getId()); // Get the array of IDs
 
     Logger.log('Requested fields object: %s', JSON.stringify(requestedFieldsArray));
     Logger.log('Requested field IDs array: %s', JSON.stringify(requestedFieldIds)); // Log the IDs
     
-    // Determine max rows (null means no limit)
-    const maxRows = configParams.maxRows ? parseInt(configParams.maxRows, 10) : null;
+    // Determine max rows (null means no limit) and paging settings
+    const maxRows = parseInt(configParams.maxRows, 10) > 0 ? parseInt(configParams.maxRows, 10) : null;
+    const pageSize = parseInt(configParams.pageSize, 10) || DEFAULT_PAGE_SIZE;
+    const timeBudgetSeconds = parseInt(configParams.timeBudgetSeconds, 10) || DEFAULT_TIME_BUDGET_SECONDS;
     
     // Construct the API URL
     const columnarUrl = constructApiUrl(path, 18095);
@@ -1313,6 +1658,7 @@ function getData(request) {
     
     // Prepare the query
     let query = '';
+    let pagingMode = null; // Chosen from the query when not set below (see executePagedQuery)
     
     if (configParams.configMode === 'view' || configParams.configMode === 'collection') {
       const isViewMode = configParams.configMode === 'view';
@@ -1337,8 +1683,13 @@ function getData(request) {
             // If fieldId is like 'schedule.day', we need the 'schedule' field.
             // If fieldId is like 'address.city', we need the 'address' field.
             // If fieldId is just 'airline', we need the 'airline' field.
-            const baseField = fieldId.split('.')[0].split('[')[0]; // Get the part before the first '.' or '['
-            requiredSourceFields.add(baseField);
+            // Synthetic LATITUDE_LONGITUDE fields (e.g., 'geo.lat_lon') need their latitude/longitude pair.
+            const latLonFields = getLatLonSourceFields(fieldId, fullSchema);
+            const sourceFieldIds = latLonFields ? [latLonFields.lat, latLonFields.lon] : [fieldId];
+            sourceFieldIds.forEach(sourceFieldId => {
+              const baseField = sourceFieldId.split('.')[0].split('[')[0]; // Get the part before the first '.' or '['
+              requiredSourceFields.add(baseField);
+            });
           });
           
           // Select only the required base fields, escaping them
@@ -1356,15 +1707,31 @@ function getData(request) {
          Logger.log('getData: No specific fields requested, using SELECT *');
       }
 
-      // Use standard string concatenation
-      const limitClause = configParams.maxRows ? ' LIMIT ' + configParams.maxRows : ''; // Only add LIMIT if specified
-      query = 'SELECT ' + selectClause + ' FROM ' + entityPath + limitClause;
+      // Documents outside the report's date range are skipped server-side (see buildDateRangeCondition)
+      const dateRangeCondition = configParams.dateRangeField && request.dateRange
+        ? buildDateRangeCondition('t', configParams.dateRangeField, configParams.dateRangeFormat || 'iso8601', request.dateRange)
+        : null;
+      const whereClause = dateRangeCondition ? ' WHERE ' + dateRangeCondition : '';
+
+      // Use standard string concatenation; the row limit is applied while paging
+      query = 'SELECT ' + selectClause + ' FROM ' + entityPath + (dateRangeCondition ? ' AS t' + whereClause : '');
+      if (!isViewMode && !configParams.unnestField) {
+        // Collection documents are paged by key, which avoids rescanning skipped rows
+        query = selectClause === '*'
+          ? 'SELECT VALUE OBJECT_ADD(t, "' + KEYSET_CURSOR_FIELD + '", META(t).id) FROM ' + entityPath + ' AS t' + whereClause
+          : 'SELECT META(t).id AS ' + KEYSET_CURSOR_FIELD + ', ' + Array.from(requiredSourceFields).map(baseField => 't.`' + baseField + '`').join(', ') + ' FROM ' + entityPath + ' AS t' + whereClause;
+        pagingMode = 'keyset';
+      }
+      if (configParams.unnestField) {
+        // Unnested rows replace the array with one of its elements (see buildUnnestQuery)
+        query = buildUnnestQuery(entityPath, configParams.unnestField, dateRangeCondition);
+      }
     } else if (configParams.configMode === 'customQuery') {
       // Use custom query
       if (!configParams.query || configParams.query.trim() === '') {
         throwUserError('Custom query is missing in "Use Custom Query" mode.');
       }
-      query = configParams.query.trim();
+      query = applyDateRangePlaceholders(configParams.query.trim().replace(/;$/, ''), request.dateRange);
       Logger.log('getData: Using custom query as provided.');
     } else {
       throwUserError('Invalid configuration mode specified for getData.');
@@ -1372,43 +1739,17 @@ function getData(request) {
     
     Logger.log('Executing query: %s', query);
     
-    // Setup the API request
-    const payload = {
-      statement: query,
-      timeout: '60s'  // Increased timeout for larger queries
-    };
-    
-    const options = {
-      method: 'post',
-      contentType: 'application/json',
-      headers: {
-        'Authorization': 'Basic ' + Utilities.base64Encode(username + ':' + password)
-      },
-      payload: JSON.stringify(payload),
-      muteHttpExceptions: true,
-      validateHttpsCertificates: false
-    };
-    
-    // Make the API request
-    const response = UrlFetchApp.fetch(apiUrl, options);
-    const responseCode = response.getResponseCode();
-    
-    if (responseCode !== 200) {
-      const errorText = response.getContentText();
-      Logger.log('API error in getData: %s, Error: %s', responseCode, errorText);
-      throwUserError(`Couchbase API error (${responseCode}): ${errorText}`);
-    }
-    
-    // Parse the response
-    const responseBody = response.getContentText();
-    let parsedResponse;
-    
-    try {
-      parsedResponse = JSON.parse(responseBody);
-    } catch (e) {
-      Logger.log('Error parsing API response: %s', e.message);
-      throwUserError('Invalid response from Couchbase API: ' + e.message);
+    // Page through the results rather than fetching them in a single response. Without a stable
+    // row order, OFFSET windows could repeat or skip rows, so such queries run in one request.
+    if (!pagingMode) {
+      pagingMode = hasTopLevelOrderBy(query) ? 'window' : 'single';
     }
+    const results = executePagedQuery(apiUrl, username, password, query, {
+      mode: pagingMode,
+      pageSize: pageSize,
+      maxRows: maxRows,
+      deadline: startTime + timeBudgetSeconds * 1000
+    });
     
     // Helper function to get nested values by path including arrays
     function getNestedValue(obj, path) {
@@ -1435,7 +1776,6 @@ function getData(request) {
     }
     
     // Process the results
-    const results = parsedResponse.results || [];
     const rows = [];
     
     results.forEach(result => {
@@ -1524,6 +1864,14 @@ function getData(request) {
         }
         // --- Modification End ---
 
+        // Synthetic LATITUDE_LONGITUDE fields combine their latitude/longitude pair
+        const latLonFields = (value === null || value === undefined) ? getLatLonSourceFields(fieldName, fullSchema) : null;
+        if (latLonFields) {
+          const lat = getNestedValue(dataObject, latLonFields.lat);
+          const lon = getNestedValue(dataObject, latLonFields.lon);
+          value = (typeof lat === 'number' && typeof lon === 'number') ? lat + ',' + lon : null;
+        }
+
         // Process and push value based on schema type
         let formattedValue = null;
         if (value === null || value === undefined) {
@@ -1553,10 +1901,12 @@ function getData(request) {
                  formattedValue = Boolean(value); // Standard JS boolean conversion
               }
               break;
-            // Add cases for YEAR_MONTH_DAY etc. if needed, formatting to YYYYMMDDhhmmss
-            // case DataStudioApp.createCommunityConnector().FieldType.YEAR_MONTH_DAY:
-            //   // Attempt to format 'value' into YYYYMMDD string
-            //   break; 
+            case DataStudioApp.createCommunityConnector().FieldType.YEAR_MONTH_DAY:
+              formattedValue = formatDateValue(value, 'YEAR_MONTH_DAY'); // YYYYMMDD
+              break;
+            case DataStudioApp.createCommunityConnector().FieldType.YEAR_MONTH_DAY_SECOND:
+              formattedValue = formatDateValue(value, 'YEAR_MONTH_DAY_SECOND'); // YYYYMMDDHHmmss
+              break;
             default: // STRING and others
               if (typeof value === 'object') {
                 formattedValue = JSON.stringify(value);
@@ -1593,6 +1943,7 @@ function getData(request) {
       DataStudioApp.createCommunityConnector()
         .newUserError()
         .setText(e.message)
+        .setDebugText(e.debugText || '')
         .throwException();
     }
     
@@ -1698,6 +2049,698 @@ function constructApiUrl(path, defaultPort) {
   return 'https://' + hostAndPort;
 }
 
+/**
+ * Sends an HTTP request with UrlFetchApp.fetch, retrying transient failures (network
+ * exceptions, RETRYABLE_STATUS_CODES and RETRYABLE_QUERY_ERROR_CODES) of idempotent
+ * requests with exponential backoff and jitter, or as long as the server's Retry-After
+ * header asks. Stops before the Apps Script execution time limit is reached.
+ * Returns the response of the last attempt, or throws its exception.
+ */
+function fetchWithRetry(url, options) {
+  const canRetry = isIdempotentRequest(options);
+  for (let attempt = 1; ; attempt++) {
+    let response = null;
+    let fetchError = null;
+    try {
+      response = UrlFetchApp.fetch(url, options);
+    } catch (e) {
+      fetchError = e;
+    }
+
+    const retryReason = fetchError ? fetchError.toString() : getRetryReason(response);
+    const delayMs = retryReason ? getRetryDelayMs(response, attempt) : 0;
+    const withinTimeLimit = Date.now() + delayMs < EXECUTION_START_TIME + EXECUTION_TIME_LIMIT_MS;
+    if (!retryReason || !canRetry || attempt >= MAX_FETCH_ATTEMPTS || !withinTimeLimit) {
+      if (retryReason) {
+        Logger.log('fetchWithRetry: Giving up on %s after %s attempt(s): %s', url, attempt, retryReason);
+      }
+      if (fetchError) {
+        throw fetchError;
+      }
+      return response;
+    }
+
+    Logger.log('fetchWithRetry: Attempt %s to %s failed (%s); retrying in %s ms.', attempt, url, retryReason, delayMs);
+    Utilities.sleep(delayMs);
+  }
+}
+
+/**
+ * Returns whether a request can safely be sent again: GET requests, and query requests
+ * whose statement only reads data (SELECT, WITH, INFER, EXPLAIN or ADVISE).
+ */
+function isIdempotentRequest(options) {
+  if (!options.method || options.method.toLowerCase() === 'get') {
+    return true;
+  }
+  try {
+    const payload = typeof options.payload === 'string' ? JSON.parse(options.payload) : options.payload;
+    return !!(payload && typeof payload.statement === 'string' &&
+      /^\s*\(?\s*(SELECT|WITH|INFER|EXPLAIN|ADVISE)\b/i.test(payload.statement));
+  } catch (e) {
+    return false; // Not a JSON query payload
+  }
+}
+
+/**
+ * Returns a description of the transient failure in a response, or null if the
+ * response is a success or a permanent failure.
+ */
+function getRetryReason(response) {
+  const responseCode = response.getResponseCode();
+  if (RETRYABLE_STATUS_CODES.indexOf(responseCode) !== -1) {
+    return 'HTTP ' + responseCode;
+  }
+  if (responseCode >= 200 && responseCode < 300) {
+    return null;
+  }
+  try {
+    const errors = JSON.parse(response.getContentText()).errors || [];
+    const retryableError = errors.find(error => RETRYABLE_QUERY_ERROR_CODES.indexOf(error.code) !== -1);
+    return retryableError ? 'HTTP ' + responseCode + ', error ' + retryableError.code + ': ' + retryableError.msg : null;
+  } catch (e) {
+    return null; // Not a JSON error response
+  }
+}
+
+/**
+ * Returns the delay in milliseconds before the next attempt: the server's Retry-After
+ * header (in seconds or as an HTTP date) if present, otherwise an exponential backoff
+ * with jitter. The response is null if the failed attempt threw.
+ */
+function getRetryDelayMs(response, attempt) {
+  const headers = response ? response.getHeaders() || {} : {};
+  const retryAfterKey = Object.keys(headers).find(key => key.toLowerCase() === 'retry-after');
+  if (retryAfterKey) {
+    const retryAfter = String(headers[retryAfterKey]).trim();
+    const retryAfterMs = /^\d+$/.test(retryAfter) ? parseInt(retryAfter, 10) * 1000 : Date.parse(retryAfter) - Date.now();
+    if (!isNaN(retryAfterMs)) {
+      return Math.max(retryAfterMs, 0);
+    }
+  }
+  const backoffMs = RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+  return Math.round(backoffMs / 2 + Math.random() * backoffMs / 2); // Jitter spreads out concurrent retries
+}
+
+/**
+ * Throws an actionable user error when a failed Columnar service response contains a
+ * well-known error code, keeping the raw response as debug text. Unknown errors are
+ * left to the caller.
+ */
+function throwMappedQueryError(responseCode, responseText, statement) {
+  let errors = [];
+  try {
+    errors = JSON.parse(responseText).errors || [];
+  } catch (e) {
+    return; // Not a JSON error response
+  }
+
+  const debugText = 'Columnar service error (HTTP ' + responseCode + ') for statement: ' + statement + '\nResponse: ' + responseText;
+  for (const error of errors) {
+    const message = describeQueryError(error.code, error.msg || '');
+    if (message) {
+      throwUserError(message, debugText);
+    }
+  }
+}
+
+/**
+ * Returns an actionable message for a well-known Columnar service error code,
+ * or null if the code is not a well-known one.
+ */
+function describeQueryError(code, msg) {
+  switch (code) {
+    case 24045: // Cannot find collection
+    case 24034: // Cannot find scope (dataverse)
+      return 'Couchbase could not find a collection or scope referenced by the query (' + msg + '). ' +
+        'Check that it still exists, or select the collection or view again in the data source settings.';
+    case 20000: // Authentication failure
+      return 'Couchbase rejected the username or password. Update the credentials by re-authenticating the data source.';
+    case 20001: // Insufficient privileges
+      return 'Your Couchbase user is not allowed to run this query (' + msg + '). ' +
+        'Ask a cluster administrator to grant read access to the queried collections.';
+    case 24000: // Syntax error
+      return 'The SQL++ query could not be parsed (' + msg + '). Correct the query in the data source settings.';
+    case 21002: // Timeout
+      return 'The query timed out (' + msg + '). Narrow the date range or filters, or use a smaller collection or view.';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Executes a Columnar query page by page and stitches the pages into a single result array.
+ * Stops once the total-row budget (maxRows) or the time budget (deadline) is exhausted;
+ * rows fetched before the deadline are returned as partial results. paging.mode is one of:
+ * - 'keyset': rows carry their document key as KEYSET_CURSOR_FIELD; each page continues after the
+ *   last key. The field is removed from the returned rows.
+ * - 'window': LIMIT/OFFSET windows over the query, which must have an ORDER BY so windows are stable.
+ * - 'single': one request for up to maxRows rows, for queries without a stable row order.
+ */
+function executePagedQuery(apiUrl, username, password, query, paging) {
+  let results = [];
+  let cursor = '';
+
+  while (true) {
+    const pageLimit = paging.maxRows === null ? paging.pageSize : Math.min(paging.pageSize, paging.maxRows - results.length);
+    if (pageLimit <= 0) {
+      Logger.log('executePagedQuery: Row budget of %s reached.', paging.maxRows);
+      break;
+    }
+    if (Date.now() > paging.deadline) {
+      Logger.log('executePagedQuery: Time budget exhausted after %s rows; returning partial results.', results.length);
+      break;
+    }
+
+    let pageQuery;
+    if (paging.mode === 'keyset') {
+      pageQuery = 'SELECT VALUE p FROM (' + query + ') AS p WHERE p.' + KEYSET_CURSOR_FIELD + ' > ' + JSON.stringify(cursor) +
+        ' ORDER BY p.' + KEYSET_CURSOR_FIELD + ' LIMIT ' + pageLimit;
+    } else if (paging.mode === 'window') {
+      pageQuery = 'SELECT VALUE p FROM (' + query + ') AS p LIMIT ' + pageLimit + ' OFFSET ' + results.length;
+    } else {
+      pageQuery = paging.maxRows === null ? query : 'SELECT VALUE p FROM (' + query + ') AS p LIMIT ' + paging.maxRows;
+    }
+    const payload = {
+      statement: pageQuery,
+      timeout: '60s'  // Increased timeout for larger queries
+    };
+    
+    const options = {
+      method: 'post',
+      contentType: 'application/json',
+      headers: {
+        'Authorization': 'Basic ' + Utilities.base64Encode(username + ':' + password)
+      },
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true,
+      validateHttpsCertificates: false
+    };
+    
+    const response = fetchWithRetry(apiUrl, options);
+    const responseCode = response.getResponseCode();
+    
+    if (responseCode !== 200) {
+      const errorText = response.getContentText();
+      Logger.log('API error in getData: %s, Error: %s', responseCode, errorText);
+      throwMappedQueryError(responseCode, errorText, payload.statement);
+      throwUserError(`Couchbase API error (${responseCode}): ${errorText}`);
+    }
+    
+    let parsedResponse;
+    try {
+      parsedResponse = JSON.parse(response.getContentText());
+    } catch (e) {
+      Logger.log('Error parsing API response: %s', e.message);
+      throwUserError('Invalid response from Couchbase API: ' + e.message);
+    }
+
+    const page = parsedResponse.results || [];
+    results = results.concat(page);
+    Logger.log('executePagedQuery: Fetched page of %s rows (%s total).', page.length, results.length);
+
+    if (paging.mode === 'single' || page.length < pageLimit) {
+      break; // Last page
+    }
+    if (paging.mode === 'keyset') {
+      cursor = page[page.length - 1][KEYSET_CURSOR_FIELD];
+      if (cursor === undefined || cursor === null) {
+        Logger.log('executePagedQuery: Last row has no %s; stopping keyset pagination.', KEYSET_CURSOR_FIELD);
+        break;
+      }
+    }
+  }
+  if (paging.mode === 'keyset') {
+    results.forEach(row => {
+      if (row && typeof row === 'object') {
+        delete row[KEYSET_CURSOR_FIELD];
+      }
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Returns whether a query ends with its own ORDER BY, outside subqueries and string
+ * literals, so LIMIT/OFFSET windows over it return each row exactly once.
+ */
+function hasTopLevelOrderBy(query) {
+  let topLevel = query.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`[^`]*`/g, '""');
+  let previous;
+  do {
+    previous = topLevel;
+    topLevel = topLevel.replace(/\([^()]*\)/g, '()');
+  } while (topLevel !== previous);
+  return /\border\s+by\b/i.test(topLevel);
+}
+
+/**
+ * Returns the merged properties of the objects held by an array field in
+ * array_infer_schema output, or null if the field is not an array of objects.
+ * Elements with varying shapes are described as a list of schemas; the first
+ * definition of each property wins.
+ */
+function getArrayItemProperties(fieldInfo) {
+  if (!fieldInfo || fieldInfo.type !== 'array' || !fieldInfo.items) {
+    return null;
+  }
+  const itemSchemas = Array.isArray(fieldInfo.items) ? fieldInfo.items : [fieldInfo.items];
+  const properties = {};
+  itemSchemas.forEach(itemSchema => {
+    if (itemSchema && itemSchema.properties) {
+      Object.keys(itemSchema.properties).forEach(key => {
+        if (!properties.hasOwnProperty(key)) {
+          properties[key] = itemSchema.properties[key];
+        }
+      });
+    }
+  });
+  return Object.keys(properties).length > 0 ? properties : null;
+}
+
+/**
+ * Builds a query returning one row per element of an array field: each row is the
+ * parent document with the array replaced by that element, so element properties
+ * are read as nested fields of the array (e.g., schedule.day). If whereCondition is set
+ * (a condition on alias t), only matching documents are unnested.
+ */
+function buildUnnestQuery(entityPath, arrayField, whereCondition) {
+  const pathParts = arrayField.split('.');
+  const quotedPath = parts => ['t'].concat(parts.map(part => '`' + part + '`')).join('.');
+  // Replace the array one level at a time: OBJECT_PUT(t, "a", OBJECT_PUT(t.a, "b", item))
+  let rowExpression = 'item';
+  for (let i = pathParts.length - 1; i >= 0; i--) {
+    rowExpression = 'OBJECT_PUT(' + quotedPath(pathParts.slice(0, i)) + ', ' + JSON.stringify(pathParts[i]) + ', ' + rowExpression + ')';
+  }
+  const whereClause = whereCondition ? ' WHERE ' + whereCondition : '';
+  return 'SELECT VALUE ' + rowExpression + ' FROM ' + entityPath + ' AS t UNNEST ' + quotedPath(pathParts) + ' AS item' + whereClause;
+}
+
+/**
+ * Builds a condition restricting the "Date Range Field" of the given alias to the report's
+ * date range (request.dateRange, whose end date is inclusive). The field is compared with
+ * epoch milliseconds, or seconds for 'epochSeconds'; ISO-8601 strings are compared as
+ * instants so values with different UTC offsets sort correctly.
+ */
+function buildDateRangeCondition(alias, fieldName, format, dateRange) {
+  const start = Date.parse(dateRange.startDate + 'T00:00:00Z');
+  const end = Date.parse(dateRange.endDate + 'T00:00:00Z') + 24 * 60 * 60 * 1000;
+  if (isNaN(start) || isNaN(end)) {
+    throwUserError(`Invalid date range: ${dateRange.startDate} - ${dateRange.endDate}`);
+  }
+  const fieldPath = alias + '.' + fieldName.split('.').map(part => '`' + part + '`').join('.');
+  const divisor = format === 'epochSeconds' ? 1000 : 1;
+  const fieldExpression = format === 'iso8601' ? 'STR_TO_MILLIS(' + fieldPath + ')' : fieldPath;
+  const condition = fieldExpression + ' >= ' + (start / divisor) + ' AND ' + fieldExpression + ' < ' + (end / divisor);
+  Logger.log('buildDateRangeCondition: Generated condition: %s', condition);
+  return condition;
+}
+
+/**
+ * Replaces the @DS_START_DATE and @DS_END_DATE placeholders in a custom query with the first
+ * and last day of the date range, as "YYYY-MM-DD" string literals. Without a date range
+ * (e.g., when inferring the schema), the last 28 days up to yesterday are used, matching
+ * Looker Studio's default range. Placeholders inside string literals and backticked
+ * identifiers are left unchanged.
+ */
+function applyDateRangePlaceholders(statement, dateRange) {
+  let range = dateRange;
+  if (!range || !range.startDate || !range.endDate) {
+    const dayMillis = 24 * 60 * 60 * 1000;
+    const today = Date.parse(new Date().toISOString().substring(0, 10) + 'T00:00:00Z');
+    range = {
+      startDate: new Date(today - 28 * dayMillis).toISOString().substring(0, 10),
+      endDate: new Date(today - dayMillis).toISOString().substring(0, 10)
+    };
+  }
+  // The dates are inlined, so anything but YYYY-MM-DD is rejected
+  if (!ISO_DATE_PATTERN.test(range.startDate) || !ISO_DATE_PATTERN.test(range.endDate)) {
+    throwUserError(`Invalid date range: ${range.startDate} - ${range.endDate}`);
+  }
+
+  // Literals are matched first so placeholders inside them are kept as written
+  const tokenPattern = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`[^`]*`|@DS_(START|END)_DATE\b/g;
+  return statement.replace(tokenPattern, (token, bound) => {
+    if (bound === 'START') return '"' + range.startDate + '"';
+    if (bound === 'END') return '"' + range.endDate + '"';
+    return token;
+  });
+}
+
+/**
+ * Refines the semantics of a NUMBER field from its name (see NUMERIC_FIELD_PATTERNS) and
+ * sampled values, since summing every number misleads charts (e.g., a summed year).
+ * Identifiers, codes and date parts holding integers become dimensions (unless the name
+ * also names a quantity, e.g., duration_hour), as do fields whose
+ * samples are only 0 and 1 (flags). Metrics get a defaultAggregationType (e.g., AVG for
+ * ratios and ratings) and a semantic type where the samples support it: PERCENT for ratios
+ * between 0 and 1, CURRENCY_USD for amounts and prices, DURATION for non-negative seconds.
+ */
+function applyNumericSemantics(field, samples) {
+  if (field.dataType !== 'NUMBER') {
+    return field;
+  }
+  const values = (samples || []).filter(sample => typeof sample === 'number');
+  const words = field.name.split('.').pop()
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2') // camelCase -> camel_Case
+    .toLowerCase().split(/[^a-z0-9]+/).filter(word => word !== '');
+  const wordMatch = NUMERIC_FIELD_PATTERNS.find(entry => entry.words.includes(words[words.length - 1]));
+  const prefixMatch = words.length > 1 ? NUMERIC_FIELD_PATTERNS.find(entry => (entry.prefixes || []).includes(words[0])) : null;
+
+  const hasQuantityWord = words.some(word => NUMERIC_FIELD_PATTERNS.some(entry =>
+    entry.aggregation && (entry.words.includes(word) || (entry.prefixes || []).includes(word))));
+  const isIdentifier = wordMatch && wordMatch.conceptType === 'DIMENSION' && !prefixMatch &&
+    !(wordMatch.unlessQuantity && hasQuantityWord) && values.every(Number.isInteger);
+  const isFlag = !wordMatch && !prefixMatch && values.length >= 2 && values.every(value => value === 0 || value === 1);
+  if (isIdentifier || isFlag) {
+    field.semantics = { conceptType: 'DIMENSION' };
+    return field;
+  }
+
+  field.semantics = { conceptType: 'METRIC', isReaggregatable: true };
+  const aggregation = (prefixMatch && prefixMatch.aggregation) || (wordMatch && wordMatch.aggregation);
+  if (aggregation) {
+    field.defaultAggregationType = aggregation;
+  }
+  const semanticType = (wordMatch && wordMatch.semanticType) || (prefixMatch && prefixMatch.semanticType);
+  const isSupported = semanticType === 'PERCENT' ? values.length > 0 && values.every(value => value >= 0 && value <= 1)
+    : semanticType === 'DURATION' ? values.every(value => value >= 0)
+    : Boolean(semanticType);
+  if (isSupported) {
+    field.semantics.semanticType = semanticType;
+    field.semantics.semanticGroup = semanticType === 'CURRENCY_USD' ? 'CURRENCY' : 'NUMERIC';
+  }
+  return field;
+}
+
+/**
+ * Tags a schema field with a Looker Studio geo semantic type when its name (the last
+ * path segment) looks like a country, city, region or postal code. Only STRING fields
+ * are tagged, except postal codes, which are also recognised when stored as numbers.
+ */
+function applyGeoSemantics(field) {
+  const baseName = field.name.split('.').pop();
+  const geoPattern = GEO_FIELD_PATTERNS.find(entry => entry.pattern.test(baseName));
+  if (!geoPattern || !(field.dataType === 'STRING' || (field.dataType === 'NUMBER' && geoPattern.semanticType === 'POSTAL_CODE'))) {
+    return field;
+  }
+  field.dataType = 'STRING';
+  field.semantics = { conceptType: 'DIMENSION', semanticType: geoPattern.semanticType, semanticGroup: 'GEO' };
+  return field;
+}
+
+/**
+ * Finds the NUMBER latitude and longitude fields directly inside the object at prefix
+ * ('' for top-level fields). Returns { lat, lon } field names, or null.
+ */
+function findLatLonPair(prefix, schema) {
+  const siblings = schema.filter(field => field.dataType === 'NUMBER' &&
+    field.name.lastIndexOf('.') === (prefix ? prefix.length : -1) && (!prefix || field.name.startsWith(prefix + '.')));
+  const latField = siblings.find(field => LATITUDE_FIELD_PATTERN.test(field.name.split('.').pop()));
+  const lonField = siblings.find(field => LONGITUDE_FIELD_PATTERN.test(field.name.split('.').pop()));
+  return latField && lonField ? { lat: latField.name, lon: lonField.name } : null;
+}
+
+/**
+ * Adds a synthetic LATITUDE_LONGITUDE field (e.g., geo.lat_lon) to the schema for every
+ * object holding a latitude/longitude pair. getData fills it with "lat,lon" values.
+ */
+function addLatLonFields(schema) {
+  const prefixes = new Set(schema.map(field => field.name.split('.').slice(0, -1).join('.')));
+  prefixes.forEach(prefix => {
+    const fieldName = prefix ? prefix + '.' + LAT_LON_FIELD_NAME : LAT_LON_FIELD_NAME;
+    if (findLatLonPair(prefix, schema) && !schema.some(field => field.name === fieldName)) {
+      schema.push({
+        name: fieldName,
+        label: fieldName,
+        dataType: 'STRING',
+        semantics: { conceptType: 'DIMENSION', semanticType: 'LATITUDE_LONGITUDE', semanticGroup: 'GEO' }
+      });
+      Logger.log('addLatLonFields: Added field [%s]', fieldName);
+    }
+  });
+}
+
+/**
+ * Returns the { lat, lon } field names behind a synthetic LATITUDE_LONGITUDE field,
+ * or null if fieldName is not one.
+ */
+function getLatLonSourceFields(fieldName, schema) {
+  const fieldDefinition = schema.find(field => field.name === fieldName);
+  if (!fieldDefinition || !fieldDefinition.semantics || fieldDefinition.semantics.semanticType !== 'LATITUDE_LONGITUDE') {
+    return null;
+  }
+  return findLatLonPair(fieldName.split('.').slice(0, -1).join('.'), schema);
+}
+
+/**
+ * Detects whether a field holds dates from its inferred type and sample values.
+ * Every non-empty sample must be an ISO-8601 date or datetime (optionally with a UTC offset),
+ * or, for purely numeric fields, an integer of epoch milliseconds between 2000 and 2100.
+ * Returns 'YEAR_MONTH_DAY', 'YEAR_MONTH_DAY_SECOND' or null.
+ */
+function detectDateType(inferredType, samples) {
+  const types = Array.isArray(inferredType) ? inferredType : [inferredType];
+  const nonEmptySamples = (samples || []).filter(sample => sample !== null && sample !== undefined && sample !== '');
+  if (nonEmptySamples.length === 0) {
+    return null;
+  }
+
+  if (types.every(type => type === 'string' || type === 'null')) {
+    if (nonEmptySamples.every(sample => typeof sample === 'string' && ISO_DATE_PATTERN.test(sample))) {
+      return 'YEAR_MONTH_DAY';
+    }
+    if (nonEmptySamples.every(sample => typeof sample === 'string' &&
+        (ISO_DATE_PATTERN.test(sample) || ISO_DATETIME_PATTERN.test(sample)))) {
+      return 'YEAR_MONTH_DAY_SECOND';
+    }
+  } else if (types.every(type => type === 'number' || type === 'bigint' || type === 'null')) {
+    if (nonEmptySamples.every(sample => Number.isInteger(sample) &&
+        sample >= EPOCH_MILLIS_RANGE.min && sample < EPOCH_MILLIS_RANGE.max)) {
+      return 'YEAR_MONTH_DAY_SECOND';
+    }
+  }
+  return null;
+}
+
+/**
+ * Formats an ISO-8601 string or epoch milliseconds as "YYYYMMDD" (YEAR_MONTH_DAY) or
+ * "YYYYMMDDHHmmss" (YEAR_MONTH_DAY_SECOND). Values with a UTC offset are converted to UTC;
+ * values without one are taken as-is. Returns null if the value is not a valid date.
+ */
+function formatDateValue(value, dateType) {
+  let millis;
+  if (typeof value === 'number') {
+    millis = value;
+  } else {
+    // Normalize to a form Date.parse reads unambiguously; without an offset, treat it as UTC
+    let isoString = String(value).trim().replace(' ', 'T');
+    if (ISO_DATE_PATTERN.test(isoString)) {
+      isoString += 'T00:00:00';
+    }
+    isoString = isoString.replace(/([+-]\d{2})(\d{2})$/, '$1:$2');
+    if (!/(Z|[+-]\d{2}:\d{2})$/.test(isoString)) {
+      isoString += 'Z';
+    }
+    millis = Date.parse(isoString);
+  }
+  if (isNaN(millis)) {
+    return null;
+  }
+
+  const digits = new Date(millis).toISOString().substring(0, 19).replace(/[-T:]/g, ''); // YYYYMMDDHHmmss
+  return dateType === 'YEAR_MONTH_DAY' ? digits.substring(0, 8) : digits;
+}
+
+/**
+ * Parses and validates the "Field Overrides" configuration: a JSON object keyed by field name
+ * (see FIELD_OVERRIDES_EXAMPLE). Returns the normalized overrides by field name (empty if none
+ * are set); enum values are upper-cased.
+ */
+function parseFieldOverrides(rawValue) {
+  if (!rawValue || String(rawValue).trim() === '') {
+    return {};
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(rawValue);
+  } catch (e) {
+    throwUserError('Field overrides must be a JSON object keyed by field name, e.g., ' + FIELD_OVERRIDES_EXAMPLE + '.', e.message);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throwUserError('Field overrides must be a JSON object keyed by field name, e.g., ' + FIELD_OVERRIDES_EXAMPLE + '.');
+  }
+
+  const overrides = {};
+  Object.keys(parsed).forEach(fieldName => {
+    const entry = parsed[fieldName];
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throwUserError('Field override for "' + fieldName + '" must be an object, e.g., ' + FIELD_OVERRIDES_EXAMPLE + '.');
+    }
+    const unknownProperty = Object.keys(entry).find(property => FIELD_OVERRIDE_PROPERTIES.indexOf(property) === -1);
+    if (unknownProperty) {
+      throwUserError('Unknown property "' + unknownProperty + '" in the field override for "' + fieldName + '". Use: ' + FIELD_OVERRIDE_PROPERTIES.join(', ') + '.');
+    }
+
+    const override = {};
+    if (entry.label !== undefined) {
+      if (typeof entry.label !== 'string' || entry.label.trim() === '') {
+        throwUserError('The label override for "' + fieldName + '" must be a non-empty string.');
+      }
+      override.label = entry.label.trim();
+    }
+    const enumOptions = [
+      { property: 'dataType', values: FIELD_OVERRIDE_DATA_TYPES },
+      { property: 'conceptType', values: ['DIMENSION', 'METRIC'] },
+      { property: 'aggregation', values: FIELD_OVERRIDE_AGGREGATIONS }
+    ];
+    enumOptions.forEach(option => {
+      if (entry[option.property] === undefined) {
+        return;
+      }
+      const value = String(entry[option.property]).trim().toUpperCase();
+      if (option.values.indexOf(value) === -1) {
+        throwUserError('Invalid ' + option.property + ' "' + entry[option.property] + '" in the field override for "' + fieldName + '". Use one of: ' + option.values.join(', ') + '.');
+      }
+      override[option.property] = value;
+    });
+    if (entry.hidden !== undefined) {
+      if (typeof entry.hidden !== 'boolean') {
+        throwUserError('The hidden override for "' + fieldName + '" must be true or false.');
+      }
+      override.hidden = entry.hidden;
+    }
+    overrides[fieldName] = override;
+  });
+  return overrides;
+}
+
+/**
+ * Returns a copy of the schema with the field overrides from parseFieldOverrides applied.
+ * A data type override drops the field's semantic type (e.g., POSTAL_CODE) and, unless
+ * conceptType is also set, makes NUMBER fields metrics and other types dimensions; NUMBER
+ * metrics are reaggregatable, as inferred ones are (see applyNumericSemantics). An
+ * aggregation sets the metric's defaultAggregationType in Looker Studio.
+ */
+function applyFieldOverrides(schema, overrides) {
+  const fieldNames = Object.keys(overrides);
+  if (fieldNames.length === 0) {
+    return schema;
+  }
+  const unknownField = fieldNames.find(fieldName => !schema.some(field => field.name === fieldName));
+  if (unknownField) {
+    throwUserError('Field override for "' + unknownField + '" does not match any field of the data source. Check the field name, e.g., "address.city" for nested fields.',
+      'Available fields: ' + schema.map(field => field.name).join(', '));
+  }
+
+  return schema.map(field => {
+    const override = overrides[field.name];
+    if (!override) {
+      return field;
+    }
+    const overridden = { ...field, semantics: { ...field.semantics } };
+    if (override.label) {
+      overridden.label = override.label;
+    }
+    if (override.dataType && override.dataType !== field.dataType) {
+      overridden.dataType = override.dataType;
+      overridden.semantics = { conceptType: override.dataType === 'NUMBER' ? 'METRIC' : 'DIMENSION' };
+    }
+    if (override.conceptType) {
+      overridden.semantics.conceptType = override.conceptType;
+    }
+    if (overridden.semantics.conceptType === 'METRIC' && overridden.dataType === 'NUMBER') {
+      overridden.semantics.isReaggregatable = true;
+    } else if (overridden.semantics.conceptType !== 'METRIC') {
+      // Dimensions are not aggregated, e.g., a rating (inferred AVG) turned into a dimension
+      delete overridden.defaultAggregationType;
+      delete overridden.semantics.isReaggregatable;
+    }
+    if (override.aggregation) {
+      if (overridden.semantics.conceptType !== 'METRIC') {
+        throwUserError('The aggregation override for "' + field.name + '" requires the field to be a metric. Add "conceptType": "METRIC" to its override.');
+      }
+      overridden.defaultAggregationType = override.aggregation;
+    }
+    if (override.hidden !== undefined) {
+      overridden.isHidden = override.hidden;
+    }
+    Logger.log('applyFieldOverrides: Field [%s] overridden: %s', field.name, JSON.stringify(overridden));
+    return overridden;
+  });
+}
+
+/**
+ * Parses a cache duration in seconds. Blank or invalid values use the default;
+ * 0 disables caching. Durations are capped at CacheService's 6-hour maximum.
+ */
+function getCacheSeconds(rawValue, defaultSeconds) {
+  const seconds = parseInt(rawValue, 10);
+  if (isNaN(seconds) || seconds < 0) {
+    return defaultSeconds;
+  }
+  return Math.min(seconds, MAX_CACHE_SECONDS);
+}
+
+/**
+ * Builds the schema cache key: a hash of the credentials path and username, the
+ * schema cache generation (see invalidateSchemaCache) and the configuration parameters.
+ * Returns null if no credentials are stored.
+ */
+function getSchemaCacheKey(configParams) {
+  const userProperties = PropertiesService.getUserProperties();
+  const path = userProperties.getProperty('dscc.path');
+  const username = userProperties.getProperty('dscc.username');
+  if (!path || !username) {
+    return null;
+  }
+
+  const generation = userProperties.getProperty('dscc.schemaCacheGeneration') || '0';
+  const sortedParams = {};
+  Object.keys(configParams).sort().forEach(key => {
+    sortedParams[key] = configParams[key];
+  });
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256,
+    [path, username, generation, JSON.stringify(sortedParams)].join('|'), Utilities.Charset.UTF_8);
+  return 'schema_' + Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * Reads a cached schema from the user cache. Returns null on a miss or error.
+ */
+function readSchemaCache(cacheKey) {
+  try {
+    const cachedValue = CacheService.getUserCache().get(cacheKey);
+    return cachedValue ? JSON.parse(cachedValue) : null;
+  } catch (e) {
+    Logger.log('readSchemaCache: Ignoring unreadable cache entry: %s', e.toString());
+    return null;
+  }
+}
+
+/**
+ * Stores a schema in the user cache. Failures (e.g., a schema above the 100KB
+ * value limit) are logged and ignored.
+ */
+function writeSchemaCache(cacheKey, schema, cacheSeconds) {
+  try {
+    CacheService.getUserCache().put(cacheKey, JSON.stringify(schema), cacheSeconds);
+    Logger.log('writeSchemaCache: Cached schema with %s fields for %s seconds.', schema.length, cacheSeconds);
+  } catch (e) {
+    Logger.log('writeSchemaCache: Could not cache schema: %s', e.toString());
+  }
+}
+
+/**
+ * Invalidates every cached schema of the current user by starting a new cache
+ * generation, which is part of each schema cache key.
+ */
+function invalidateSchemaCache() {
+  PropertiesService.getUserProperties().setProperty('dscc.schemaCacheGeneration', String(Date.now()));
+  Logger.log('invalidateSchemaCache: Started a new schema cache generation.');
+}
+
 /**
  * Helper function to get schema fields based on the request object.
  * Used when getData returns no results but schema is needed.
@@ -1710,13 +2753,14 @@ function getFieldsFromRequest(request) {
 }
 
 /**
- * Throws a user-friendly error message.
+ * Throws a user-friendly error message, with optional debug text shown to admins.
  */
-function throwUserError(message) {
+function throwUserError(message, debugText) {
   // Create a custom error that preserves the message when caught
   const customError = new Error(message);
   customError.name = 'UserError';
   customError.isUserError = true;
+  customError.debugText = debugText || '';
   throw customError;
 }
 
@@ -6,6 +6,111 @@
  * specific collection or a custom N1QL query), schema inference, and data retrieval.
  */
 
+// Timestamp formats recognised in INFER samples (see `_detectDateType`).
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // e.g., 2024-05-31
+const ISO_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/; // e.g., 2024-05-31T13:45:00+02:00
+const EPOCH_MILLIS_RANGE = { min: 946684800000, max: 4102444800000 }; // 2000-01-01 to 2100-01-01 UTC.
+
+// Geographic fields recognised by name (see `_applyGeoSemantics` and `_addLatLonFields`).
+const GEO_FIELD_PATTERNS = [
+  { semanticType: 'COUNTRY', pattern: /^country(_?name)?$/i },
+  { semanticType: 'CITY', pattern: /^city(_?name)?$/i },
+  { semanticType: 'REGION', pattern: /^(region|state|province)(_?name)?$/i },
+  { semanticType: 'POSTAL_CODE', pattern: /^(postal_?code|post_?code|zip(_?code)?)$/i }
+];
+const LATITUDE_FIELD_PATTERN = /^lat(itude)?$/i;
+const LONGITUDE_FIELD_PATTERN = /^(lon|lng|long|longitude)$/i;
+const LAT_LON_FIELD_NAME = 'lat_lon'; // Synthetic field combining a latitude/longitude pair, e.g., "geo.lat_lon".
+
+// NUMBER fields recognised by name (see `_applyNumericSemantics`): `words` are matched against the last word
+// of the field name (e.g., "unit_price", "unitPrice"), `prefixes` against the first (e.g., "num_stops").
+const NUMERIC_FIELD_PATTERNS = [
+  { conceptType: 'DIMENSION', words: ['id', 'key', 'code', 'sku', 'zip', 'phone'] },
+  // Date parts, numbers and versions, unless another word of the name is a quantity (e.g., "duration_hour", "total_number").
+  { conceptType: 'DIMENSION', unlessQuantity: true, words: ['number', 'year', 'quarter', 'month', 'week', 'day', 'hour', 'version'] },
+  { aggregation: 'AVG', semanticType: 'PERCENT', words: ['pct', 'percent', 'percentage', 'ratio', 'rate'], prefixes: ['pct'] },
+  { aggregation: 'AVG', words: ['rating', 'score', 'avg', 'average', 'mean'], prefixes: ['avg', 'average', 'mean'] },
+  { aggregation: 'AVG', semanticType: 'CURRENCY_USD', words: ['price'] },
+  { aggregation: 'SUM', semanticType: 'CURRENCY_USD', words: ['amount', 'cost', 'revenue', 'fee', 'salary', 'balance', 'spend', 'sales', 'income', 'tax'] },
+  { aggregation: 'SUM', semanticType: 'DURATION', words: ['duration', 'elapsed', 'seconds', 'secs'] },
+  { aggregation: 'SUM', words: ['count', 'qty', 'quantity', 'total'], prefixes: ['num', 'total', 'count'] }
+];
+
+// Other integer fields with few distinct values across many sampled documents are categories, e.g., a
+// status code or a number of stars (see `_applyNumericSemantics`).
+const INFER_SAMPLE_VALUES = 10; // Distinct sample values INFER reports per field (its "num_sample_values").
+const LOW_CARDINALITY_MAX_VALUES = 5; // Below INFER_SAMPLE_VALUES, so the samples hold every distinct value seen.
+const LOW_CARDINALITY_DOCS_PER_VALUE = 10;
+
+// Paging defaults used when a data source does not override them in its configuration.
+const DEFAULT_PAGE_SIZE = 1000; // Rows requested per query page.
+const KEYSET_CURSOR_FIELD = '__lsc_cursor'; // Row alias of the document key in keyset paging; unlikely to collide with document fields.
+const DEFAULT_TIME_BUDGET_SECONDS = 240; // Stays well inside Apps Script's 6-minute execution limit.
+
+// Schema and result cache defaults (see `_getSchemaCacheKey` and `_getResultCacheKey`).
+const DEFAULT_SCHEMA_CACHE_SECONDS = 600; // Ten minutes.
+const DEFAULT_RESULT_CACHE_SECONDS = 300; // Five minutes.
+const MAX_CACHE_SECONDS = 21600; // CacheService's maximum expiration (6 hours).
+const CACHE_CHUNK_SIZE = 50000; // Characters per cache entry; CacheService values are limited to 100KB.
+const MAX_CACHE_CHUNKS = 100; // Larger values are not cached.
+
+// Query service consistency levels offered in the advanced options (see `_getQueryTuningParams`).
+const SCAN_CONSISTENCY_LEVELS = ['not_bounded', 'request_plus'];
+
+// Dimension added in "Combine Collections" mode, naming the collection each row came from (see `_buildUnionSubquery`).
+const SOURCE_COLLECTION_FIELD = '_source_collection';
+
+// "Join Collections" mode: the right join field value that joins on the right document's key (see `_buildJoinSubquery`).
+const JOIN_DOCUMENT_KEY = 'META().id';
+const JOIN_TYPES = ['inner', 'left'];
+
+// Metric added in "Full Text Search" mode, holding each document's relevance score (see `_buildSearchSubquery`).
+const SEARCH_SCORE_FIELD = '_search_score';
+const DEFAULT_VECTOR_K = 10; // Nearest neighbours returned in "Vector Search" mode.
+
+// "Look Up Documents by Key" mode: documents are read through the Data API document endpoints (see `_fetchDocumentsByKey`).
+const DOCUMENT_KEY_FIELD = '_document_key';
+const MAX_LOOKUP_KEYS = 1000;
+const LOOKUP_BATCH_SIZE = 50; // Documents requested in parallel with `UrlFetchApp.fetchAll`.
+const LOOKUP_SCHEMA_SAMPLE_SIZE = 20; // Documents the schema is inferred from.
+
+// Document metadata dimensions added in "Query by Collection" mode when "Include Document Metadata" is checked
+// (see `_isMetadataIncluded`). `_buildFieldPath` then resolves these names to their META() expressions.
+const METADATA_FIELDS = [
+  { name: '_meta_id', label: 'Document Key', dataType: 'STRING', expression: alias => `META(${alias}).id` },
+  // The CAS is a 64-bit integer, beyond the integers JavaScript represents exactly.
+  { name: '_meta_cas', label: 'Document CAS', dataType: 'STRING', expression: alias => `TOSTRING(META(${alias}).cas)`,
+    description: 'The CAS value of the last mutation, for change detection. The document revision sequence number is not available: META() only exposes the key, CAS, expiration, flags and type.' },
+  // Epoch seconds, 0 when the document never expires.
+  { name: '_meta_expiration', label: 'Document Expiration', dataType: 'YEAR_MONTH_DAY_SECOND', expression: alias => `NULLIF(META(${alias}).expiration, 0) * 1000` },
+  // Assumes the CAS is a hybrid logical clock value (nanoseconds since the epoch), as Couchbase Server 4.6+
+  // sets it on every mutation. A CAS set otherwise, e.g., preserved by XDCR or a restore, gives that write's time.
+  { name: '_meta_last_modified', label: 'Last Modified', dataType: 'YEAR_MONTH_DAY_SECOND', expression: alias => `ROUND(META(${alias}).cas / 1000000)`,
+    description: 'Approximate time of the last mutation, derived from the CAS on the assumption that it is a hybrid logical clock timestamp (Couchbase Server 4.6 and later). Documents replicated by XDCR or restored from a backup keep their source CAS, so this is their last write on the source cluster.' }
+];
+
+// Field overrides merged onto the inferred schema (see `_parseFieldOverrides`).
+const FIELD_OVERRIDE_PROPERTIES = ['label', 'dataType', 'conceptType', 'aggregation', 'hidden'];
+const FIELD_OVERRIDES_EXAMPLE = '{"zip": {"dataType": "STRING"}, "internal_id": {"hidden": true}}';
+const FIELD_OVERRIDE_DATA_TYPES = ['STRING', 'NUMBER', 'BOOLEAN', 'URL', 'YEAR_MONTH_DAY', 'YEAR_MONTH_DAY_SECOND'];
+const FIELD_OVERRIDE_AGGREGATIONS = ['AUTO', 'SUM', 'AVG', 'MIN', 'MAX', 'COUNT', 'COUNT_DISTINCT', 'NONE'];
+// N1QL conversions applied to stored values when filtering a retyped field (see `_getRetypedFieldNames`).
+const FILTER_TYPE_CONVERSIONS = { STRING: 'TOSTRING', URL: 'TOSTRING', NUMBER: 'TONUMBER', BOOLEAN: 'TOBOOLEAN' };
+
+// Retry policy for transient Couchbase HTTP failures (see `_fetchWithRetry`).
+const MAX_FETCH_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 500; // Doubled after every failed attempt.
+const RETRYABLE_STATUS_CODES = [408, 429, 502, 503, 504];
+const RETRYABLE_QUERY_ERROR_CODES = [1080, 5000]; // Query service: request timeout, internal error (e.g., an overloaded node).
+const EXECUTION_START_TIME = Date.now(); // Apps Script evaluates the global scope at the start of every execution.
+const EXECUTION_TIME_LIMIT_MS = 330000; // Leaves 30 seconds of Apps Script's 6-minute limit for building the response.
+
+// Prepared statements for repeated queries (see `_executePreparedStatement`).
+const PREPARED_STATEMENT_PREFIX = 'lsc_'; // Distinguishes the connector's prepared statements from others on the cluster.
+const PREPARABLE_STATEMENT_PATTERN = /^\s*\(?\s*(SELECT|WITH)\b/i;
+const PREPARED_STATEMENT_ERROR_CODES = [4040, 4050, 4070]; // Prepared statement missing or stale; prepared again.
+const PREPARED_STATEMENT_UNPREPARABLE_CACHE_SECONDS = 3600; // How long a statement the service refused to prepare is sent as is.
+
 // ==========================================================================
 // ===                      CORE UTILITY FUNCTIONS                        ===
 // ==========================================================================
@@ -52,15 +157,305 @@ function _constructApiUrl(path) {
  * back to the Looker Studio user interface.
  *
  * @param {string} message The error message to display to the user.
+ * @param {string=} debugText Optional details shown to admins via `setDebugText`, e.g., the raw
+ * service response.
  */
-function _throwUserError(message) {
+function _throwUserError(message, debugText) {
   // Create a custom error that preserves the message when caught
   const customError = new Error(message);
   customError.name = 'UserError';
   customError.isUserError = true;
+  customError.debugText = debugText || '';
   throw customError;
 }
 
+/**
+ * @private
+ * Sends an HTTP request to Couchbase with `UrlFetchApp.fetch`, retrying transient failures:
+ * network exceptions (e.g., socket timeouts), retryable HTTP status codes (`RETRYABLE_STATUS_CODES`)
+ * and retryable service error codes in the response body (`RETRYABLE_QUERY_ERROR_CODES`).
+ * Only idempotent requests are retried (see `_isIdempotentRequest`). Retries wait with
+ * exponential backoff and jitter, or as long as the server's `Retry-After` header asks, and
+ * stop before the Apps Script execution time limit is reached.
+ *
+ * @param {string} url The request URL.
+ * @param {Object} options The `UrlFetchApp.fetch` options; `muteHttpExceptions` should be set so
+ * error responses can be inspected.
+ * @return {HTTPResponse} The response of the last attempt.
+ * @throws {Error} The exception of the last attempt, if it failed without a response.
+ */
+function _fetchWithRetry(url, options) {
+  const canRetry = _isIdempotentRequest(options);
+  for (let attempt = 1; ; attempt++) {
+    let response = null;
+    let fetchError = null;
+    try {
+      response = UrlFetchApp.fetch(url, options);
+    } catch (e) {
+      fetchError = e;
+    }
+
+    const retryReason = fetchError ? fetchError.toString() : _getRetryReason(response);
+    const delayMs = retryReason ? _getRetryDelayMs(response, attempt) : 0;
+    const withinTimeLimit = Date.now() + delayMs < EXECUTION_START_TIME + EXECUTION_TIME_LIMIT_MS;
+    if (!retryReason || !canRetry || attempt >= MAX_FETCH_ATTEMPTS || !withinTimeLimit) {
+      if (retryReason) {
+        Logger.log('_fetchWithRetry: Giving up on %s after %s attempt(s): %s', url, attempt, retryReason);
+      }
+      if (fetchError) {
+        throw fetchError;
+      }
+      return response;
+    }
+
+    Logger.log('_fetchWithRetry: Attempt %s to %s failed (%s); retrying in %s ms.', attempt, url, retryReason, delayMs);
+    Utilities.sleep(delayMs);
+  }
+}
+
+/**
+ * @private
+ * Determines whether a request can safely be sent again: GET requests, and query requests
+ * whose statement only reads data (SELECT, WITH, INFER, EXPLAIN or ADVISE).
+ *
+ * @param {Object} options The `UrlFetchApp.fetch` options of the request.
+ * @return {boolean} Whether the request is idempotent.
+ */
+function _isIdempotentRequest(options) {
+  if (!options.method || options.method.toLowerCase() === 'get') {
+    return true;
+  }
+  try {
+    const payload = typeof options.payload === 'string' ? JSON.parse(options.payload) : options.payload;
+    return !!(payload && typeof payload.statement === 'string' &&
+      /^\s*\(?\s*(SELECT|WITH|INFER|EXPLAIN|ADVISE)\b/i.test(payload.statement));
+  } catch (e) {
+    return false; // Not a JSON query payload.
+  }
+}
+
+/**
+ * @private
+ * Classifies a response as a transient failure worth retrying.
+ *
+ * @param {HTTPResponse} response The response to classify.
+ * @return {string|null} A description of the transient failure, or null if the response is a
+ * success or a permanent failure.
+ */
+function _getRetryReason(response) {
+  const responseCode = response.getResponseCode();
+  if (RETRYABLE_STATUS_CODES.indexOf(responseCode) !== -1) {
+    return `HTTP ${responseCode}`;
+  }
+  if (responseCode >= 200 && responseCode < 300) {
+    return null;
+  }
+  try {
+    const errors = JSON.parse(response.getContentText()).errors || [];
+    const retryableError = errors.find(error => RETRYABLE_QUERY_ERROR_CODES.indexOf(error.code) !== -1);
+    return retryableError ? `HTTP ${responseCode}, error ${retryableError.code}: ${retryableError.msg}` : null;
+  } catch (e) {
+    return null; // Not a JSON error response.
+  }
+}
+
+/**
+ * @private
+ * Returns how long to wait before the next attempt: the server's `Retry-After` header (in
+ * seconds or as an HTTP date) if present, otherwise an exponential backoff with jitter.
+ *
+ * @param {HTTPResponse|null} response The failed response, or null if the request threw.
+ * @param {number} attempt The number of the attempt that failed, starting at 1.
+ * @return {number} The delay in milliseconds.
+ */
+function _getRetryDelayMs(response, attempt) {
+  const headers = response ? response.getHeaders() || {} : {};
+  const retryAfterKey = Object.keys(headers).find(key => key.toLowerCase() === 'retry-after');
+  if (retryAfterKey) {
+    const retryAfter = String(headers[retryAfterKey]).trim();
+    const retryAfterMs = /^\d+$/.test(retryAfter) ? parseInt(retryAfter, 10) * 1000 : Date.parse(retryAfter) - Date.now();
+    if (!isNaN(retryAfterMs)) {
+      return Math.max(retryAfterMs, 0);
+    }
+  }
+  const backoffMs = RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+  return Math.round(backoffMs / 2 + Math.random() * backoffMs / 2); // Jitter spreads out concurrent retries.
+}
+
+/**
+ * @private
+ * Translates a failed Query service response into an actionable user error when its `errors`
+ * array contains a well-known error code (missing keyspace, missing permissions, missing index,
+ * syntax error or timeout). The raw response is kept as debug text. Unknown errors are left to
+ * the caller.
+ *
+ * @param {number} responseCode The HTTP status code of the response.
+ * @param {string} responseText The response body.
+ * @param {string} statement The N1QL statement that failed.
+ * @throws {UserError} If a well-known error code is found.
+ */
+function _throwMappedQueryError(responseCode, responseText, statement) {
+  let errors = [];
+  try {
+    errors = JSON.parse(responseText).errors || [];
+  } catch (e) {
+    return; // Not a JSON error response.
+  }
+
+  const debugText = `Query service error (HTTP ${responseCode}) for statement: ${statement}\nResponse: ${responseText}`;
+  for (const error of errors) {
+    const message = _describeQueryError(error.code, error.msg || '');
+    if (message) {
+      _throwUserError(message, debugText);
+    }
+  }
+}
+
+/**
+ * @private
+ * Returns an actionable message for a well-known Query service error code, naming the keyspace,
+ * index or clause reported by the service where possible.
+ *
+ * @param {number} code The Query service error code, e.g., 12003.
+ * @param {string} msg The error message reported by the service.
+ * @return {string|null} The message for the user, or null if the code is not a well-known one.
+ */
+function _describeQueryError(code, msg) {
+  switch (code) {
+    case 12003: { // Keyspace not found
+      const keyspace = (msg.match(/Keyspace not found in CB datastore:?\s*([^\s]+)/i) || [])[1];
+      return `Couchbase could not find the keyspace ${keyspace || 'referenced by the query'}. ` +
+        'Check that the bucket, scope and collection names are spelled correctly and still exist, ' +
+        'or select the collection again in the data source settings.';
+    }
+    case 10000: // Authentication failure
+      return 'Couchbase rejected the username or password. Update the credentials by re-authenticating the data source.';
+    case 13014: // Insufficient privileges
+      return `Your Couchbase user is not allowed to run this query: ${msg} ` +
+        'Ask a cluster administrator to grant the missing role (e.g., Query Select on the collection).';
+    case 4000: { // No index available
+      const keyspace = (msg.match(/keyspace\s+([^\s]+)/i) || [])[1];
+      return `No index on ${keyspace || 'the queried keyspace'} can serve this query. ` +
+        'Create a suitable secondary index (or a primary index for exploration) on it, ' +
+        'or add a filter on an indexed field.';
+    }
+    case 3000: // Syntax error
+      return `The N1QL query could not be parsed (${msg}). Correct the query in the data source settings.`;
+    case 1080: // Timeout
+      return `The query timed out (${msg}). Narrow the date range or filters, add an index, ` +
+        'or raise the Query Timeout in the advanced options.';
+    default:
+      return null;
+  }
+}
+
+/**
+ * @private
+ * Executes a query payload as a prepared statement, so the Query service parses and plans each
+ * distinct statement once instead of on every chart request. The statement is prepared under a
+ * name derived from its hash (see `_getPreparedStatementName`), and prepared names are
+ * remembered per cluster in the user cache. When the service reports that the plan is missing
+ * or stale (`PREPARED_STATEMENT_ERROR_CODES`), e.g., after a Query node restart, the statement is
+ * prepared again once.
+ *
+ * Only SELECT and WITH statements are prepared. When the service rejects the PREPARE with a
+ * non-retryable query error, the statement is remembered as unpreparable and sent as is for
+ * `PREPARED_STATEMENT_UNPREPARABLE_CACHE_SECONDS`; transient failures are not remembered. In
+ * either case, and when a prepared execution fails transiently, this function returns null and
+ * the caller sends the plain statement, with retries.
+ *
+ * @param {string} queryServiceUrl The Query service endpoint.
+ * @param {string} authHeader The Basic authentication header string.
+ * @param {Object} payload The query request payload, with `statement`, named parameters and
+ * any other request parameters.
+ * @return {HTTPResponse|null} The response of the prepared execution, or null if the statement
+ * cannot be prepared or the execution failed transiently.
+ */
+function _executePreparedStatement(queryServiceUrl, authHeader, payload) {
+  if (!PREPARABLE_STATEMENT_PATTERN.test(payload.statement)) {
+    return null;
+  }
+  const preparedName = _getPreparedStatementName(payload.statement, payload.query_context);
+  const cacheKey = _getPreparedStatementCacheKey(queryServiceUrl, authHeader, preparedName);
+  const cache = CacheService.getUserCache();
+  const requestOptions = {
+    method: 'post',
+    contentType: 'application/json',
+    headers: { Authorization: authHeader },
+    muteHttpExceptions: true,
+    validateHttpsCertificates: false
+  };
+
+  try {
+    if (cache.get(cacheKey) === 'unpreparable') {
+      return null;
+    }
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      if (!cache.get(cacheKey)) {
+        const preparePayload = { statement: `PREPARE ${_quoteIdentifier(preparedName)} FROM ${payload.statement}` };
+        if (payload.query_context) {
+          preparePayload.query_context = payload.query_context;
+        }
+        const prepareResponse = _fetchWithRetry(queryServiceUrl, Object.assign({ payload: JSON.stringify(preparePayload) }, requestOptions));
+        if (prepareResponse.getResponseCode() !== 200) {
+          Logger.log('_executePreparedStatement: PREPARE failed (%s): %s', prepareResponse.getResponseCode(), prepareResponse.getContentText());
+          if (isRefusal(prepareResponse)) {
+            cache.put(cacheKey, 'unpreparable', PREPARED_STATEMENT_UNPREPARABLE_CACHE_SECONDS); // Not attempted again for a while.
+          }
+          return null;
+        }
+        cache.put(cacheKey, '1', MAX_CACHE_SECONDS);
+        Logger.log('_executePreparedStatement: Prepared statement %s.', preparedName);
+      }
+
+      const executePayload = Object.assign({}, payload, { prepared: preparedName });
+      delete executePayload.statement;
+      const response = _fetchWithRetry(queryServiceUrl, Object.assign({ payload: JSON.stringify(executePayload) }, requestOptions));
+      if (!isPlanError(response)) {
+        if (_getRetryReason(response)) {
+          Logger.log('_executePreparedStatement: Execution of %s failed transiently (%s).', preparedName, response.getResponseCode());
+          return null;
+        }
+        return response;
+      }
+      Logger.log('_executePreparedStatement: Plan of %s is missing or stale; preparing it again.', preparedName);
+      cache.remove(cacheKey);
+    }
+  } catch (e) {
+    Logger.log('_executePreparedStatement: Exception: %s', e.toString());
+  }
+  return null;
+
+  /**
+   * Returns whether a failed response reports a missing or stale prepared statement.
+   */
+  function isPlanError(response) {
+    try {
+      const errors = JSON.parse(response.getContentText()).errors || [];
+      return errors.some(error => PREPARED_STATEMENT_ERROR_CODES.indexOf(error.code) !== -1);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Returns whether a failed PREPARE was refused for the statement itself: a client error (4xx)
+   * reporting query errors, none of them retryable. Server errors (5xx) may be transient.
+   */
+  function isRefusal(response) {
+    const responseCode = response.getResponseCode();
+    if (responseCode < 400 || responseCode >= 500 || _getRetryReason(response)) {
+      return false;
+    }
+    try {
+      const errors = JSON.parse(response.getContentText()).errors || [];
+      return errors.length > 0 && errors.every(error => typeof error.code === 'number');
+    } catch (e) {
+      return false;
+    }
+  }
+}
+
 /**
  * @private
  * Executes a given N1QL query against the Couchbase Query Service.
@@ -69,25 +464,64 @@ function _throwUserError(message) {
  * @param {string} apiUrl The base API URL for the Couchbase cluster, constructed by `_constructApiUrl`.
  * @param {string} authHeader The Basic authentication header string (e.g., "Basic dXNlcjpwYXNz").
  * @param {string} statement The N1QL query statement to execute.
+ * @param {Object=} queryOptions Optional request settings.
+ * @param {Object=} queryOptions.namedParams Named parameters keyed without the leading `$`
+ * (e.g., `{ country: 'France' }` binds `$country` in the statement).
+ * @param {string=} queryOptions.queryContext A default "bucket.scope" against which unqualified
+ * keyspaces in the statement are resolved (see `_buildQueryContext`).
+ * @param {Object=} queryOptions.tuningParams Query service request parameters added to the
+ * payload, e.g., `{ scan_consistency: 'request_plus' }` (see `_getQueryTuningParams`).
+ * @param {number=} queryOptions.cacheSeconds How long to cache the results in the user cache
+ * (see `_getResultCacheKey`); results are not cached if omitted or 0.
+ * @param {string=} queryOptions.lastRefresh Looker Studio's `scriptParams.lastRefresh`, which
+ * changes when the user refreshes the report and so bypasses previously cached results.
+ * @param {boolean=} queryOptions.prepare Whether to run the statement as a prepared statement
+ * (see `_executePreparedStatement`), for statements repeated on every chart request; catalog
+ * and one-off statements are sent as is.
  * @return {Array|null} An array of result objects if the query is successful and returns results,
  * an empty array if the query is successful but returns no results,
  * or null if an error occurs or the response format is unexpected.
  */
-function _executeN1qlQuery(apiUrl, authHeader, statement) {
+function _executeN1qlQuery(apiUrl, authHeader, statement, queryOptions) {
   const queryServiceUrl = apiUrl + '/_p/query/query/service'; // Endpoint for N1QL queries
   Logger.log('_executeN1qlQuery: URL: %s, Statement: %s', queryServiceUrl, statement);
 
+  const payload = { statement: statement }; // The N1QL statement is sent in the payload
+  const namedParams = (queryOptions && queryOptions.namedParams) || {};
+  Object.keys(namedParams).forEach(name => {
+    payload['$' + name] = namedParams[name]; // Named parameters are sent as top-level "$name" keys
+  });
+  if (Object.keys(namedParams).length > 0) {
+    Logger.log('_executeN1qlQuery: Named parameters: %s', JSON.stringify(namedParams));
+  }
+  if (queryOptions && queryOptions.queryContext) {
+    payload.query_context = _buildQueryContext(queryOptions.queryContext);
+  }
+  Object.assign(payload, queryOptions && queryOptions.tuningParams);
+
+  const cacheSeconds = (queryOptions && queryOptions.cacheSeconds) || 0;
+  const cacheKey = cacheSeconds > 0 ? _getResultCacheKey(apiUrl, authHeader, payload, queryOptions.lastRefresh) : null;
+  if (cacheKey) {
+    const cachedResults = _readCachedValue(cacheKey);
+    if (cachedResults) {
+      Logger.log('_executeN1qlQuery: Using %s cached results.', cachedResults.length);
+      return cachedResults;
+    }
+  }
+
   const options = {
     method: 'post', // N1QL queries are typically sent via POST
     contentType: 'application/json',
     headers: { Authorization: authHeader },
-    payload: JSON.stringify({ statement: statement }), // The N1QL statement is sent in the payload
+    payload: JSON.stringify(payload),
     muteHttpExceptions: true, // Allows handling HTTP errors manually
     validateHttpsCertificates: false // Consistent with other fetch calls in this connector
   };
 
   try {
-    const response = UrlFetchApp.fetch(queryServiceUrl, options);
+    // Repeated statements run as prepared statements; the plain statement is the fallback.
+    const preparedResponse = queryOptions && queryOptions.prepare ? _executePreparedStatement(queryServiceUrl, authHeader, payload) : null;
+    const response = preparedResponse || _fetchWithRetry(queryServiceUrl, options);
     const responseCode = response.getResponseCode();
     const responseText = response.getContentText();
 
@@ -95,6 +529,9 @@ function _executeN1qlQuery(apiUrl, authHeader, statement) {
       const queryResult = JSON.parse(responseText);
       if (queryResult.results) { // Standard case: query returns a list of results
         Logger.log('_executeN1qlQuery: Success, %s results.', queryResult.results.length);
+        if (cacheKey) {
+          _writeCachedValue(cacheKey, queryResult.results, cacheSeconds);
+        }
         return queryResult.results; // This is an array of result objects
       } else if (queryResult.status === 'success' && queryResult.results === undefined) {
         // Some queries (e.g., DDL or successful queries with no matching documents)
@@ -109,15 +546,225 @@ function _executeN1qlQuery(apiUrl, authHeader, statement) {
     } else {
       // Handle non-200 HTTP responses (e.g., 400, 401, 500).
       Logger.log('_executeN1qlQuery: Error. Code: %s, Response: %s', responseCode, responseText);
+      _throwMappedQueryError(responseCode, responseText, statement); // Well-known errors become user errors.
       return null; // Indicate error
     }
   } catch (e) {
+    if (e.isUserError) {
+      throw e;
+    }
     // Handle exceptions during the fetch operation (e.g., network issues).
     Logger.log('_executeN1qlQuery: Exception during fetch: %s. Statement: %s', e.toString(), statement);
     return null; // Indicate error
   }
 }
 
+/**
+ * @private
+ * Executes a N1QL statement page by page and stitches the pages into a single result array,
+ * stopping once the total-row budget or the execution-time budget is exhausted.
+ *
+ * The statement must reference the paging parameters bound by this function:
+ * - `$_pageSize`: the number of rows to return for the current page (use as `LIMIT $_pageSize`).
+ * - `$_cursor` (keyset mode): the document key of the last row of the previous page, starting
+ *   at "" (sorts before every document key). Rows must expose it as `KEYSET_CURSOR_FIELD` and be
+ *   ordered by it, e.g., `SELECT META(d).id AS __lsc_cursor, ... WHERE META(d).id > $_cursor
+ *   ORDER BY META(d).id LIMIT $_pageSize`. The field is removed from the returned rows.
+ * - `$_offset` (window mode): the number of rows already fetched (use as `OFFSET $_offset`).
+ *
+ * @param {string} apiUrl The base API URL for the Couchbase cluster.
+ * @param {string} authHeader The Basic authentication header string.
+ * @param {string} statement The N1QL statement referencing the paging parameters.
+ * @param {Object} queryOptions Request settings passed through to `_executeN1qlQuery`.
+ * @param {Object} paging Paging settings.
+ * @param {string} paging.mode Either 'keyset' or 'window'.
+ * @param {number} paging.pageSize The maximum number of rows per page.
+ * @param {number|null} paging.maxRows The total-row budget, or null for no limit.
+ * @param {number} paging.deadline Epoch milliseconds after which no further page is requested.
+ * @return {Array|null} The rows of all fetched pages, or null if any page fails.
+ */
+function _executePagedN1qlQuery(apiUrl, authHeader, statement, queryOptions, paging) {
+  let rows = [];
+  let cursor = '';
+
+  while (true) {
+    const pageLimit = paging.maxRows === null ? paging.pageSize : Math.min(paging.pageSize, paging.maxRows - rows.length);
+    if (pageLimit <= 0) {
+      Logger.log('_executePagedN1qlQuery: Row budget of %s reached.', paging.maxRows);
+      break;
+    }
+    if (Date.now() > paging.deadline) {
+      Logger.log('_executePagedN1qlQuery: Time budget exhausted after %s rows; returning partial results.', rows.length);
+      break;
+    }
+
+    const namedParams = Object.assign({}, (queryOptions && queryOptions.namedParams) || {}, { _pageSize: pageLimit });
+    if (paging.mode === 'keyset') {
+      namedParams._cursor = cursor;
+    } else {
+      namedParams._offset = rows.length;
+    }
+
+    const page = _executeN1qlQuery(apiUrl, authHeader, statement, Object.assign({}, queryOptions, { namedParams: namedParams }));
+    if (page === null) {
+      return null;
+    }
+    rows = rows.concat(page);
+    Logger.log('_executePagedN1qlQuery: Fetched page of %s rows (%s total).', page.length, rows.length);
+
+    if (page.length < pageLimit) {
+      break; // Last page.
+    }
+    if (paging.mode === 'keyset') {
+      cursor = page[page.length - 1][KEYSET_CURSOR_FIELD];
+      if (cursor === undefined || cursor === null) {
+        Logger.log('_executePagedN1qlQuery: Last row has no %s; stopping keyset pagination.', KEYSET_CURSOR_FIELD);
+        break;
+      }
+    }
+  }
+  if (paging.mode === 'keyset') {
+    rows.forEach(row => {
+      if (row && typeof row === 'object') {
+        delete row[KEYSET_CURSOR_FIELD];
+      }
+    });
+  }
+  return rows;
+}
+
+/**
+ * @private
+ * Returns whether a statement ends with its own ORDER BY, outside subqueries and string
+ * literals, so OFFSET/LIMIT windows over it return each row exactly once.
+ *
+ * @param {string} statement The N1QL statement.
+ * @return {boolean} True if the statement's result order is set by a top-level ORDER BY.
+ */
+function _hasTopLevelOrderBy(statement) {
+  let topLevel = statement.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`[^`]*`/g, '""');
+  let previous;
+  do {
+    previous = topLevel;
+    topLevel = topLevel.replace(/\([^()]*\)/g, '()');
+  } while (topLevel !== previous);
+  return /\border\s+by\b/i.test(topLevel);
+}
+
+/**
+ * @private
+ * Fetches documents by key through the Data API document endpoint
+ * (`GET /v1/buckets/{b}/scopes/{s}/collections/{c}/documents/{key}`), which reads from the
+ * Data service and needs neither the Query nor the Index service. Keys are requested in
+ * parallel batches of `LOOKUP_BATCH_SIZE` with `UrlFetchApp.fetchAll`; transient failures are
+ * retried one by one with `_fetchWithRetry`. Missing documents and documents that are not
+ * JSON objects are skipped.
+ *
+ * @param {string} apiUrl The base API URL for the Couchbase cluster.
+ * @param {string} authHeader The Basic authentication header string.
+ * @param {string} collectionPath The collection, as "bucket.scope.collection".
+ * @param {Array<string>} keys The document keys, in the order rows are returned.
+ * @param {Object} lookupOptions Request settings.
+ * @param {Array<string>=} lookupOptions.project Field paths to return instead of whole documents.
+ * @param {number=} lookupOptions.cacheSeconds How long the documents are cached (0 disables caching).
+ * @param {string=} lookupOptions.lastRefresh Looker Studio's `scriptParams.lastRefresh`, if any.
+ * @param {number=} lookupOptions.deadline Epoch milliseconds after which no further batch is requested.
+ * @return {Array<Object>} The documents found, each with its key in `_document_key`.
+ * @throws {UserError} If the collection does not exist or cannot be read.
+ */
+function _fetchDocumentsByKey(apiUrl, authHeader, collectionPath, keys, lookupOptions) {
+  const project = (lookupOptions.project || []).join(',');
+  const cacheSeconds = lookupOptions.cacheSeconds || 0;
+  const cacheKey = cacheSeconds > 0 ?
+    _getResultCacheKey(apiUrl, authHeader, { documents: collectionPath, keys: keys, project: project }, lookupOptions.lastRefresh) : null;
+  if (cacheKey) {
+    const cachedDocuments = _readCachedValue(cacheKey);
+    if (cachedDocuments) {
+      Logger.log('_fetchDocumentsByKey: Using %s cached documents.', cachedDocuments.length);
+      return cachedDocuments;
+    }
+  }
+
+  // `project` is a comma-separated list of field paths, e.g., "?project=name,geo.lat".
+  const projectQuery = project ? '?project=' + lookupOptions.project.map(encodeURIComponent).join(',') : '';
+  const pathParts = collectionPath.split('.').map(encodeURIComponent);
+  const documentsUrl = `${apiUrl}/v1/buckets/${pathParts[0]}/scopes/${pathParts[1]}/collections/${pathParts[2]}/documents/`;
+  const options = {
+    method: 'get',
+    headers: { Authorization: authHeader },
+    muteHttpExceptions: true,
+    validateHttpsCertificates: false
+  };
+  const documents = [];
+  let isComplete = true;
+
+  for (let batchStart = 0; batchStart < keys.length; batchStart += LOOKUP_BATCH_SIZE) {
+    if (lookupOptions.deadline && Date.now() > lookupOptions.deadline) {
+      Logger.log('_fetchDocumentsByKey: Time budget exhausted after %s of %s keys; returning partial results.', batchStart, keys.length);
+      isComplete = false;
+      break;
+    }
+    const batchKeys = keys.slice(batchStart, batchStart + LOOKUP_BATCH_SIZE);
+    const urls = batchKeys.map(key => documentsUrl + encodeURIComponent(key) + projectQuery);
+    const responses = UrlFetchApp.fetchAll(urls.map(url => Object.assign({ url: url }, options)));
+
+    responses.forEach((response, i) => {
+      if (_getRetryReason(response)) {
+        response = _fetchWithRetry(urls[i], options);
+      }
+      let responseCode = response.getResponseCode();
+      let errorCode = responseCode === 200 ? null : getErrorCode(response);
+      if (errorCode === 'PathNotFound' && project) {
+        // Some projected fields are missing from this document; read it whole instead.
+        response = _fetchWithRetry(documentsUrl + encodeURIComponent(batchKeys[i]), options);
+        responseCode = response.getResponseCode();
+        errorCode = responseCode === 200 ? null : getErrorCode(response);
+      }
+
+      if (responseCode === 404 && ['BucketNotFound', 'ScopeNotFound', 'CollectionNotFound'].indexOf(errorCode) !== -1) {
+        _throwUserError(`The collection "${collectionPath}" does not exist. Please verify the bucket, scope and collection names.`, response.getContentText());
+      } else if (responseCode === 403) {
+        _throwUserError(`Your credentials do not have permission to read documents from "${collectionPath}".`, response.getContentText());
+      } else if (responseCode === 404) {
+        Logger.log('_fetchDocumentsByKey: Document "%s" not found; skipping.', batchKeys[i]);
+        return;
+      } else if (responseCode !== 200) {
+        _throwUserError(`Couchbase Data API error reading document "${batchKeys[i]}" (${responseCode}).`, response.getContentText());
+      }
+
+      let document = null;
+      try {
+        document = JSON.parse(response.getContentText());
+      } catch (e) {
+        // Binary or text documents are not JSON.
+      }
+      if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        Logger.log('_fetchDocumentsByKey: Document "%s" is not a JSON object; skipping.', batchKeys[i]);
+        return;
+      }
+      document[DOCUMENT_KEY_FIELD] = batchKeys[i];
+      documents.push(document);
+    });
+  }
+
+  Logger.log('_fetchDocumentsByKey: Found %s of %s documents.', documents.length, keys.length);
+  if (cacheKey && isComplete) {
+    _writeCachedValue(cacheKey, documents, cacheSeconds);
+  }
+  return documents;
+
+  /**
+   * Returns the Data API error code (e.g., "DocumentNotFound") of a failed response, if any.
+   */
+  function getErrorCode(response) {
+    try {
+      return JSON.parse(response.getContentText()).error || null;
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
 // ==========================================================================
 // ===                       AUTHENTICATION FLOW                          ===
 // ==========================================================================
@@ -176,7 +823,7 @@ function _validateCredentials(path, username, password) {
 
   try {
     Logger.log('Sending validation request...');
-    const response = UrlFetchApp.fetch(validationUrl, options);
+    const response = _fetchWithRetry(validationUrl, options);
     const responseCode = response.getResponseCode();
     const responseText = response.getContentText();
     Logger.log('Validation response code: %s', responseCode);
@@ -250,6 +897,7 @@ function setCredentials(request) {
     userProperties.setProperty('dscc.path', path);
     userProperties.setProperty('dscc.username', username);
     userProperties.setProperty('dscc.password', password);
+    _invalidateSchemaCache(); // Schemas cached under the previous credentials may no longer apply.
     Logger.log('Credentials stored successfully.');
   } catch (e) {
     Logger.log('Error storing credentials: %s', e.toString());
@@ -278,6 +926,7 @@ function resetAuth() {
     userProperties.deleteProperty('dscc.path');
     userProperties.deleteProperty('dscc.username');
     userProperties.deleteProperty('dscc.password');
+    _invalidateSchemaCache();
     Logger.log('Auth properties deleted.');
   } catch (e) {
     // Log any errors during the deletion process.
@@ -380,661 +1029,2988 @@ function _fetchCouchbaseMetadata() {
 }
 
 /**
- * Returns the user-configurable options for the connector.
- * This function defines the configuration UI that users see when setting up
- * the connector in Looker Studio. It allows users to choose between querying
- * a specific collection or using a custom N1QL query.
+ * @private
+ * Adds the cache inputs shared by all configuration modes: how long inferred schemas and
+ * query results are reused.
  *
- * @param {Object} request The request object from Looker Studio, which may contain
- * existing configuration parameters (`request.configParams`).
- * @return {Object} The configuration object built by `CommunityConnector.getConfig()`.
+ * @param {Config} config The configuration object being built in `getConfig`.
  */
-function getConfig(request) {
-  const cc = DataStudioApp.createCommunityConnector();
-  var config = cc.getConfig(); // Start building a new configuration object.
-
-  try {
-    // Determine if this is the first request (no params yet) or a subsequent one.
-    const isFirstRequest = (request.configParams === undefined);
-    const configParams = request.configParams || {}; // Use existing params or an empty object.
+function _addCacheConfig(config) {
+  config
+    .newTextInput()
+    .setId('schemaCacheSeconds')
+    .setName('Schema Cache Duration (seconds)')
+    .setHelpText(`How long the inferred schema is reused before INFER runs again (default: ${DEFAULT_SCHEMA_CACHE_SECONDS}, maximum: ${MAX_CACHE_SECONDS}). "Refresh fields" always infers it again. Enter 0 to infer the schema on every request.`)
+    .setPlaceholder(String(DEFAULT_SCHEMA_CACHE_SECONDS))
+    .setAllowOverride(true);
+
+  config
+    .newTextInput()
+    .setId('cacheSeconds')
+    .setName('Result Cache Duration (seconds)')
+    .setHelpText(`How long query results are reused by charts requesting the same data (default: ${DEFAULT_RESULT_CACHE_SECONDS}, maximum: ${MAX_CACHE_SECONDS}). Refreshing the report always fetches fresh data. Enter 0 to disable.`)
+    .setPlaceholder(String(DEFAULT_RESULT_CACHE_SECONDS))
+    .setAllowOverride(true);
+}
 
-    // The configuration is dynamic and stepped, guiding the user through choices.
-    let isStepped = true; // Assume config is ongoing unless all required inputs for a mode are provided.
+/**
+ * @private
+ * Adds the field overrides input shared by all configuration modes: a JSON object keyed by
+ * field name, merged onto the inferred schema by `getSchema` (see `_parseFieldOverrides`).
+ *
+ * @param {Config} config The configuration object being built in `getConfig`.
+ */
+function _addFieldOverridesConfig(config) {
+  config
+    .newTextArea()
+    .setId('fieldOverrides')
+    .setName('Field Overrides (Optional)')
+    .setHelpText(`JSON object keyed by field name; each entry may set ${FIELD_OVERRIDE_PROPERTIES.join(', ')}.`)
+    .setPlaceholder(FIELD_OVERRIDES_EXAMPLE)
+    .setAllowOverride(true);
+}
 
-    // Informational text for the user.
-    config
-      .newInfo()
-      .setId('instructions')
-      .setText('Choose a configuration mode: query by selecting a collection, or enter a custom N1QL query.');
+/**
+ * @private
+ * Returns the `INFER` results of the selected collection while building the configuration, so
+ * the date range, UNNEST and join selects can offer the collection's fields. Results cached by
+ * `getSchema` or an earlier configuration step (see `_getInferCacheKey`) are reused, so
+ * `INFER` does not run again on every configuration change.
+ *
+ * @param {string} collectionPath The selected collection, as "bucket.scope.collection".
+ * @return {Array|null} The 'results' array of the `INFER` query, or null if credentials are
+ * missing or inference fails.
+ */
+function _fetchCollectionInferResults(collectionPath) {
+  const userProperties = PropertiesService.getUserProperties();
+  const path = userProperties.getProperty('dscc.path');
+  const username = userProperties.getProperty('dscc.username');
+  const password = userProperties.getProperty('dscc.password');
 
-    // Mode selector: 'Query by Collection' or 'Use Custom Query'.
-    const modeSelector = config.newSelectSingle()
-      .setId('configMode')
-      .setName('Configuration Mode')
-      .setHelpText('Select how you want to define the data source.')
-      .setAllowOverride(true) // Allow users to change this later.
-      .setIsDynamic(true); // Changing this selector will refresh the config.
+  const collectionParts = collectionPath.split('.');
+  if (!path || !username || !password || collectionParts.length !== 3) {
+    Logger.log('_fetchCollectionInferResults: Auth credentials missing or invalid collection path: %s', collectionPath);
+    return null;
+  }
 
-    modeSelector.addOption(config.newOptionBuilder().setLabel('Query by Collection').setValue('collection'));
-    modeSelector.addOption(config.newOptionBuilder().setLabel('Use Custom Query').setValue('customQuery'));
+  const apiUrl = _constructApiUrl(path);
+  const authHeader = 'Basic ' + Utilities.base64Encode(username + ':' + password);
+  const cacheKey = _getInferCacheKey(collectionPath);
+  const cachedResults = cacheKey ? _readCachedValue(cacheKey) : null;
+  if (cachedResults) {
+    Logger.log('_fetchCollectionInferResults: Using cached INFER results for %s.', collectionPath);
+    return cachedResults;
+  }
 
-    // Determine the current mode, defaulting to 'collection'.
-    const currentMode = configParams.configMode ? configParams.configMode : 'collection';
-    Logger.log('getConfig: Current mode: %s', currentMode);
+  try {
+    const keyspacePath = collectionParts.map(_quoteIdentifier).join('.');
+    const inferStatement = `INFER ${keyspacePath} WITH {"sample_size": 100, "num_sample_values": ${INFER_SAMPLE_VALUES}, "similarity_metric": 0.6}`;
+    const inferResults = _executeN1qlQuery(apiUrl, authHeader, inferStatement);
+    if (inferResults === null) {
+      Logger.log('_fetchCollectionInferResults: INFER query failed for %s.', collectionPath);
+    } else if (cacheKey) {
+      _writeCachedValue(cacheKey, inferResults, DEFAULT_SCHEMA_CACHE_SECONDS);
+    }
+    return inferResults;
+  } catch (e) {
+    Logger.log('Error in _fetchCollectionInferResults: %s. Stack: %s', e.toString(), e.stack);
+    return null;
+  }
+}
 
-    if (currentMode === 'collection') {
-      config.newInfo()
-        .setId('collection_info')
-        .setText('Select a collection to query data from.');
+/**
+ * @private
+ * Lists the fields of a collection that can hold a timestamp (strings and numbers), so the
+ * user can pick the field that Looker Studio's date range control filters on. The fields
+ * come from the same `INFER` output used to build the schema.
+ *
+ * @param {Array|null} inferResults The 'results' array of the collection's `INFER` query.
+ * @return {Array<string>} The candidate field names, or an empty array if inference failed.
+ */
+function _getDateRangeFieldCandidates(inferResults) {
+  if (!inferResults) {
+    return [];
+  }
+  return _processInferSchemaOutput(inferResults)
+    .filter(field => field.dataType !== 'BOOLEAN' && field.dataType !== 'URL' && !field.name.startsWith('empty_') &&
+      field.semantics.semanticType !== 'LATITUDE_LONGITUDE')
+    .map(field => field.name);
+}
 
-      // Fetch buckets, scopes, and collections to populate the dropdown.
-      const metadata = _fetchCouchbaseMetadata();
-      Logger.log('getConfig: Metadata fetch returned buckets: %s', JSON.stringify(metadata.buckets));
+/**
+ * @private
+ * Lists the collections found by `_fetchCouchbaseMetadata` as dropdown options, sorted by label.
+ *
+ * @param {Object} metadata The metadata returned by `_fetchCouchbaseMetadata`.
+ * @return {Array<{path: string, label: string}>} The options, e.g.,
+ * `{ path: 'travel-sample.inventory.airline', label: 'travel-sample > inventory > airline' }`.
+ */
+function _getCollectionPathOptions(metadata) {
+  // Build a list of fully qualified collection paths (bucket.scope.collection).
+  const collectionPaths = [];
+  Object.keys(metadata.scopesCollections).forEach(bucket => { // Iterate through buckets
+    Object.keys(metadata.scopesCollections[bucket]).forEach(scope => { // Iterate through scopes
+      metadata.scopesCollections[bucket][scope].forEach(collection => { // Iterate through collections
+        const path = `${bucket}.${scope}.${collection}`; // e.g., travel-sample.inventory.airline
+        const label = `${bucket} > ${scope} > ${collection}`; // User-friendly label
+        collectionPaths.push({ path: path, label: label });
+        Logger.log('getConfig: Added collection path: %s', path);
+      });
+    });
+  });
 
-      // Dropdown for selecting a collection.
-      const collectionSelect = config
-        .newSelectSingle()
-        .setId('collection')
-        .setName('Couchbase Collection')
-        .setHelpText('Select the collection to query data from.')
-        .setAllowOverride(true);
+  // Sort collection paths alphabetically for better UX.
+  collectionPaths.sort((a, b) => a.label.localeCompare(b.label));
+  return collectionPaths;
+}
 
-      // Build a list of fully qualified collection paths (bucket.scope.collection).
-      const collectionPaths = [];
-      Object.keys(metadata.scopesCollections).forEach(bucket => { // Iterate through buckets
-        Object.keys(metadata.scopesCollections[bucket]).forEach(scope => { // Iterate through scopes
-          metadata.scopesCollections[bucket][scope].forEach(collection => { // Iterate through collections
-            const path = `${bucket}.${scope}.${collection}`; // e.g., travel-sample.inventory.airline
-            const label = `${bucket} > ${scope} > ${collection}`; // User-friendly label
-            collectionPaths.push({ path: path, label: label });
-            Logger.log('getConfig: Added collection path: %s', path);
-          });
-        });
-      });
+/**
+ * @private
+ * Splits the value of the "Couchbase Collections" multi-select, which Looker Studio sends as a
+ * comma-separated string, into collection paths.
+ *
+ * @param {string|Array<string>} collections The selected collections, e.g.,
+ * "sales.eu.orders,sales.us.orders".
+ * @return {Array<string>} The collection paths, e.g., ['sales.eu.orders', 'sales.us.orders'].
+ * @throws {UserError} If a path is not of the form bucket.scope.collection.
+ */
+function _parseCollectionPaths(collections) {
+  const collectionPaths = (Array.isArray(collections) ? collections : String(collections).split(','))
+    .map(collectionPath => collectionPath.trim())
+    .filter(collectionPath => collectionPath !== '');
+  const invalidPath = collectionPaths.find(collectionPath => collectionPath.split('.').length !== 3);
+  if (invalidPath) {
+    _throwUserError(`Invalid collection path "${invalidPath}". Format: bucket.scope.collection`);
+  }
+  return collectionPaths;
+}
 
-      // Sort collection paths alphabetically for better UX.
-      collectionPaths.sort((a, b) => a.label.localeCompare(b.label));
+/**
+ * @private
+ * Lists the fields of a collection that can be used as a join field in "Join Collections" mode.
+ * The fields come from the same `INFER` output used to build the schema.
+ *
+ * @param {Array|null} inferResults The 'results' array of the collection's `INFER` query.
+ * @return {Array<string>} The candidate field names, or an empty array if inference failed.
+ */
+function _getJoinKeyCandidates(inferResults) {
+  if (!inferResults) {
+    return [];
+  }
+  return _processInferSchemaOutput(inferResults)
+    .filter(field => !field.name.startsWith('empty_') && field.semantics.semanticType !== 'LATITUDE_LONGITUDE')
+    .map(field => field.name);
+}
 
-      // Add each collection path as an option to the dropdown.
-      collectionPaths.forEach(item => {
-        collectionSelect.addOption(
-          config.newOptionBuilder().setLabel(item.label).setValue(item.path)
-        );
-      });
+/**
+ * @private
+ * Validates the "Join Collections" settings and resolves the aliases under which each
+ * collection's fields appear: the collection name, with "_right" appended to the right
+ * collection's alias if both collections have the same name.
+ *
+ * @param {Object} configParams The configuration parameters.
+ * @return {{leftPath: string, rightPath: string, leftAlias: string, rightAlias: string,
+ * joinType: string, leftKey: string, rightKey: string}} The join settings.
+ * @throws {UserError} If a collection or join field is missing or invalid.
+ */
+function _parseJoinConfig(configParams) {
+  const leftPath = (configParams.joinLeftCollection || '').trim();
+  const rightPath = (configParams.joinRightCollection || '').trim();
+  if (!leftPath || !rightPath) {
+    _throwUserError('Both collections must be selected in "Join Collections" mode.');
+  }
+  _parseCollectionPaths([leftPath, rightPath]); // Throws if a path is invalid.
+  if (!configParams.joinLeftKey || !configParams.joinRightKey) {
+    _throwUserError('Both join fields must be selected in "Join Collections" mode.');
+  }
+  const joinType = configParams.joinType || 'inner';
+  if (JOIN_TYPES.indexOf(joinType) === -1) {
+    _throwUserError(`Invalid join type "${joinType}". Use one of: ${JOIN_TYPES.join(', ')}.`);
+  }
 
-      // Check if a collection has been selected.
-      const selectedCollection = configParams.collection ? configParams.collection : null;
-      if (selectedCollection) {
-        isStepped = false; // Configuration is complete for 'collection' mode if a collection is selected.
-        Logger.log('getConfig (collection mode): Collection is selected (%s), setting isStepped = false.', selectedCollection);
-      } else {
-        Logger.log('getConfig (collection mode): Collection NOT selected, isStepped = true.');
-      }
+  const leftAlias = leftPath.split('.')[2];
+  const rightName = rightPath.split('.')[2];
+  return {
+    leftPath: leftPath,
+    rightPath: rightPath,
+    leftAlias: leftAlias,
+    rightAlias: rightName === leftAlias ? `${rightName}_right` : rightName,
+    joinType: joinType,
+    leftKey: configParams.joinLeftKey,
+    rightKey: configParams.joinRightKey
+  };
+}
 
-      // Only add 'maxRows' input if the collection has been selected (config is complete for this step).
-      if (!isStepped) {
-        config
-          .newTextInput()
-          .setId('maxRows')
-          .setName('Maximum Rows')
-          .setHelpText('Maximum number of rows to return (default: 100)')
-          .setPlaceholder('100')
-          .setAllowOverride(true);
-        Logger.log('getConfig (collection mode): isStepped is false, adding maxRows input.');
-      }
-    } else if (currentMode === 'customQuery') {
-      config.newInfo()
-        .setId('custom_query_info')
-        .setText('Enter your custom N1QL query below.');
+/**
+ * @private
+ * Lists the Full Text Search indexes the user can query, from `system:indexes`.
+ *
+ * @return {Array<{value: string, indexName: string, collectionPath: string}>} The indexes, with
+ * `value` being the "bucket.scope.collection:index" option value parsed by `_parseSearchConfig`,
+ * or an empty array if credentials are missing or the query fails.
+ */
+function _fetchSearchIndexes() {
+  const userProperties = PropertiesService.getUserProperties();
+  const path = userProperties.getProperty('dscc.path');
+  const username = userProperties.getProperty('dscc.username');
+  const password = userProperties.getProperty('dscc.password');
+  if (!path || !username || !password) {
+    Logger.log('_fetchSearchIndexes: Auth credentials missing.');
+    return [];
+  }
 
-      // Text area for users to input their custom N1QL query.
-      config
-        .newTextArea()
-        .setId('query')
-        .setName('Custom N1QL Query')
-        .setHelpText('Enter a valid N1QL query. Ensure you include a LIMIT clause if needed for performance or sampling (e.g., for schema inference).')
-        .setPlaceholder('SELECT * FROM `travel-sample`.`inventory`.`airline` WHERE country = "France" LIMIT 100')
-        .setAllowOverride(true);
+  const apiUrl = _constructApiUrl(path);
+  const authHeader = 'Basic ' + Utilities.base64Encode(username + ':' + password);
 
-      isStepped = false; // Configuration is complete once the custom query text area is shown.
-      Logger.log('getConfig (customQuery mode): Setting isStepped = false.');
+  try {
+    const statement = 'SELECT i.name, i.bucket_id, i.scope_id, i.keyspace_id FROM system:indexes AS i ' +
+                      'WHERE i.`using` = "fts" ORDER BY i.name';
+    const results = _executeN1qlQuery(apiUrl, authHeader, statement);
+    if (results === null) {
+      Logger.log('_fetchSearchIndexes: Failed to list Search indexes.');
+      return [];
     }
-
-    // Set whether the configuration process is stepped (requires more input) or complete.
-    config.setIsSteppedConfig(isStepped);
-    Logger.log('getConfig: Final setIsSteppedConfig to: %s', isStepped);
-
-    return config.build(); // Return the built configuration object.
-
+    return results.map(index => {
+      // Indexes on a bucket's default collection have no bucket_id; keyspace_id is then the bucket.
+      const collectionPath = index.bucket_id ?
+        `${index.bucket_id}.${index.scope_id}.${index.keyspace_id}` : `${index.keyspace_id}._default._default`;
+      return { value: `${collectionPath}:${index.name}`, indexName: index.name, collectionPath: collectionPath };
+    });
   } catch (e) {
-    // Handle any unexpected errors during configuration building.
-    Logger.log('ERROR in getConfig: %s. Stack: %s', e.message, e.stack);
-    DataStudioApp.createCommunityConnector()
-      .newUserError()
-      .setText('An unexpected error occurred while building the configuration. Please check the Apps Script logs for details. Error: ' + e.message)
-      .setDebugText('getConfig failed: ' + e.stack)
-      .throwException(); // Throw a user-facing error.
+    Logger.log('Error in _fetchSearchIndexes: %s. Stack: %s', e.toString(), e.stack);
+    return [];
   }
 }
 
 /**
- * Validates the user-provided configuration parameters.
- * This function is called by Looker Studio to ensure the configuration is complete
- * and valid before proceeding to `getSchema` or `getData`.
+ * @private
+ * Validates the "Full Text Search" settings.
  *
- * @param {Object} configParams The user configuration parameters from `request.configParams`.
- * @return {Object} A validated configuration object containing all necessary parameters
- * and their default values if applicable.
- * @throws {UserError} If the configuration is invalid or incomplete.
+ * @param {Object} configParams The configuration parameters.
+ * @return {{collectionPath: string, indexName: string, searchQuery: string}} The search settings.
+ * @throws {UserError} If the index or the search query is missing or invalid.
  */
-function validateConfig(configParams) {
-  Logger.log('Validating config parameters: %s', JSON.stringify(configParams));
-
-  if (!configParams) {
-    _throwUserError('No configuration provided');
+function _parseSearchConfig(configParams) {
+  const searchIndex = (configParams.searchIndex || '').trim();
+  const separatorIndex = searchIndex.lastIndexOf(':');
+  const collectionPath = separatorIndex > 0 ? searchIndex.substring(0, separatorIndex) : '';
+  const indexName = separatorIndex > 0 ? searchIndex.substring(separatorIndex + 1) : '';
+  if (!indexName || collectionPath.split('.').length !== 3) {
+    _throwUserError('A Search index must be selected in "Full Text Search" mode.');
   }
+  const searchQuery = (configParams.searchQuery || '').trim();
+  if (!searchQuery) {
+    _throwUserError('A search query must be entered in "Full Text Search" mode.');
+  }
+  return { collectionPath: collectionPath, indexName: indexName, searchQuery: searchQuery };
+}
 
-  // Retrieve stored authentication credentials.
+/**
+ * @private
+ * Lists the vector fields of the Search indexes the user can query, from the index definitions
+ * returned by the Search service's `/api/index` endpoint (proxied by the Data API). Scoped
+ * indexes map "scope.collection" types; other indexes index the bucket's default collection.
+ *
+ * @return {Array<{value: string, indexName: string, collectionPath: string, fieldPath: string, dims: number}>}
+ * The vector fields, with `value` being the "bucket.scope.collection:index:field" option value
+ * parsed by `_parseVectorSearchConfig`, or an empty array if credentials are missing or the
+ * request fails.
+ */
+function _fetchVectorFields() {
   const userProperties = PropertiesService.getUserProperties();
   const path = userProperties.getProperty('dscc.path');
   const username = userProperties.getProperty('dscc.username');
-  const password = userProperties.getProperty('dscc.password'); // implies password is also retrieved
-
-  // Ensure authentication credentials are present.
+  const password = userProperties.getProperty('dscc.password');
   if (!path || !username || !password) {
-    _throwUserError('Authentication credentials missing. Please reauthenticate.');
-  }
-
-  // Ensure configuration mode is specified.
-  if (!configParams.configMode) {
-    _throwUserError('Configuration mode not specified. Please select a mode.');
+    Logger.log('_fetchVectorFields: Auth credentials missing.');
+    return [];
   }
 
-  // Create a base validated config object with credentials and mode.
-  const validatedConfig = {
-    path: path,
-    username: username,
-    password: password, // Password should be part of the validated config for internal use
-    configMode: configParams.configMode
+  const indexUrl = _constructApiUrl(path) + '/_p/fts/api/index';
+  const options = {
+    method: 'get',
+    headers: { Authorization: 'Basic ' + Utilities.base64Encode(username + ':' + password) },
+    muteHttpExceptions: true,
+    validateHttpsCertificates: false
   };
 
-  // Validate based on the selected configuration mode. (Order switched: collection first)
-  if (configParams.configMode === 'collection') {
-    if (!configParams.collection || configParams.collection.trim() === '') {
-      _throwUserError('Collection must be specified in "Query by Collection" mode.');
-    }
-    validatedConfig.collection = configParams.collection.trim(); // Store trimmed collection path
-    // Set maxRows, defaulting to 100 if not specified or invalid.
-    validatedConfig.maxRows = configParams.maxRows && parseInt(configParams.maxRows) > 0 ?
-             parseInt(configParams.maxRows) : 100;
-  } else if (configParams.configMode === 'customQuery') {
-    if (!configParams.query || configParams.query.trim() === '') {
-      _throwUserError('Custom query must be specified in "Use Custom Query" mode.');
+  try {
+    const response = _fetchWithRetry(indexUrl, options);
+    if (response.getResponseCode() !== 200) {
+      Logger.log('_fetchVectorFields: Failed to list Search indexes. Code: %s, Response: %s', response.getResponseCode(), response.getContentText());
+      return [];
     }
-    validatedConfig.query = configParams.query.trim(); // Store trimmed custom query
-  } else {
-    // Handle unknown configuration mode.
-    _throwUserError('Invalid configuration mode selected.');
+    const indexDefs = (JSON.parse(response.getContentText()).indexDefs || {}).indexDefs || {};
+    const vectorFields = [];
+    Object.keys(indexDefs).forEach(indexName => {
+      const indexDef = indexDefs[indexName];
+      const mapping = (indexDef.params && indexDef.params.mapping) || {};
+      const typeMappings = Object.assign({}, mapping.types);
+      if (mapping.default_mapping && mapping.default_mapping.enabled) {
+        typeMappings['_default._default'] = mapping.default_mapping;
+      }
+      Object.keys(typeMappings).forEach(typeName => {
+        const typeParts = typeName.split('.');
+        const collectionPath = typeParts.length >= 2 ?
+          `${indexDef.sourceName}.${typeParts[0]}.${typeParts[1]}` : `${indexDef.sourceName}._default._default`;
+        collectVectorFields(typeMappings[typeName].properties || {}, '', (fieldPath, dims) => {
+          vectorFields.push({
+            value: `${collectionPath}:${indexDef.name || indexName}:${fieldPath}`,
+            indexName: indexDef.name || indexName,
+            collectionPath: collectionPath,
+            fieldPath: fieldPath,
+            dims: dims
+          });
+        });
+      });
+    });
+    Logger.log('_fetchVectorFields: Found %s vector fields.', vectorFields.length);
+    return vectorFields;
+  } catch (e) {
+    Logger.log('Error in _fetchVectorFields: %s. Stack: %s', e.toString(), e.stack);
+    return [];
   }
 
-  Logger.log('Config validation successful');
-  return validatedConfig; // Return the fully validated configuration.
+  /**
+   * Walks a Search type mapping's properties and reports the fields indexed as vectors.
+   */
+  function collectVectorFields(properties, prefix, onVectorField) {
+    Object.keys(properties).forEach(propertyName => {
+      const property = properties[propertyName];
+      const fieldPath = prefix ? `${prefix}.${propertyName}` : propertyName;
+      (property.fields || []).forEach(field => {
+        if (field.type === 'vector' || field.type === 'vector_base64') {
+          onVectorField(fieldPath, field.dims);
+        }
+      });
+      collectVectorFields(property.properties || {}, fieldPath, onVectorField);
+    });
+  }
 }
 
+/**
+ * @private
+ * Validates the "Vector Search" settings and builds the Search request for them: a k-nearest
+ * neighbours (kNN) query on the vector field, with no text query.
+ *
+ * @param {Object} configParams The configuration parameters.
+ * @return {{collectionPath: string, indexName: string, vectorField: string, k: number, searchQuery: Object}}
+ * The search settings, with `searchQuery` being the Search request bound to `$_searchQuery`
+ * (see `_buildSearchSubquery`).
+ * @throws {UserError} If the vector field, the query vector or k is missing or invalid.
+ */
+function _parseVectorSearchConfig(configParams) {
+  const valueParts = (configParams.vectorField || '').trim().split(':');
+  if (valueParts.length !== 3 || valueParts[0].split('.').length !== 3 || !valueParts[1] || !valueParts[2]) {
+    _throwUserError('A vector field must be selected in "Vector Search" mode.');
+  }
 
-// ==========================================================================
-// ===                        SCHEMA & DATA FLOW                          ===
-// ==========================================================================
+  let queryVector;
+  try {
+    queryVector = JSON.parse(configParams.queryVector || '');
+  } catch (e) {
+    queryVector = null;
+  }
+  if (!Array.isArray(queryVector) || queryVector.length === 0 || queryVector.some(value => typeof value !== 'number')) {
+    _throwUserError('The query vector must be a JSON array of numbers, e.g., [0.012, -0.094, 0.551].');
+  }
+
+  const rawK = String(configParams.vectorK || '').trim();
+  if (rawK !== '' && (!/^\d+$/.test(rawK) || parseInt(rawK, 10) <= 0)) {
+    _throwUserError('Number of Results (k) must be a positive whole number.');
+  }
+  const k = rawK !== '' ? parseInt(rawK, 10) : DEFAULT_VECTOR_K;
+
+  return {
+    collectionPath: valueParts[0],
+    indexName: valueParts[1],
+    vectorField: valueParts[2],
+    k: k,
+    searchQuery: {
+      query: { match_none: {} },
+      knn: [{ field: valueParts[2], vector: queryVector, k: k }],
+      size: k
+    }
+  };
+}
 
 /**
  * @private
- * Processes the output of a Couchbase `INFER` N1QL query to generate a schema
- * definition suitable for Looker Studio. It extracts field names, infers data types
- * (NUMBER, BOOLEAN, STRING, URL), and semantic types (METRIC, DIMENSION).
+ * Checks that the query vector has as many dimensions as its vector field is indexed with (see
+ * `_fetchVectorFields`), since the Search service rejects or mis-scores mismatched vectors. The
+ * check is skipped if the index definitions cannot be read or do not list the field.
  *
- * @param {Array} inferQueryResult The 'results' array from the `INFER` N1QL query response.
- * This is typically an array containing one or more "flavors"
- * of schema, where each flavor describes the properties of documents.
- * @return {Array<Object>} An array of Looker Studio field definitions. Each object includes
- * `name`, `label`, `dataType`, and `semantics` (with `conceptType`).
- * Returns a default placeholder field if inference fails or yields no fields.
+ * @param {Object} vectorSearch The vector search settings returned by `_parseVectorSearchConfig`.
+ * @throws {UserError} If the number of dimensions differs.
  */
-function _processInferSchemaOutput(inferQueryResult) {
-  Logger.log('_processInferSchemaOutput: Received INFER results: %s', JSON.stringify(inferQueryResult));
+function _checkQueryVectorDimensions(vectorSearch) {
+  const vectorField = _fetchVectorFields().find(field => field.collectionPath === vectorSearch.collectionPath &&
+    field.indexName === vectorSearch.indexName && field.fieldPath === vectorSearch.vectorField);
+  const queryVector = vectorSearch.searchQuery.knn[0].vector;
+  if (vectorField && vectorField.dims && queryVector.length !== vectorField.dims) {
+    _throwUserError(`The query vector does not match the vector field "${vectorSearch.vectorField}" of "${vectorSearch.indexName}": ` +
+      `expected ${vectorField.dims} dimensions, got ${queryVector.length}.`);
+  }
+}
 
-  // Check if INFER query returned any results or if the result structure is empty.
-  if (!inferQueryResult || inferQueryResult.length === 0 || !inferQueryResult[0] || inferQueryResult[0].length === 0) {
-    Logger.log('_processInferSchemaOutput: INFER query returned no flavors or empty result.');
-    // Return a placeholder field indicating an empty inference result.
-    return [{ name: 'empty_infer_result', label: 'INFER result is empty', dataType: 'STRING', semantics: { conceptType: 'DIMENSION' }}];
+/**
+ * @private
+ * Validates the "Look Up Documents by Key" settings and lists the keys to fetch: the entered
+ * document keys, or else the key prefix followed by every number of the key range (e.g.,
+ * "airline_10" to "airline_20").
+ *
+ * @param {Object} configParams The configuration parameters.
+ * @return {{collectionPath: string, keys: Array<string>}} The collection and the unique keys,
+ * in the order entered.
+ * @throws {UserError} If the collection path is invalid, no keys are entered, the key range is
+ * invalid, or more than `MAX_LOOKUP_KEYS` keys are requested.
+ */
+function _parseKeyLookupConfig(configParams) {
+  const collectionPath = (configParams.lookupCollection || '').trim();
+  if (collectionPath.split('.').length !== 3 || collectionPath.split('.').some(part => !part)) {
+    _throwUserError('Invalid collection path in "Look Up Documents by Key" mode. Format: bucket.scope.collection');
   }
 
-  // Process ALL flavors from the INFER results, not just the first one.
-  // Each flavor represents a different document structure variant.
-  const allFlavors = inferQueryResult[0]; // Get all flavors from the first result
-  const schemaFields = []; // Array to hold the generated field definitions.
-  const processedFieldNames = new Set(); // Track processed field names to avoid duplicates.
-  
-  Logger.log('_processInferSchemaOutput: Processing %d flavors from INFER results', allFlavors.length);
-  
-  allFlavors.forEach((flavor, flavorIndex) => {
-    // Check if the current flavor contains properties.
-    if (!flavor || !flavor.properties) {
-      Logger.log('_processInferSchemaOutput: Flavor %d has no properties, skipping.', flavorIndex);
-      return; // Skip this flavor and continue with the next one.
+  let keys = (configParams.documentKeys || '').split(/[\n,]/).map(key => key.trim()).filter(key => key);
+  const rawRangeStart = String(configParams.keyRangeStart || '').trim();
+  const rawRangeEnd = String(configParams.keyRangeEnd || '').trim();
+  if (keys.length === 0 && (rawRangeStart !== '' || rawRangeEnd !== '')) {
+    if (!/^\d+$/.test(rawRangeStart) || !/^\d+$/.test(rawRangeEnd) || parseInt(rawRangeStart, 10) > parseInt(rawRangeEnd, 10)) {
+      _throwUserError('Key Range Start and Key Range End must be whole numbers, with the start not greater than the end.');
+    }
+    const rangeStart = parseInt(rawRangeStart, 10);
+    const rangeEnd = parseInt(rawRangeEnd, 10);
+    if (rangeEnd - rangeStart + 1 > MAX_LOOKUP_KEYS) {
+      _throwUserError(`At most ${MAX_LOOKUP_KEYS} documents can be looked up; narrow the key range.`);
+    }
+    const keyPrefix = (configParams.keyPrefix || '').trim();
+    for (let n = rangeStart; n <= rangeEnd; n++) {
+      keys.push(keyPrefix + n);
     }
-    
-    Logger.log('_processInferSchemaOutput: Processing flavor %d with properties: %s', 
-              flavorIndex, Object.keys(flavor.properties).join(', '));
-    
-    // Process fields from this flavor
-    const flavorFields = [];
-    extractFieldsFromProperties(flavor.properties, flavorFields, '');
-    
-    // Add fields from this flavor that haven't been seen before
-    flavorFields.forEach(field => {
-      if (!processedFieldNames.has(field.name)) {
-        schemaFields.push(field);
-        processedFieldNames.add(field.name);
-        Logger.log('_processInferSchemaOutput: Added field from flavor %d: %s (Type: %s)', 
-                  flavorIndex, field.name, field.dataType);
-      } else {
-        Logger.log('_processInferSchemaOutput: Field %s already exists from previous flavor, skipping', field.name);
-      }
-    });
-  });
-  
-  // Check if any valid fields were found across all flavors
-  if (schemaFields.length === 0) {
-    Logger.log('_processInferSchemaOutput: No valid fields found across all flavors.');
-    return [{ name: 'no_properties_in_flavors', label: 'No properties in any INFER flavors', dataType: 'STRING', semantics: { conceptType: 'DIMENSION' }}];
   }
 
-  /**
-   * Recursively extracts fields from nested properties object.
-   * @param {Object} properties The properties object from the INFER result.
-   * @param {Array} targetArray The array to push field definitions to.
-   * @param {string} [prefix=''] A prefix for nested field names (e.g., "address.").
-   */
-  function extractFieldsFromProperties(properties, targetArray, prefix = '') {
-    Object.keys(properties).forEach(key => {
-      const fieldDef = properties[key]; // Definition of the current field from INFER output.
-      const fieldName = prefix ? `${prefix}.${key}` : key; // Construct full field name (e.g., "user.name").
-      let dataType = 'STRING'; // Default Looker Studio data type.
-      let conceptType = 'DIMENSION'; // Default Looker Studio semantic type.
-
-      // INFER can return a single type or an array of possible types. Standardize to an array.
-      const inferTypes = Array.isArray(fieldDef.type) ? fieldDef.type : [fieldDef.type];
+  keys = keys.filter((key, index) => keys.indexOf(key) === index);
+  if (keys.length === 0) {
+    _throwUserError('Enter document keys, or a key prefix and range, in "Look Up Documents by Key" mode.');
+  }
+  if (keys.length > MAX_LOOKUP_KEYS) {
+    _throwUserError(`At most ${MAX_LOOKUP_KEYS} documents can be looked up; ${keys.length} keys were entered.`);
+  }
+  return { collectionPath: collectionPath, keys: keys };
+}
 
-      // Determine Looker Studio dataType and conceptType based on inferred Couchbase types.
-      if (inferTypes.includes('number') || inferTypes.includes('integer')) {
-        dataType = 'NUMBER';
-        conceptType = 'METRIC'; // Numbers are often treated as metrics.
-      } else if (inferTypes.includes('boolean')) {
-        dataType = 'BOOLEAN'; // Booleans are dimensions.
-      } else if (inferTypes.includes('string')) {
-        // Special handling for strings to detect URLs.
-        let isPotentiallyUrl = false;
-        let hasNonEmptyUrlSample = false;
-        let hasEmptyStringSample = false;
-
-        if (fieldDef.samples && fieldDef.samples.length > 0) {
-          fieldDef.samples.forEach(sample => { // Iterate through samples to check for URL patterns.
-            if (typeof sample === 'string') {
-              if (sample.startsWith('http://') || sample.startsWith('https://')) {
-                isPotentiallyUrl = true; // Found a sample that looks like a URL.
-                hasNonEmptyUrlSample = true; // Confirmed at least one non-empty URL-like sample.
-              } else if (sample === '') {
-                hasEmptyStringSample = true; // Found an empty string sample.
-              }
-            }
-          });
-        }
-        
-        // Logic to decide if a string field should be typed as URL:
-        // If it has URL-like samples AND empty strings, default to STRING for safety.
-        // If it has URL-like samples AND NO empty strings, it can be typed as URL.
-        if (isPotentiallyUrl && hasNonEmptyUrlSample) {
-            if (hasEmptyStringSample) {
-                Logger.log('_processInferSchemaOutput: Field [%s] has URL-like samples and empty strings. Defaulting to STRING.', fieldName);
-                dataType = 'STRING';
-            } else {
-                dataType = 'URL';
-            }
-        } else {
-            dataType = 'STRING'; // Default to STRING if not clearly a URL.
-        }
-
-      } else if (inferTypes.includes('object') && fieldDef.properties) {
-        // Recursively process nested objects.
-        extractFieldsFromProperties(fieldDef.properties, targetArray, fieldName);
-        return; // Return early as fields are added in the recursive call.
-      } else if (inferTypes.includes('array')) {
-        // Arrays are typically represented as STRING (e.g., JSON stringified).
-        dataType = 'STRING';
-      }
-      // Else, it remains STRING/DIMENSION by default.
-
-      // Add the processed field to the target array.
-      targetArray.push({
-        name: fieldName,
-        label: fieldName, // Use field name as label by default.
-        dataType: dataType,
-        semantics: { conceptType: conceptType }
-      });
-    });
+/**
+ * @private
+ * Returns whether the document metadata fields (`METADATA_FIELDS`) are part of the data source:
+ * only in "Query by Collection" mode, with "Include Document Metadata" checked.
+ *
+ * @param {Object} configParams The user configuration.
+ * @return {boolean} True if the metadata fields are included.
+ * @throws {UserError} If metadata is requested together with an UNNEST array field, whose rows
+ * are array elements rather than documents.
+ */
+function _isMetadataIncluded(configParams) {
+  if (configParams.configMode !== 'collection' || String(configParams.includeMetadata) !== 'true') {
+    return false;
   }
+  if (configParams.unnestField) {
+    _throwUserError('Document metadata cannot be included together with an unnested array field. Clear "Unnest Array Field" or "Include Document Metadata".');
+  }
+  return true;
+}
 
-  // Multi-flavor processing already handles empty schema cases above, so no additional check needed here.
+/**
+ * @private
+ * Adds the paging inputs shared by all configuration modes: the number of rows requested
+ * per query page and the execution-time budget for fetching pages in one `getData` call.
+ *
+ * @param {Config} config The configuration object being built in `getConfig`.
+ */
+function _addPagingConfig(config) {
+  config
+    .newTextInput()
+    .setId('pageSize')
+    .setName('Page Size')
+    .setHelpText(`Number of rows fetched per query request while paging through results (default: ${DEFAULT_PAGE_SIZE}).`)
+    .setPlaceholder(String(DEFAULT_PAGE_SIZE))
+    .setAllowOverride(true);
+
+  config
+    .newTextInput()
+    .setId('timeBudgetSeconds')
+    .setName('Time Budget (seconds)')
+    .setHelpText(`Stop fetching further pages after this many seconds and return the rows retrieved so far (default: ${DEFAULT_TIME_BUDGET_SECONDS}).`)
+    .setPlaceholder(String(DEFAULT_TIME_BUDGET_SECONDS))
+    .setAllowOverride(true);
+}
 
-  Logger.log('_processInferSchemaOutput: Final schema fields from INFER: %s', JSON.stringify(schemaFields));
-  return schemaFields; // Return the array of generated field definitions.
+/**
+ * @private
+ * Adds the advanced query tuning inputs shared by all configuration modes. They are sent as
+ * Query service request parameters with every schema and data query (see `_getQueryTuningParams`).
+ *
+ * @param {Config} config The configuration object being built in `getConfig`.
+ */
+function _addQueryTuningConfig(config) {
+  config.newInfo()
+    .setId('advanced_options_info')
+    .setText('Advanced options: leave these empty to use the Query service defaults.');
+
+  config
+    .newSelectSingle()
+    .setId('scanConsistency')
+    .setName('Scan Consistency')
+    .setHelpText('"Request plus" waits for indexes to include every mutation made before the query, so recently ingested documents are returned; "Not bounded" (the default) is faster but may miss them.')
+    .setAllowOverride(true)
+    .addOption(config.newOptionBuilder().setLabel('Not bounded').setValue('not_bounded'))
+    .addOption(config.newOptionBuilder().setLabel('Request plus').setValue('request_plus'));
+
+  config
+    .newTextInput()
+    .setId('queryTimeoutSeconds')
+    .setName('Query Timeout (seconds)')
+    .setHelpText('Server-side timeout for each query request.')
+    .setAllowOverride(true);
+
+  config
+    .newTextInput()
+    .setId('maxParallelism')
+    .setName('Max Parallelism')
+    .setHelpText('Maximum number of index partitions and operators the Query service runs in parallel for each query.')
+    .setAllowOverride(true);
+
+  config
+    .newTextInput()
+    .setId('pipelineBatch')
+    .setName('Pipeline Batch')
+    .setHelpText('Number of items the Query service execution operators batch together when fetching documents.')
+    .setAllowOverride(true);
 }
 
+/**
+ * @private
+ * Adds the checkbox that turns on the query plan check (see `_addQueryPlanInfo`). The check
+ * sends EXPLAIN and ADVISE requests every time the configuration is shown, so it is off
+ * unless the user asks for it.
+ *
+ * @param {Config} config The configuration object being built in `getConfig`.
+ */
+function _addQueryPlanCheckConfig(config) {
+  config
+    .newCheckbox()
+    .setId('checkQueryPlan')
+    .setName('Check Query Plan')
+    .setHelpText('Runs EXPLAIN on the query while you configure the data source and warns, with index advice, if it scans every document. Clear it once the indexes are in place.');
+}
 
 /**
  * @private
- * Constructs a Looker Studio `Fields` object based on the fields requested by Looker Studio
- * and a master schema definition. This ensures that `getData` responses only include
- * the fields, types, and semantic types that Looker Studio expects for a given query.
+ * Checks a statement once its configuration is complete, so problems surface while configuring
+ * instead of when a report times out. Runs `EXPLAIN` on the statement and rejects syntax errors
+ * with the Query service's message. If the plan scans a primary index (unless
+ * `allowPrimaryScan` is set), or the statement cannot be planned (e.g., no index serves it),
+ * adds an info block with the warning and another with the indexes `ADVISE` recommends creating.
  *
- * @param {Array<Object>} requestFields The `request.fields` array from Looker Studio's `getData` request.
- * Each object in this array represents a field Looker Studio expects.
- * @param {Array<Object>} masterSchema The complete schema definition for the data source,
- * typically generated by `getSchema()`. Each object
- * should define `name`, `dataType`, and `semantics`.
- * @return {Fields} A Looker Studio `Fields` object populated with the requested fields,
- * typed according to the `masterSchema`.
+ * @param {Config} config The configuration object being built in `getConfig`.
+ * @param {string} statement The statement to check, as `getData` runs it.
+ * @param {Object=} queryOptions Optional `namedParams` and `queryContext`, as for `_executeN1qlQuery`.
+ * @param {boolean=} allowPrimaryScan Whether a primary scan is expected, e.g., for paging through
+ * a collection by document key.
+ * @throws {UserError} If the statement has a syntax error.
  */
-function _getRequestedFields(requestFields, masterSchema) {
-  const cc = DataStudioApp.createCommunityConnector();
-  const requestedFieldsObject = cc.getFields(); // Initialize a new Fields object.
-  Logger.log('_getRequestedFields: Called with masterSchema. Processing request.fields: %s', JSON.stringify(requestFields));
+function _addQueryPlanInfo(config, statement, queryOptions, allowPrimaryScan) {
+  const userProperties = PropertiesService.getUserProperties();
+  const path = userProperties.getProperty('dscc.path');
+  const username = userProperties.getProperty('dscc.username');
+  const password = userProperties.getProperty('dscc.password');
+  if (!path || !username || !password) {
+    Logger.log('_addQueryPlanInfo: Auth credentials missing.');
+    return;
+  }
+  const queryServiceUrl = _constructApiUrl(path) + '/_p/query/query/service';
+  const authHeader = 'Basic ' + Utilities.base64Encode(username + ':' + password);
 
-  // If Looker Studio doesn't request specific fields, fallback to using the entire masterSchema.
-  // This can happen in some contexts or if `request.fields` is empty.
-  if (!requestFields || requestFields.length === 0) {
-    Logger.log('_getRequestedFields: No specific fields in requestFields. Building response fields from masterSchema as fallback.');
-    if (masterSchema && masterSchema.length > 0) {
-        masterSchema.forEach(fieldDef => { // Iterate over each field in the master schema.
-            let fieldTypeEnum = cc.FieldType.TEXT; // Default to TEXT type.
-            // Map masterSchema dataType to Looker Studio FieldType.
-            if (fieldDef.dataType === 'NUMBER') fieldTypeEnum = cc.FieldType.NUMBER;
-            else if (fieldDef.dataType === 'BOOLEAN') fieldTypeEnum = cc.FieldType.BOOLEAN;
-            else if (fieldDef.dataType === 'URL') fieldTypeEnum = cc.FieldType.URL;
+  const explain = runStatement('EXPLAIN');
+  const syntaxError = explain.errors.find(error => error.code === 3000);
+  if (syntaxError) {
+    _throwUserError(_describeQueryError(3000, syntaxError.msg || ''), `EXPLAIN failed for statement: ${statement}\nResponse: ${explain.responseText}`);
+  }
 
-            // Determine if the field is a METRIC or DIMENSION.
-            if (fieldDef.semantics.conceptType === 'METRIC') {
-                requestedFieldsObject.newMetric().setId(fieldDef.name).setName(fieldDef.name).setType(fieldTypeEnum);
-            } else {
-                requestedFieldsObject.newDimension().setId(fieldDef.name).setName(fieldDef.name).setType(fieldTypeEnum);
-            }
-        });
+  let warning = null;
+  if (explain.responseCode !== 200) {
+    const error = explain.errors[0] || {};
+    warning = 'The Query service could not plan this query: ' +
+      (_describeQueryError(error.code, error.msg || '') || error.msg || `HTTP ${explain.responseCode}`);
+  } else if (!allowPrimaryScan) {
+    const primaryScanKeyspaces = [];
+    findPrimaryScans(explain.results, primaryScanKeyspaces);
+    if (primaryScanKeyspaces.length > 0) {
+      warning = `The query plan scans every document of ${primaryScanKeyspaces.join(', ')} (PrimaryScan), ` +
+        'so reports get slower as the collection grows and may time out.';
     }
-    return requestedFieldsObject; // Return the Fields object, possibly populated from masterSchema.
   }
+  if (!warning) {
+    Logger.log('_addQueryPlanInfo: Plan uses secondary indexes only.');
+    return;
+  }
+  Logger.log('_addQueryPlanInfo: %s', warning);
+  config.newInfo()
+    .setId('query_plan_warning')
+    .setText(warning);
+
+  const advise = runStatement('ADVISE');
+  const indexStatements = [];
+  if (advise.responseCode === 200) {
+    findIndexStatements(advise.results, indexStatements);
+  }
+  config.newInfo()
+    .setId('index_advice')
+    .setText(indexStatements.length > 0 ?
+      `Index advice: create ${indexStatements.length === 1 ? 'this index' : 'these indexes'} to serve the query: ${indexStatements.join('; ')}` :
+      'Index advice: ADVISE has no index recommendation for this query.');
 
-  // Process each field explicitly requested by Looker Studio.
-  requestFields.forEach(requestedFieldInfo => { // `requestedFieldInfo` is an item from Looker Studio's `request.fields` array.
-    const fieldName = requestedFieldInfo.name; // Name of the field requested by Looker Studio.
-    // Find this field in our masterSchema to get its correct dataType and semantics.
-    const fieldDefinition = masterSchema.find(f => f.name === fieldName);
-
-    let fieldTypeEnum = cc.FieldType.TEXT; // Default Looker Studio type.
-    let conceptType = 'DIMENSION'; // Default Looker Studio semantic concept.
+  /**
+   * Runs the statement prefixed with EXPLAIN or ADVISE and returns the parsed response.
+   */
+  function runStatement(prefix) {
+    const payload = { statement: `${prefix} ${statement}` };
+    const namedParams = (queryOptions && queryOptions.namedParams) || {};
+    Object.keys(namedParams).forEach(name => {
+      payload['$' + name] = namedParams[name];
+    });
+    if (queryOptions && queryOptions.queryContext) {
+      payload.query_context = _buildQueryContext(queryOptions.queryContext);
+    }
+    const response = _fetchWithRetry(queryServiceUrl, {
+      method: 'post',
+      contentType: 'application/json',
+      headers: { Authorization: authHeader },
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true,
+      validateHttpsCertificates: false
+    });
+    let body = {};
+    try {
+      body = JSON.parse(response.getContentText());
+    } catch (e) {
+      // Not a JSON response; reported through the response code.
+    }
+    return {
+      responseCode: response.getResponseCode(),
+      responseText: response.getContentText(),
+      results: body.results || [],
+      errors: body.errors || []
+    };
+  }
 
-    if (fieldDefinition) {
-      // If found in masterSchema, use its defined type and semantics.
-      conceptType = fieldDefinition.semantics.conceptType;
-      switch (fieldDefinition.dataType) {
-        case 'NUMBER': fieldTypeEnum = cc.FieldType.NUMBER; break;
-        case 'BOOLEAN': fieldTypeEnum = cc.FieldType.BOOLEAN; break;
-        case 'URL': fieldTypeEnum = cc.FieldType.URL; break;
-        case 'STRING': // Falls through to default
-        default: fieldTypeEnum = cc.FieldType.TEXT; break; // Handles STRING and any other unmapped types.
+  /**
+   * Collects the keyspaces of the PrimaryScan operators (including sequential scans) in a plan.
+   */
+  function findPrimaryScans(node, keyspaces) {
+    if (Array.isArray(node)) {
+      node.forEach(child => findPrimaryScans(child, keyspaces));
+    } else if (node && typeof node === 'object') {
+      if (/^PrimaryScan/.test(node['#operator'] || '')) {
+        const keyspace = [node.bucket, node.scope, node.keyspace].filter(part => part).join('.') || 'a keyspace';
+        if (keyspaces.indexOf(keyspace) === -1) {
+          keyspaces.push(keyspace);
+        }
       }
-      Logger.log('_getRequestedFields: Mapped %s to LookerType: %s (from %s), Concept: %s', fieldName, fieldTypeEnum, fieldDefinition.dataType, conceptType);
-    } else {
-      // If a requested field is NOT in masterSchema, it's an anomaly.
-      // Default to TEXT/DIMENSION to avoid errors, but log a warning.
-      Logger.log('_getRequestedFields: WARNING - Requested field %s not found in masterSchema. Defaulting to TEXT/DIMENSION.', fieldName);
+      Object.keys(node).forEach(key => findPrimaryScans(node[key], keyspaces));
     }
+  }
 
-    // Add the field to the Fields object as either a Metric or Dimension.
-    if (conceptType === 'METRIC') {
-      requestedFieldsObject.newMetric().setId(fieldName).setName(fieldName).setType(fieldTypeEnum);
-    } else { // Default to Dimension if not Metric.
-      requestedFieldsObject.newDimension().setId(fieldName).setName(fieldName).setType(fieldTypeEnum);
+  /**
+   * Collects the CREATE INDEX statements ADVISE recommends, skipping the indexes already in use.
+   */
+  function findIndexStatements(node, indexStatements) {
+    if (Array.isArray(node)) {
+      node.forEach(child => findIndexStatements(child, indexStatements));
+    } else if (node && typeof node === 'object') {
+      Object.keys(node).forEach(key => {
+        if (key === 'index_statement' && typeof node[key] === 'string' && indexStatements.indexOf(node[key]) === -1) {
+          indexStatements.push(node[key]);
+        } else if (key !== 'current_indexes') {
+          findIndexStatements(node[key], indexStatements);
+        }
+      });
     }
-  });
-
-  Logger.log('_getRequestedFields: Constructed Fields object for getData response: %s', JSON.stringify(requestedFieldsObject.asArray())); // Log the structure of fields being sent back.
-  return requestedFieldsObject; // Return the fully populated Fields object.
+  }
 }
 
 /**
- * Returns the schema for the given request. The schema defines the fields (columns)
- * that will be available from this data source, including their names, data types,
- * and semantic types (Dimension or Metric).
- *
- * If `configMode` is 'collection', it uses an `INFER` N1QL query on the specified collection
- * to dynamically determine the schema.
- * If `configMode` is 'customQuery', it first attempts to use `INFER (subquery) WITH ...`.
- * If that fails, it falls back to executing the user's query with `LIMIT 1` and
- * infers the schema from the single result document.
+ * Returns the user-configurable options for the connector.
+ * This function defines the configuration UI that users see when setting up
+ * the connector in Looker Studio. It allows users to choose between querying
+ * a specific collection or using a custom N1QL query.
  *
- * @param {Object} request The request object from Looker Studio, containing `configParams`.
- * @return {Object} A schema response object `{ schema: [...] }` where `[...]` is an
- * array of field definitions.
- * @throws {UserError} If credentials are missing, configuration is invalid, or schema
- * inference fails.
+ * @param {Object} request The request object from Looker Studio, which may contain
+ * existing configuration parameters (`request.configParams`).
+ * @return {Object} The configuration object built by `CommunityConnector.getConfig()`.
  */
-function getSchema(request) {
-  Logger.log('getSchema request: %s', JSON.stringify(request));
+function getConfig(request) {
+  const cc = DataStudioApp.createCommunityConnector();
+  var config = cc.getConfig(); // Start building a new configuration object.
+
   try {
-    // Retrieve stored authentication credentials.
-    const userProperties = PropertiesService.getUserProperties();
-    const path = userProperties.getProperty('dscc.path');
-    const username = userProperties.getProperty('dscc.username');
-    const password = userProperties.getProperty('dscc.password');
+    // Determine if this is the first request (no params yet) or a subsequent one.
+    const isFirstRequest = (request.configParams === undefined);
+    const configParams = request.configParams || {}; // Use existing params or an empty object.
 
-    // Ensure authentication credentials are present.
-    if (!path || !username || !password) {
-      Logger.log('getSchema: Missing credentials');
-      _throwUserError('Authentication credentials missing. Please reauthenticate.');
-    }
+    // The configuration is dynamic and stepped, guiding the user through choices.
+    let isStepped = true; // Assume config is ongoing unless all required inputs for a mode are provided.
 
-    const configParams = request.configParams || {}; // Use config from request or default to empty.
-    const apiUrl = _constructApiUrl(path); // Construct base API URL.
-    const authHeader = 'Basic ' + Utilities.base64Encode(username + ':' + password); // Prepare auth header.
-    let schemaFields; // To store the array of field definitions.
+    // Informational text for the user.
+    config
+      .newInfo()
+      .setId('instructions')
+      .setText('Choose a configuration mode: query by selecting a collection, combine or join collections, search a Full Text Search or vector index, look up documents by key, or enter a custom N1QL query.');
 
-    // Schema inference logic depends on the configuration mode. (Order switched: collection first)
-    if (configParams.configMode === 'collection') {
-      // Validate that a collection is specified in collection mode.
-      if (!configParams.collection || configParams.collection.trim() === '') {
-        _throwUserError('Collection must be specified in "Query by Collection" mode.');
-      }
+    // Mode selector: 'Query by Collection' or 'Use Custom Query'.
+    const modeSelector = config.newSelectSingle()
+      .setId('configMode')
+      .setName('Configuration Mode')
+      .setHelpText('Select how you want to define the data source.')
+      .setAllowOverride(true) // Allow users to change this later.
+      .setIsDynamic(true); // Changing this selector will refresh the config.
 
-      const collectionParts = configParams.collection.split('.'); // e.g., "bucket.scope.collection"
-      if (collectionParts.length !== 3) {
-        _throwUserError('Invalid collection path. Format: bucket.scope.collection');
-      }
-      // Extract raw bucket, scope, and collection names.
-      const rawBucket = collectionParts[0];
-      const rawScope = collectionParts[1];
-      const rawCollection = collectionParts[2];
+    modeSelector.addOption(config.newOptionBuilder().setLabel('Query by Collection').setValue('collection'));
+    modeSelector.addOption(config.newOptionBuilder().setLabel('Combine Collections').setValue('multiCollection'));
+    modeSelector.addOption(config.newOptionBuilder().setLabel('Join Collections').setValue('join'));
+    modeSelector.addOption(config.newOptionBuilder().setLabel('Full Text Search').setValue('search'));
+    modeSelector.addOption(config.newOptionBuilder().setLabel('Vector Search (7.6+)').setValue('vectorSearch'));
+    modeSelector.addOption(config.newOptionBuilder().setLabel('Look Up Documents by Key').setValue('keyLookup'));
+    modeSelector.addOption(config.newOptionBuilder().setLabel('Use Custom Query').setValue('customQuery'));
 
-      // Construct the keyspace path for the INFER statement, ensuring names are backticked.
-      const keyspacePathForInfer = `\`${rawBucket}\`.\`${rawScope}\`.\`${rawCollection}\``;
-      // Options for the INFER statement to control sampling.
-      const inferWithOptions = `WITH {"sample_size": 100, "num_sample_values": 3, "similarity_metric": 0.6}`;
-      const actualInferStatement = `INFER ${keyspacePathForInfer} ${inferWithOptions}`;
+    // Determine the current mode, defaulting to 'collection'.
+    const currentMode = configParams.configMode ? configParams.configMode : 'collection';
+    Logger.log('getConfig: Current mode: %s', currentMode);
 
-      Logger.log('getSchema (collectionMode): Retrieving schema via INFER statement.');
-      Logger.log('getSchema (collectionMode): Statement (intended): %s', actualInferStatement);
+    if (currentMode === 'collection') {
+      config.newInfo()
+        .setId('collection_info')
+        .setText('Select a collection to query data from.');
 
-      // Execute the INFER N1QL query.
-      const inferResults = _executeN1qlQuery(apiUrl, authHeader, actualInferStatement);
-      if (inferResults === null) {
-        // `_executeN1qlQuery` returns null on error.
-        _throwUserError('Failed to execute INFER query for collection. Check logs for N1QL error details.');
-      }
-      
-      schemaFields = _processInferSchemaOutput(inferResults);
-      if (!schemaFields || schemaFields.length === 0 || (schemaFields.length === 1 && schemaFields[0].name.startsWith('empty_'))) {
-         Logger.log('getSchema (collectionMode): INFER results processed but yielded no valid fields.');
-         const entityPath = `${rawBucket}.${rawScope}.${rawCollection}`;
-         _throwUserError(
-           `The collection "${entityPath}" appears to be empty or does not exist. ` +
-           `Please verify:\n` +
-           `1. The collection exists and contains data\n` +
-           `2. Your credentials have permission to access this collection\n` +
-           `3. The bucket, scope, and collection names are correct`
-         );
-      }
+      // Fetch buckets, scopes, and collections to populate the dropdown.
+      const metadata = _fetchCouchbaseMetadata();
+      Logger.log('getConfig: Metadata fetch returned buckets: %s', JSON.stringify(metadata.buckets));
+
+      // Dropdown for selecting a collection.
+      const collectionSelect = config
+        .newSelectSingle()
+        .setId('collection')
+        .setName('Couchbase Collection')
+        .setHelpText('Select the collection to query data from.')
+        .setAllowOverride(true);
+
+      // Add each collection path as an option to the dropdown.
+      _getCollectionPathOptions(metadata).forEach(item => {
+        collectionSelect.addOption(
+          config.newOptionBuilder().setLabel(item.label).setValue(item.path)
+        );
+      });
+
+      // Check if a collection has been selected.
+      const selectedCollection = configParams.collection ? configParams.collection : null;
+      if (selectedCollection) {
+        isStepped = false; // Configuration is complete for 'collection' mode if a collection is selected.
+        Logger.log('getConfig (collection mode): Collection is selected (%s), setting isStepped = false.', selectedCollection);
+      } else {
+        Logger.log('getConfig (collection mode): Collection NOT selected, isStepped = true.');
+      }
+
+      // Only add 'maxRows' input if the collection has been selected (config is complete for this step).
+      if (!isStepped) {
+        config
+          .newTextInput()
+          .setId('maxRows')
+          .setName('Maximum Rows')
+          .setHelpText('Maximum number of rows to return across all pages (default: 100)')
+          .setPlaceholder('100')
+          .setAllowOverride(true);
+        _addPagingConfig(config);
+        _addCacheConfig(config);
+        _addFieldOverridesConfig(config);
+        _addQueryTuningConfig(config);
+        Logger.log('getConfig (collection mode): isStepped is false, adding maxRows, paging and cache inputs.');
+
+        // Date range: the user picks the timestamp field filtered by the report's date range control.
+        const dateRangeFieldSelect = config
+          .newSelectSingle()
+          .setId('dateRangeField')
+          .setName('Date Range Field')
+          .setHelpText('Timestamp field filtered by the report date range control. Leave empty to ignore the date range.')
+          .setAllowOverride(true)
+          .setIsDynamic(true); // Whether a date range is requested depends on this field.
+        const collectionInferResults = _fetchCollectionInferResults(selectedCollection);
+        _getDateRangeFieldCandidates(collectionInferResults).forEach(fieldName => {
+          dateRangeFieldSelect.addOption(config.newOptionBuilder().setLabel(fieldName).setValue(fieldName));
+        });
+
+        config
+          .newSelectSingle()
+          .setId('dateRangeFormat')
+          .setName('Date Range Field Format')
+          .setHelpText('How the date range field is stored in your documents (default: ISO-8601 string).')
+          .setAllowOverride(true)
+          .addOption(config.newOptionBuilder().setLabel('ISO-8601 string').setValue('iso8601'))
+          .addOption(config.newOptionBuilder().setLabel('Epoch milliseconds').setValue('epochMillis'))
+          .addOption(config.newOptionBuilder().setLabel('Epoch seconds').setValue('epochSeconds'));
+
+        // Request a date range only when a date range field is selected.
+        config.setDateRangeRequired(Boolean(configParams.dateRangeField));
+
+        // UNNEST: the user can turn an array of objects into one row per element.
+        const unnestFieldSelect = config
+          .newSelectSingle()
+          .setId('unnestField')
+          .setName('Unnest Array Field')
+          .setHelpText('Array of objects to return as one row per element, with the element\'s properties as fields alongside the parent document\'s fields. Leave empty to return one row per document.')
+          .setAllowOverride(true);
+        _findArrayFieldPaths(collectionInferResults).forEach(fieldName => {
+          unnestFieldSelect.addOption(config.newOptionBuilder().setLabel(fieldName).setValue(fieldName));
+        });
+
+        config
+          .newCheckbox()
+          .setId('includeMetadata')
+          .setName('Include Document Metadata')
+          .setHelpText('Adds the document key (_meta_id), CAS (_meta_cas), expiration (_meta_expiration) and last modified time (_meta_last_modified) as dimensions. The key can be used for drill-through, de-duplication or as a blend key. Not available with an unnested array field.')
+          .setAllowOverride(true);
+
+        _addQueryPlanCheckConfig(config);
+
+        // On request, check how the Query service plans the statement `getData` pages through.
+        // Paging by document key scans the primary index, which only needs a warning for date
+        // range filters. Unnested rows are read by a full scan in any case.
+        const collectionParts = selectedCollection.split('.');
+        if (String(configParams.checkQueryPlan) === 'true' && !configParams.unnestField && collectionParts.length === 3) {
+          const collectionName = _quoteIdentifier(collectionParts[2]);
+          const conditions = [];
+          const namedParams = { _cursor: '', _pageSize: DEFAULT_PAGE_SIZE };
+          if (configParams.dateRangeField) {
+            const today = new Date().toISOString().substring(0, 10);
+            const dateRange = _buildDateRangeCondition(_buildFieldPath(collectionName, configParams.dateRangeField),
+              configParams.dateRangeFormat, { startDate: today, endDate: today });
+            conditions.push(dateRange.clause);
+            Object.assign(namedParams, dateRange.namedParams);
+          }
+          const statement = _buildKeysetStatement(collectionParts.map(_quoteIdentifier).join('.'), collectionName,
+            conditions, null, _isMetadataIncluded(configParams));
+          _addQueryPlanInfo(config, statement, { namedParams: namedParams }, !configParams.dateRangeField);
+        }
+      }
+    } else if (currentMode === 'multiCollection') {
+      config.newInfo()
+        .setId('multi_collection_info')
+        .setText(`Select collections with the same document structure (e.g., one per region) to chart them together. Each row gets a ${SOURCE_COLLECTION_FIELD} dimension naming its collection.`);
+
+      const metadata = _fetchCouchbaseMetadata();
+      const collectionsSelect = config
+        .newSelectMultiple()
+        .setId('collections')
+        .setName('Couchbase Collections')
+        .setHelpText('Select the collections to combine.')
+        .setAllowOverride(true);
+      _getCollectionPathOptions(metadata).forEach(item => {
+        collectionsSelect.addOption(
+          config.newOptionBuilder().setLabel(item.label).setValue(item.path)
+        );
+      });
+
+      // Configuration is complete once at least one collection has been selected.
+      const selectedCollections = configParams.collections ? _parseCollectionPaths(configParams.collections) : [];
+      isStepped = selectedCollections.length === 0;
+      Logger.log('getConfig (multiCollection mode): %s collections selected, isStepped = %s.', selectedCollections.length, isStepped);
+
+      if (!isStepped) {
+        config
+          .newTextInput()
+          .setId('maxRows')
+          .setName('Maximum Rows')
+          .setHelpText('Maximum number of rows to return across all pages and collections (default: 100)')
+          .setPlaceholder('100')
+          .setAllowOverride(true);
+        _addPagingConfig(config);
+        _addCacheConfig(config);
+        _addFieldOverridesConfig(config);
+        _addQueryTuningConfig(config);
+
+        // The date range field is typed rather than picked: listing the candidates would INFER
+        // every selected collection on each configuration change. `getSchema` checks it exists.
+        config
+          .newTextInput()
+          .setId('dateRangeField')
+          .setName('Date Range Field')
+          .setHelpText('Timestamp field filtered by the report date range control, e.g., created_at or order.date. Leave empty to ignore the date range.')
+          .setAllowOverride(true)
+          .setIsDynamic(true); // Whether a date range is requested depends on this field.
+
+        config
+          .newSelectSingle()
+          .setId('dateRangeFormat')
+          .setName('Date Range Field Format')
+          .setHelpText('How the date range field is stored in your documents (default: ISO-8601 string).')
+          .setAllowOverride(true)
+          .addOption(config.newOptionBuilder().setLabel('ISO-8601 string').setValue('iso8601'))
+          .addOption(config.newOptionBuilder().setLabel('Epoch milliseconds').setValue('epochMillis'))
+          .addOption(config.newOptionBuilder().setLabel('Epoch seconds').setValue('epochSeconds'));
+
+        // Request a date range only when a date range field is selected.
+        config.setDateRangeRequired(Boolean(configParams.dateRangeField));
+      }
+    } else if (currentMode === 'join') {
+      config.newInfo()
+        .setId('join_info')
+        .setText('Select two collections and the fields that match their documents. Fields are prefixed with their collection name, e.g., airline.name and route.sourceairport.');
+
+      const metadata = _fetchCouchbaseMetadata();
+      const collectionOptions = _getCollectionPathOptions(metadata);
+      const leftCollectionSelect = config
+        .newSelectSingle()
+        .setId('joinLeftCollection')
+        .setName('Left Collection')
+        .setHelpText('Collection whose documents are matched against the right collection.')
+        .setAllowOverride(true)
+        .setIsDynamic(true); // The join fields below depend on the selected collections.
+      const rightCollectionSelect = config
+        .newSelectSingle()
+        .setId('joinRightCollection')
+        .setName('Right Collection')
+        .setHelpText('Collection joined to the left collection.')
+        .setAllowOverride(true)
+        .setIsDynamic(true);
+      collectionOptions.forEach(item => {
+        leftCollectionSelect.addOption(config.newOptionBuilder().setLabel(item.label).setValue(item.path));
+        rightCollectionSelect.addOption(config.newOptionBuilder().setLabel(item.label).setValue(item.path));
+      });
+
+      // Configuration is complete once both collections have been selected.
+      isStepped = !configParams.joinLeftCollection || !configParams.joinRightCollection;
+      Logger.log('getConfig (join mode): isStepped = %s.', isStepped);
+
+      if (!isStepped) {
+        config
+          .newSelectSingle()
+          .setId('joinType')
+          .setName('Join Type')
+          .setHelpText('"Inner" returns only matching pairs of documents; "Left outer" also returns left documents without a match (default: Inner).')
+          .setAllowOverride(true)
+          .addOption(config.newOptionBuilder().setLabel('Inner').setValue('inner'))
+          .addOption(config.newOptionBuilder().setLabel('Left outer').setValue('left'));
+
+        const leftKeySelect = config
+          .newSelectSingle()
+          .setId('joinLeftKey')
+          .setName('Left Join Field')
+          .setHelpText('Field of the left collection matched against the right join field.')
+          .setAllowOverride(true);
+        _getJoinKeyCandidates(_fetchCollectionInferResults(configParams.joinLeftCollection)).forEach(fieldName => {
+          leftKeySelect.addOption(config.newOptionBuilder().setLabel(fieldName).setValue(fieldName));
+        });
+
+        const rightKeySelect = config
+          .newSelectSingle()
+          .setId('joinRightKey')
+          .setName('Right Join Field')
+          .setHelpText('Field of the right collection matched against the left join field. Choose "Document key" when the left join field holds the keys of the right documents (e.g., route.airlineid); this needs no index.')
+          .setAllowOverride(true)
+          .addOption(config.newOptionBuilder().setLabel('Document key (ON KEYS)').setValue(JOIN_DOCUMENT_KEY));
+        _getJoinKeyCandidates(_fetchCollectionInferResults(configParams.joinRightCollection)).forEach(fieldName => {
+          rightKeySelect.addOption(config.newOptionBuilder().setLabel(fieldName).setValue(fieldName));
+        });
+
+        config
+          .newTextInput()
+          .setId('maxRows')
+          .setName('Maximum Rows')
+          .setHelpText('Maximum number of joined rows to return across all pages (default: 100)')
+          .setPlaceholder('100')
+          .setAllowOverride(true);
+        _addPagingConfig(config);
+        _addCacheConfig(config);
+        _addFieldOverridesConfig(config);
+        _addQueryTuningConfig(config);
+      }
+    } else if (currentMode === 'search') {
+      config.newInfo()
+        .setId('search_info')
+        .setText(`Select a Search index and enter a search query. Matching documents are returned with a ${SEARCH_SCORE_FIELD} metric holding their relevance score.`);
+
+      const searchIndexSelect = config
+        .newSelectSingle()
+        .setId('searchIndex')
+        .setName('Search Index')
+        .setHelpText('Full Text Search index to query; documents are returned from the collection it indexes.')
+        .setAllowOverride(true);
+      _fetchSearchIndexes().forEach(searchIndex => {
+        searchIndexSelect.addOption(
+          config.newOptionBuilder().setLabel(`${searchIndex.indexName} (${searchIndex.collectionPath})`).setValue(searchIndex.value)
+        );
+      });
+
+      config
+        .newTextInput()
+        .setId('searchQuery')
+        .setName('Search Query')
+        .setHelpText('Query string matched against the index, e.g., "printer +status:open" or "description:refund*". Can be changed per report.')
+        .setPlaceholder('printer +status:open')
+        .setAllowOverride(true);
+
+      config
+        .newTextInput()
+        .setId('maxRows')
+        .setName('Maximum Rows')
+        .setHelpText('Maximum number of matching documents to return, highest scores first (default: 100)')
+        .setPlaceholder('100')
+        .setAllowOverride(true);
+      _addPagingConfig(config);
+      _addCacheConfig(config);
+      _addFieldOverridesConfig(config);
+      _addQueryTuningConfig(config);
+
+      // Configuration is complete once an index has been selected.
+      isStepped = !configParams.searchIndex;
+      Logger.log('getConfig (search mode): Setting isStepped = %s.', isStepped);
+    } else if (currentMode === 'vectorSearch') {
+      config.newInfo()
+        .setId('vector_search_info')
+        .setText(`Select a vector field of a Search index and enter a query vector. The k most similar documents are returned with a ${SEARCH_SCORE_FIELD} metric holding their similarity score. Requires Couchbase Server 7.6 or later.`);
+
+      const vectorFieldSelect = config
+        .newSelectSingle()
+        .setId('vectorField')
+        .setName('Vector Field')
+        .setHelpText('Vector field of a Search index; documents are returned from the collection it indexes.')
+        .setAllowOverride(true);
+      _fetchVectorFields().forEach(vectorField => {
+        vectorFieldSelect.addOption(
+          config.newOptionBuilder()
+            .setLabel(`${vectorField.indexName} > ${vectorField.fieldPath} (${vectorField.collectionPath}, ${vectorField.dims} dims)`)
+            .setValue(vectorField.value)
+        );
+      });
+
+      config
+        .newTextArea()
+        .setId('queryVector')
+        .setName('Query Vector')
+        .setHelpText('JSON array of numbers with as many dimensions as the vector field, e.g., an embedding of the text to compare against. Can be changed per report.')
+        .setPlaceholder('[0.012, -0.094, 0.551]')
+        .setAllowOverride(true);
+
+      config
+        .newTextInput()
+        .setId('vectorK')
+        .setName('Number of Results (k)')
+        .setHelpText(`Number of nearest neighbours to return (default: ${DEFAULT_VECTOR_K}).`)
+        .setPlaceholder(String(DEFAULT_VECTOR_K))
+        .setAllowOverride(true);
+      _addCacheConfig(config);
+      _addFieldOverridesConfig(config);
+      _addQueryTuningConfig(config);
+
+      // Configuration is complete once a vector field has been selected.
+      isStepped = !configParams.vectorField;
+      Logger.log('getConfig (vectorSearch mode): Setting isStepped = %s.', isStepped);
+    } else if (currentMode === 'keyLookup') {
+      config.newInfo()
+        .setId('key_lookup_info')
+        .setText(`Fetch documents directly by key through the Data API, without the Query or Index service. Enter document keys, or a key prefix and a numeric range (e.g., airline_ from 10 to 20). Each row includes a ${DOCUMENT_KEY_FIELD} dimension. At most ${MAX_LOOKUP_KEYS} documents are fetched.`);
+
+      // The collection is typed in: listing collections would need the Query service.
+      config
+        .newTextInput()
+        .setId('lookupCollection')
+        .setName('Collection')
+        .setHelpText('Collection holding the documents, as bucket.scope.collection.')
+        .setPlaceholder('travel-sample.inventory.airline')
+        .setAllowOverride(true);
+
+      config
+        .newTextArea()
+        .setId('documentKeys')
+        .setName('Document Keys')
+        .setHelpText('Keys of the documents to fetch, one per line or comma-separated. Leave empty to use the key range below.')
+        .setPlaceholder('airline_10, airline_137, airline_1191')
+        .setAllowOverride(true);
+
+      config
+        .newTextInput()
+        .setId('keyPrefix')
+        .setName('Key Prefix (Optional)')
+        .setHelpText('Text before the number in each key of the key range, e.g., airline_.')
+        .setPlaceholder('airline_')
+        .setAllowOverride(true);
+
+      config
+        .newTextInput()
+        .setId('keyRangeStart')
+        .setName('Key Range Start (Optional)')
+        .setHelpText('First number of the key range, e.g., 10 for airline_10.')
+        .setAllowOverride(true);
+
+      config
+        .newTextInput()
+        .setId('keyRangeEnd')
+        .setName('Key Range End (Optional)')
+        .setHelpText('Last number of the key range (inclusive).')
+        .setAllowOverride(true);
+      _addCacheConfig(config);
+      _addFieldOverridesConfig(config);
+
+      // Configuration is complete once a collection has been entered.
+      isStepped = !configParams.lookupCollection;
+      Logger.log('getConfig (keyLookup mode): Setting isStepped = %s.', isStepped);
+    } else if (currentMode === 'customQuery') {
+      config.newInfo()
+        .setId('custom_query_info')
+        .setText('Enter your custom N1QL query below.');
+
+      // Text area for users to input their custom N1QL query.
+      config
+        .newTextArea()
+        .setId('query')
+        .setName('Custom N1QL Query')
+        .setHelpText('Enter a valid N1QL query. Ensure you include a LIMIT clause if needed for performance or sampling (e.g., for schema inference).')
+        .setPlaceholder('SELECT * FROM `travel-sample`.`inventory`.`airline` WHERE country = $country LIMIT 100')
+        .setAllowOverride(true)
+        .setIsDynamic(true); // Changing the query refreshes the parameter inputs below.
+
+      // One input per `$name` placeholder in the query, sent as a N1QL named parameter.
+      const queryParamNames = configParams.query ? _extractQueryParameterNames(configParams.query) : [];
+      queryParamNames.forEach(paramName => {
+        config
+          .newTextInput()
+          .setId(`param_${paramName}`)
+          .setName(`Parameter: $${paramName}`)
+          .setHelpText(`Value bound to $${paramName} in the query, sent as the type selected below.`)
+          .setAllowOverride(true);
+        config
+          .newSelectSingle()
+          .setId(`paramType_${paramName}`)
+          .setName(`Parameter Type: $${paramName}`)
+          .setHelpText('Text (the default) sends the value as entered, so codes such as "00501" keep their leading zeros. Choose Number, Boolean (true/false) or JSON (an array or object) to send another type.')
+          .setAllowOverride(true)
+          .addOption(config.newOptionBuilder().setLabel('Text').setValue('string'))
+          .addOption(config.newOptionBuilder().setLabel('Number').setValue('number'))
+          .addOption(config.newOptionBuilder().setLabel('Boolean').setValue('boolean'))
+          .addOption(config.newOptionBuilder().setLabel('JSON').setValue('json'));
+      });
+      Logger.log('getConfig (customQuery mode): Query parameters: %s', JSON.stringify(queryParamNames));
+
+      // Optional default bucket/scope, so the query can name collections without qualifying them.
+      const queryContextSelect = config
+        .newSelectSingle()
+        .setId('queryContext')
+        .setName('Default Bucket/Scope')
+        .setHelpText('Bucket and scope used to resolve collections the query names without a bucket and scope (e.g., SELECT * FROM airline). Leave empty to qualify every keyspace in the query.')
+        .setAllowOverride(true);
+      const contextMetadata = _fetchCouchbaseMetadata();
+      Object.keys(contextMetadata.scopesCollections).forEach(bucketName => {
+        Object.keys(contextMetadata.scopesCollections[bucketName]).forEach(scopeName => {
+          queryContextSelect.addOption(config.newOptionBuilder()
+            .setLabel(`${bucketName}.${scopeName}`)
+            .setValue(_formatKeyspacePath([bucketName, scopeName])));
+        });
+      });
+
+      config.newInfo()
+        .setId('date_range_info')
+        .setText('To filter by the report date range, use @DS_START_DATE and @DS_END_DATE in your query. They are replaced by the first and last day of the range as "YYYY-MM-DD" strings, e.g., WHERE SUBSTR(created_at, 0, 10) BETWEEN @DS_START_DATE AND @DS_END_DATE.');
+
+      // Request a date range only when the query uses the placeholders (the query input is dynamic).
+      config.setDateRangeRequired(Boolean(configParams.query) && _hasDateRangePlaceholders(configParams.query));
+
+      config
+        .newTextInput()
+        .setId('maxRows')
+        .setName('Maximum Rows')
+        .setHelpText('Maximum number of rows to return across all pages (optional - leave blank for no limit).')
+        .setPlaceholder('Leave blank for no limit')
+        .setAllowOverride(true);
+      _addPagingConfig(config);
+      _addCacheConfig(config);
+      _addFieldOverridesConfig(config);
+      _addQueryTuningConfig(config);
+      _addQueryPlanCheckConfig(config);
+
+      // Configuration is complete once a query has been entered and its parameters are shown.
+      isStepped = !configParams.query;
+      Logger.log('getConfig (customQuery mode): Setting isStepped = %s.', isStepped);
+
+      // On request, check how the Query service plans the query, with its parameters bound. The
+      // parameter inputs are first shown by this call, so the check waits until each one has a value.
+      const missingParamName = queryParamNames.find(paramName =>
+        String(configParams[`param_${paramName}`] || '').trim() === '');
+      if (String(configParams.checkQueryPlan) !== 'true') {
+        Logger.log('getConfig (customQuery mode): Query plan check not requested.');
+      } else if (missingParamName) {
+        Logger.log('getConfig (customQuery mode): Skipping query plan check until $%s has a value.', missingParamName);
+      } else if (configParams.query && configParams.query.trim() !== '') {
+        const dateRangeQuery = _applyDateRangePlaceholders(configParams.query.trim().replace(/;$/, ''));
+        _addQueryPlanInfo(config, dateRangeQuery.statement, {
+          namedParams: Object.assign(_buildQueryParameters(configParams.query, configParams), dateRangeQuery.namedParams),
+          queryContext: configParams.queryContext
+        });
+      }
+    }
+
+    // Set whether the configuration process is stepped (requires more input) or complete.
+    config.setIsSteppedConfig(isStepped);
+    Logger.log('getConfig: Final setIsSteppedConfig to: %s', isStepped);
+
+    return config.build(); // Return the built configuration object.
+
+  } catch (e) {
+    // User errors (e.g., a custom query with a syntax error) are shown as they are.
+    if (e.isUserError) {
+      DataStudioApp.createCommunityConnector()
+        .newUserError()
+        .setText(e.message)
+        .setDebugText(e.debugText || '')
+        .throwException();
+    }
+    // Handle any unexpected errors during configuration building.
+    Logger.log('ERROR in getConfig: %s. Stack: %s', e.message, e.stack);
+    DataStudioApp.createCommunityConnector()
+      .newUserError()
+      .setText('An unexpected error occurred while building the configuration. Please check the Apps Script logs for details. Error: ' + e.message)
+      .setDebugText('getConfig failed: ' + e.stack)
+      .throwException(); // Throw a user-facing error.
+  }
+}
+
+/**
+ * Validates the user-provided configuration parameters.
+ * This function is called by Looker Studio to ensure the configuration is complete
+ * and valid before proceeding to `getSchema` or `getData`.
+ *
+ * @param {Object} configParams The user configuration parameters from `request.configParams`.
+ * @return {Object} A validated configuration object containing all necessary parameters
+ * and their default values if applicable.
+ * @throws {UserError} If the configuration is invalid or incomplete.
+ */
+function validateConfig(configParams) {
+  Logger.log('Validating config parameters: %s', JSON.stringify(configParams));
+
+  if (!configParams) {
+    _throwUserError('No configuration provided');
+  }
+
+  // Retrieve stored authentication credentials.
+  const userProperties = PropertiesService.getUserProperties();
+  const path = userProperties.getProperty('dscc.path');
+  const username = userProperties.getProperty('dscc.username');
+  const password = userProperties.getProperty('dscc.password'); // implies password is also retrieved
+
+  // Ensure authentication credentials are present.
+  if (!path || !username || !password) {
+    _throwUserError('Authentication credentials missing. Please reauthenticate.');
+  }
+
+  // Ensure configuration mode is specified.
+  if (!configParams.configMode) {
+    _throwUserError('Configuration mode not specified. Please select a mode.');
+  }
+
+  // Create a base validated config object with credentials and mode.
+  const validatedConfig = {
+    path: path,
+    username: username,
+    password: password, // Password should be part of the validated config for internal use
+    configMode: configParams.configMode
+  };
+
+  // Validate based on the selected configuration mode. (Order switched: collection first)
+  if (configParams.configMode === 'collection') {
+    if (!configParams.collection || configParams.collection.trim() === '') {
+      _throwUserError('Collection must be specified in "Query by Collection" mode.');
+    }
+    validatedConfig.collection = configParams.collection.trim(); // Store trimmed collection path
+    // Set maxRows, defaulting to 100 if not specified or invalid.
+    validatedConfig.maxRows = configParams.maxRows && parseInt(configParams.maxRows) > 0 ?
+             parseInt(configParams.maxRows) : 100;
+    // The date range field is optional; its format defaults to ISO-8601 strings.
+    if (configParams.dateRangeField) {
+      validatedConfig.dateRangeField = configParams.dateRangeField;
+      validatedConfig.dateRangeFormat = configParams.dateRangeFormat || 'iso8601';
+      if (['iso8601', 'epochMillis', 'epochSeconds'].indexOf(validatedConfig.dateRangeFormat) === -1) {
+        _throwUserError('Invalid date range field format selected.');
+      }
+    }
+    // The UNNEST array field is optional.
+    if (configParams.unnestField) {
+      validatedConfig.unnestField = configParams.unnestField;
+    }
+    validatedConfig.includeMetadata = _isMetadataIncluded(configParams); // Throws if combined with UNNEST.
+  } else if (configParams.configMode === 'multiCollection') {
+    validatedConfig.collections = configParams.collections ? _parseCollectionPaths(configParams.collections) : [];
+    if (validatedConfig.collections.length === 0) {
+      _throwUserError('At least one collection must be selected in "Combine Collections" mode.');
+    }
+    validatedConfig.maxRows = configParams.maxRows && parseInt(configParams.maxRows) > 0 ?
+             parseInt(configParams.maxRows) : 100;
+    if (configParams.dateRangeField) {
+      validatedConfig.dateRangeField = configParams.dateRangeField;
+      validatedConfig.dateRangeFormat = configParams.dateRangeFormat || 'iso8601';
+      if (['iso8601', 'epochMillis', 'epochSeconds'].indexOf(validatedConfig.dateRangeFormat) === -1) {
+        _throwUserError('Invalid date range field format selected.');
+      }
+    }
+  } else if (configParams.configMode === 'join') {
+    Object.assign(validatedConfig, _parseJoinConfig(configParams)); // Throws if the join is incomplete.
+    validatedConfig.maxRows = configParams.maxRows && parseInt(configParams.maxRows) > 0 ?
+             parseInt(configParams.maxRows) : 100;
+  } else if (configParams.configMode === 'search') {
+    Object.assign(validatedConfig, _parseSearchConfig(configParams)); // Throws if the index or query is missing.
+    validatedConfig.maxRows = configParams.maxRows && parseInt(configParams.maxRows) > 0 ?
+             parseInt(configParams.maxRows) : 100;
+  } else if (configParams.configMode === 'vectorSearch') {
+    Object.assign(validatedConfig, _parseVectorSearchConfig(configParams)); // Throws if the vector search is incomplete.
+    _checkQueryVectorDimensions(validatedConfig);
+    validatedConfig.maxRows = validatedConfig.k;
+  } else if (configParams.configMode === 'keyLookup') {
+    Object.assign(validatedConfig, _parseKeyLookupConfig(configParams)); // Throws if the collection or keys are invalid.
+    validatedConfig.maxRows = validatedConfig.keys.length;
+  } else if (configParams.configMode === 'customQuery') {
+    if (!configParams.query || configParams.query.trim() === '') {
+      _throwUserError('Custom query must be specified in "Use Custom Query" mode.');
+    }
+    validatedConfig.query = configParams.query.trim(); // Store trimmed custom query
+    validatedConfig.queryParams = _buildQueryParameters(validatedConfig.query, configParams); // Values for `$name` placeholders
+    // The default bucket/scope is optional.
+    if (configParams.queryContext) {
+      _buildQueryContext(configParams.queryContext); // Throws if the value is not a bucket and scope.
+      validatedConfig.queryContext = configParams.queryContext;
+    }
+    // No row limit unless one is specified.
+    validatedConfig.maxRows = configParams.maxRows && parseInt(configParams.maxRows) > 0 ?
+             parseInt(configParams.maxRows) : null;
+  } else {
+    // Handle unknown configuration mode.
+    _throwUserError('Invalid configuration mode selected.');
+  }
+
+  // Paging settings apply to every mode.
+  validatedConfig.pageSize = configParams.pageSize && parseInt(configParams.pageSize) > 0 ?
+           parseInt(configParams.pageSize) : DEFAULT_PAGE_SIZE;
+  validatedConfig.timeBudgetSeconds = configParams.timeBudgetSeconds && parseInt(configParams.timeBudgetSeconds) > 0 ?
+           parseInt(configParams.timeBudgetSeconds) : DEFAULT_TIME_BUDGET_SECONDS;
+  validatedConfig.schemaCacheSeconds = _getCacheSeconds(configParams.schemaCacheSeconds, DEFAULT_SCHEMA_CACHE_SECONDS);
+  validatedConfig.cacheSeconds = _getCacheSeconds(configParams.cacheSeconds, DEFAULT_RESULT_CACHE_SECONDS);
+  validatedConfig.tuningParams = _getQueryTuningParams(configParams); // Throws if an advanced option is invalid.
+  validatedConfig.fieldOverrides = _parseFieldOverrides(configParams.fieldOverrides); // Throws if an override is invalid.
+
+  Logger.log('Config validation successful');
+  return validatedConfig; // Return the fully validated configuration.
+}
+
+
+// ==========================================================================
+// ===                        SCHEMA & DATA FLOW                          ===
+// ==========================================================================
+
+/**
+ * @private
+ * Processes the output of a Couchbase `INFER` N1QL query to generate a schema
+ * definition suitable for Looker Studio. It extracts field names, infers data types
+ * (NUMBER, BOOLEAN, STRING, URL, YEAR_MONTH_DAY, YEAR_MONTH_DAY_SECOND), and semantic
+ * types (METRIC, DIMENSION). Date types are detected from the INFER `samples`
+ * (see `_detectDateType`); NUMBER fields are refined into dimensions or metrics with a
+ * default aggregation from their names and samples (see `_applyNumericSemantics`); geographic
+ * fields are detected by name (see `_applyGeoSemantics` and `_addLatLonFields`).
+ *
+ * @param {Array} inferQueryResult The 'results' array from the `INFER` N1QL query response.
+ * This is typically an array containing one or more "flavors"
+ * of schema, where each flavor describes the properties of documents.
+ * @return {Array<Object>} An array of Looker Studio field definitions. Each object includes
+ * `name`, `label`, `dataType`, and `semantics` (with `conceptType`).
+ * Returns a default placeholder field if inference fails or yields no fields.
+ */
+function _processInferSchemaOutput(inferQueryResult) {
+  Logger.log('_processInferSchemaOutput: Received INFER results: %s', JSON.stringify(inferQueryResult));
+
+  // Check if INFER query returned any results or if the result structure is empty.
+  if (!inferQueryResult || inferQueryResult.length === 0 || !inferQueryResult[0] || inferQueryResult[0].length === 0) {
+    Logger.log('_processInferSchemaOutput: INFER query returned no flavors or empty result.');
+    // Return a placeholder field indicating an empty inference result.
+    return [{ name: 'empty_infer_result', label: 'INFER result is empty', dataType: 'STRING', semantics: { conceptType: 'DIMENSION' }}];
+  }
+
+  // Process ALL flavors from the INFER results, not just the first one.
+  // Each flavor represents a different document structure variant.
+  const allFlavors = inferQueryResult[0]; // Get all flavors from the first result
+  const schemaFields = []; // Array to hold the generated field definitions.
+  const processedFieldNames = new Set(); // Track processed field names to avoid duplicates.
+  
+  Logger.log('_processInferSchemaOutput: Processing %d flavors from INFER results', allFlavors.length);
+  
+  allFlavors.forEach((flavor, flavorIndex) => {
+    // Check if the current flavor contains properties.
+    if (!flavor || !flavor.properties) {
+      Logger.log('_processInferSchemaOutput: Flavor %d has no properties, skipping.', flavorIndex);
+      return; // Skip this flavor and continue with the next one.
+    }
+    
+    Logger.log('_processInferSchemaOutput: Processing flavor %d with properties: %s', 
+              flavorIndex, Object.keys(flavor.properties).join(', '));
+    
+    // Process fields from this flavor
+    const flavorFields = [];
+    extractFieldsFromProperties(flavor.properties, flavorFields, '');
+    
+    // Add fields from this flavor that haven't been seen before
+    flavorFields.forEach(field => {
+      if (!processedFieldNames.has(field.name)) {
+        schemaFields.push(field);
+        processedFieldNames.add(field.name);
+        Logger.log('_processInferSchemaOutput: Added field from flavor %d: %s (Type: %s)', 
+                  flavorIndex, field.name, field.dataType);
+      } else {
+        Logger.log('_processInferSchemaOutput: Field %s already exists from previous flavor, skipping', field.name);
+      }
+    });
+  });
+  
+  // Check if any valid fields were found across all flavors
+  if (schemaFields.length === 0) {
+    Logger.log('_processInferSchemaOutput: No valid fields found across all flavors.');
+    return [{ name: 'no_properties_in_flavors', label: 'No properties in any INFER flavors', dataType: 'STRING', semantics: { conceptType: 'DIMENSION' }}];
+  }
+
+  /**
+   * Recursively extracts fields from nested properties object.
+   * @param {Object} properties The properties object from the INFER result.
+   * @param {Array} targetArray The array to push field definitions to.
+   * @param {string} [prefix=''] A prefix for nested field names (e.g., "address.").
+   */
+  function extractFieldsFromProperties(properties, targetArray, prefix = '') {
+    Object.keys(properties).forEach(key => {
+      const fieldDef = properties[key]; // Definition of the current field from INFER output.
+      const fieldName = prefix ? `${prefix}.${key}` : key; // Construct full field name (e.g., "user.name").
+      let dataType = 'STRING'; // Default Looker Studio data type.
+      let conceptType = 'DIMENSION'; // Default Looker Studio semantic type.
+
+      // INFER can return a single type or an array of possible types. Standardize to an array.
+      const inferTypes = Array.isArray(fieldDef.type) ? fieldDef.type : [fieldDef.type];
+
+      // Determine Looker Studio dataType and conceptType based on inferred Couchbase types.
+      const dateType = _detectDateType(inferTypes, fieldDef.samples);
+      if (dateType) {
+        dataType = dateType; // ISO-8601 strings or epoch milliseconds are dates (dimensions).
+      } else if (inferTypes.includes('number') || inferTypes.includes('integer')) {
+        dataType = 'NUMBER';
+        conceptType = 'METRIC'; // Numbers are often treated as metrics.
+      } else if (inferTypes.includes('boolean')) {
+        dataType = 'BOOLEAN'; // Booleans are dimensions.
+      } else if (inferTypes.includes('string')) {
+        // Special handling for strings to detect URLs.
+        let isPotentiallyUrl = false;
+        let hasNonEmptyUrlSample = false;
+        let hasEmptyStringSample = false;
+
+        if (fieldDef.samples && fieldDef.samples.length > 0) {
+          fieldDef.samples.forEach(sample => { // Iterate through samples to check for URL patterns.
+            if (typeof sample === 'string') {
+              if (sample.startsWith('http://') || sample.startsWith('https://')) {
+                isPotentiallyUrl = true; // Found a sample that looks like a URL.
+                hasNonEmptyUrlSample = true; // Confirmed at least one non-empty URL-like sample.
+              } else if (sample === '') {
+                hasEmptyStringSample = true; // Found an empty string sample.
+              }
+            }
+          });
+        }
+        
+        // Logic to decide if a string field should be typed as URL:
+        // If it has URL-like samples AND empty strings, default to STRING for safety.
+        // If it has URL-like samples AND NO empty strings, it can be typed as URL.
+        if (isPotentiallyUrl && hasNonEmptyUrlSample) {
+            if (hasEmptyStringSample) {
+                Logger.log('_processInferSchemaOutput: Field [%s] has URL-like samples and empty strings. Defaulting to STRING.', fieldName);
+                dataType = 'STRING';
+            } else {
+                dataType = 'URL';
+            }
+        } else {
+            dataType = 'STRING'; // Default to STRING if not clearly a URL.
+        }
+
+      } else if (inferTypes.includes('object') && fieldDef.properties) {
+        // Recursively process nested objects.
+        extractFieldsFromProperties(fieldDef.properties, targetArray, fieldName);
+        return; // Return early as fields are added in the recursive call.
+      } else if (inferTypes.includes('array')) {
+        // Arrays are typically represented as STRING (e.g., JSON stringified).
+        dataType = 'STRING';
+      }
+      // Else, it remains STRING/DIMENSION by default.
+
+      // Add the processed field to the target array.
+      targetArray.push(_applyGeoSemantics(_applyNumericSemantics({
+        name: fieldName,
+        label: fieldName, // Use field name as label by default.
+        dataType: dataType,
+        semantics: { conceptType: conceptType }
+      }, fieldDef.samples, fieldDef['#docs'])));
+    });
+  }
+
+  // Multi-flavor processing already handles empty schema cases above, so no additional check needed here.
+  _addLatLonFields(schemaFields);
+
+  Logger.log('_processInferSchemaOutput: Final schema fields from INFER: %s', JSON.stringify(schemaFields));
+  return schemaFields; // Return the array of generated field definitions.
+}
+
+
+/**
+ * @private
+ * Returns the properties of the objects held by an array field in `INFER` output. INFER
+ * describes the elements either as a single schema or, when they vary, as a list of
+ * schemas; the properties of all object schemas are merged (the first definition wins).
+ *
+ * @param {Object} fieldDef The field's definition from the `INFER` properties.
+ * @return {Object|null} The merged element properties, or null if the field is not an
+ * array of objects.
+ */
+function _getArrayItemProperties(fieldDef) {
+  const inferTypes = Array.isArray(fieldDef.type) ? fieldDef.type : [fieldDef.type];
+  if (!inferTypes.includes('array') || !fieldDef.items) {
+    return null;
+  }
+
+  const itemSchemas = Array.isArray(fieldDef.items) ? fieldDef.items : [fieldDef.items];
+  const properties = {};
+  itemSchemas.forEach(itemSchema => {
+    if (itemSchema && itemSchema.properties) {
+      Object.keys(itemSchema.properties).forEach(key => {
+        if (!properties.hasOwnProperty(key)) {
+          properties[key] = itemSchema.properties[key];
+        }
+      });
+    }
+  });
+  return Object.keys(properties).length > 0 ? properties : null;
+}
+
+/**
+ * @private
+ * Lists the paths of the array-of-objects fields found in `INFER` output (including arrays
+ * nested in objects), which can be unnested into one row per element.
+ *
+ * @param {Array|null} inferResults The 'results' array of the collection's `INFER` query.
+ * @return {Array<string>} The array field paths, e.g., ["reviews", "schedule"].
+ */
+function _findArrayFieldPaths(inferResults) {
+  const arrayPaths = [];
+  if (!inferResults || !inferResults[0]) {
+    return arrayPaths;
+  }
+
+  function collectArrayPaths(properties, prefix) {
+    Object.keys(properties).forEach(key => {
+      const fieldDef = properties[key];
+      const fieldName = prefix ? `${prefix}.${key}` : key;
+      if (_getArrayItemProperties(fieldDef)) {
+        if (!arrayPaths.includes(fieldName)) arrayPaths.push(fieldName);
+      } else if (fieldDef.properties) {
+        collectArrayPaths(fieldDef.properties, fieldName);
+      }
+    });
+  }
+
+  inferResults[0].forEach(flavor => {
+    if (flavor && flavor.properties) {
+      collectArrayPaths(flavor.properties, '');
+    }
+  });
+  Logger.log('_findArrayFieldPaths: Found array fields: %s', JSON.stringify(arrayPaths));
+  return arrayPaths;
+}
+
+/**
+ * @private
+ * Rewrites `INFER` output for UNNEST mode: the array field is described as a single object
+ * holding the element's properties, so `_processInferSchemaOutput` emits them as
+ * first-class fields named after the array (e.g., "schedule.day").
+ *
+ * @param {Array} inferResults The 'results' array of the collection's `INFER` query.
+ * @param {string} arrayField The dot-separated path of the unnested array field.
+ * @return {Array|null} The rewritten results, or null if no flavor holds the field as an
+ * array of objects.
+ */
+function _unnestInferResults(inferResults, arrayField) {
+  const pathParts = arrayField.split('.');
+  let found = false;
+
+  const flavors = (inferResults[0] || []).map(flavor => {
+    const unnestedFlavor = JSON.parse(JSON.stringify(flavor)); // Leave the original output untouched.
+    let properties = unnestedFlavor ? unnestedFlavor.properties : null;
+    for (let i = 0; properties && i < pathParts.length - 1; i++) {
+      properties = properties[pathParts[i]] ? properties[pathParts[i]].properties : null;
+    }
+    const fieldDef = properties ? properties[pathParts[pathParts.length - 1]] : null;
+    const itemProperties = fieldDef ? _getArrayItemProperties(fieldDef) : null;
+    if (itemProperties) {
+      properties[pathParts[pathParts.length - 1]] = { type: 'object', properties: itemProperties };
+      found = true;
+    }
+    return unnestedFlavor;
+  });
+
+  return found ? [flavors].concat(inferResults.slice(1)) : null;
+}
+
+/**
+ * @private
+ * Runs `INFER` on a collection to build its schema, and caches the results for the
+ * configuration's field selects (see `_fetchCollectionInferResults`).
+ *
+ * @param {string} apiUrl The base API URL for the Couchbase cluster.
+ * @param {string} authHeader The Basic authentication header string.
+ * @param {string} collectionPath The collection, as "bucket.scope.collection".
+ * @param {Object} tuningParams The advanced options sent with the query (see `_getQueryTuningParams`).
+ * @return {Array} The 'results' array of the `INFER` query.
+ * @throws {UserError} If the `INFER` query fails.
+ */
+function _executeCollectionInfer(apiUrl, authHeader, collectionPath, tuningParams) {
+  const keyspacePath = collectionPath.split('.').map(_quoteIdentifier).join('.');
+  const inferStatement = `INFER ${keyspacePath} WITH {"sample_size": 100, "num_sample_values": ${INFER_SAMPLE_VALUES}, "similarity_metric": 0.6}`;
+  Logger.log('_executeCollectionInfer: Statement: %s', inferStatement);
+  const inferResults = _executeN1qlQuery(apiUrl, authHeader, inferStatement, { tuningParams: tuningParams });
+  if (inferResults === null) {
+    _throwUserError(`Failed to execute INFER query for collection "${collectionPath}". Check logs for N1QL error details.`);
+  }
+  const cacheKey = _getInferCacheKey(collectionPath);
+  if (cacheKey) {
+    _writeCachedValue(cacheKey, inferResults, DEFAULT_SCHEMA_CACHE_SECONDS);
+  }
+  return inferResults;
+}
+
+/**
+ * @private
+ * Merges the `INFER` results of several collections into one result whose flavors are the
+ * flavors of all collections, so `_processInferSchemaOutput` builds a single schema covering
+ * fields that only some of the collections have. Failed results (null) are skipped.
+ *
+ * @param {Array<Array<Array<Object>>|null>} inferResultsList The `INFER` results per collection.
+ * @return {Array<Array<Object>>} The merged `INFER` result.
+ */
+function _mergeInferResults(inferResultsList) {
+  const flavors = [];
+  inferResultsList.forEach(inferResults => {
+    if (inferResults && Array.isArray(inferResults[0])) {
+      flavors.push(...inferResults[0]);
+    }
+  });
+  return [flavors];
+}
+
+/**
+ * @private
+ * Describes sampled documents the way `INFER` does, so documents fetched without the Query
+ * service (see `_fetchDocumentsByKey`) get the same type, date and geo detection from
+ * `_processInferSchemaOutput`. The documents are merged into a single flavor whose fields
+ * list every type seen and up to three sample values.
+ *
+ * @param {Array<Object>} documents The sampled documents.
+ * @return {Array} An `INFER`-style 'results' array holding the single flavor.
+ */
+function _buildInferResultsFromDocuments(documents) {
+  const flavor = { properties: {} };
+  documents.forEach(document => addProperties(flavor.properties, document));
+  return [[flavor]];
+
+  /**
+   * Merges an object's fields into INFER-style properties.
+   */
+  function addProperties(properties, obj) {
+    Object.keys(obj).forEach(key => {
+      const value = obj[key];
+      const type = value === null ? 'null' : (Array.isArray(value) ? 'array' : typeof value);
+      const fieldDef = properties[key] || (properties[key] = { type: [], samples: [] });
+      if (fieldDef.type.indexOf(type) === -1) {
+        fieldDef.type.push(type);
+      }
+      if (type === 'object') {
+        addProperties(fieldDef.properties || (fieldDef.properties = {}), value);
+      } else if (type !== 'null' && fieldDef.samples.length < 3) {
+        fieldDef.samples.push(value);
+      }
+    });
+  }
+}
+
+
+/**
+ * @private
+ * Constructs a Looker Studio `Fields` object based on the fields requested by Looker Studio
+ * and a master schema definition. This ensures that `getData` responses only include
+ * the fields, types, and semantic types that Looker Studio expects for a given query.
+ *
+ * @param {Array<Object>} requestFields The `request.fields` array from Looker Studio's `getData` request.
+ * Each object in this array represents a field Looker Studio expects.
+ * @param {Array<Object>} masterSchema The complete schema definition for the data source,
+ * typically generated by `getSchema()`. Each object
+ * should define `name`, `dataType`, and `semantics`.
+ * @return {Fields} A Looker Studio `Fields` object populated with the requested fields,
+ * typed according to the `masterSchema`.
+ */
+function _getRequestedFields(requestFields, masterSchema) {
+  const cc = DataStudioApp.createCommunityConnector();
+  const requestedFieldsObject = cc.getFields(); // Initialize a new Fields object.
+  Logger.log('_getRequestedFields: Called with masterSchema. Processing request.fields: %s', JSON.stringify(requestFields));
+
+  // If Looker Studio doesn't request specific fields, fallback to using the entire masterSchema.
+  // This can happen in some contexts or if `request.fields` is empty.
+  if (!requestFields || requestFields.length === 0) {
+    Logger.log('_getRequestedFields: No specific fields in requestFields. Building response fields from masterSchema as fallback.');
+    if (masterSchema && masterSchema.length > 0) {
+        masterSchema.forEach(fieldDef => { // Iterate over each field in the master schema.
+            let fieldTypeEnum = cc.FieldType.TEXT; // Default to TEXT type.
+            // Map masterSchema dataType to Looker Studio FieldType.
+            if (fieldDef.dataType === 'NUMBER') fieldTypeEnum = cc.FieldType.NUMBER;
+            else if (fieldDef.dataType === 'BOOLEAN') fieldTypeEnum = cc.FieldType.BOOLEAN;
+            else if (fieldDef.dataType === 'URL') fieldTypeEnum = cc.FieldType.URL;
+            else if (fieldDef.dataType === 'YEAR_MONTH_DAY') fieldTypeEnum = cc.FieldType.YEAR_MONTH_DAY;
+            else if (fieldDef.dataType === 'YEAR_MONTH_DAY_SECOND') fieldTypeEnum = cc.FieldType.YEAR_MONTH_DAY_SECOND;
+            if (fieldDef.semantics.semanticGroup === 'GEO') fieldTypeEnum = cc.FieldType[fieldDef.semantics.semanticType];
+
+            // Determine if the field is a METRIC or DIMENSION.
+            if (fieldDef.semantics.conceptType === 'METRIC') {
+                requestedFieldsObject.newMetric().setId(fieldDef.name).setName(fieldDef.name).setType(fieldTypeEnum);
+            } else {
+                requestedFieldsObject.newDimension().setId(fieldDef.name).setName(fieldDef.name).setType(fieldTypeEnum);
+            }
+        });
+    }
+    return requestedFieldsObject; // Return the Fields object, possibly populated from masterSchema.
+  }
+
+  // Process each field explicitly requested by Looker Studio.
+  requestFields.forEach(requestedFieldInfo => { // `requestedFieldInfo` is an item from Looker Studio's `request.fields` array.
+    const fieldName = requestedFieldInfo.name; // Name of the field requested by Looker Studio.
+    // Find this field in our masterSchema to get its correct dataType and semantics.
+    const fieldDefinition = masterSchema.find(f => f.name === fieldName);
+
+    let fieldTypeEnum = cc.FieldType.TEXT; // Default Looker Studio type.
+    let conceptType = 'DIMENSION'; // Default Looker Studio semantic concept.
+
+    if (fieldDefinition) {
+      // If found in masterSchema, use its defined type and semantics.
+      conceptType = fieldDefinition.semantics.conceptType;
+      switch (fieldDefinition.dataType) {
+        case 'NUMBER': fieldTypeEnum = cc.FieldType.NUMBER; break;
+        case 'BOOLEAN': fieldTypeEnum = cc.FieldType.BOOLEAN; break;
+        case 'URL': fieldTypeEnum = cc.FieldType.URL; break;
+        case 'YEAR_MONTH_DAY': fieldTypeEnum = cc.FieldType.YEAR_MONTH_DAY; break;
+        case 'YEAR_MONTH_DAY_SECOND': fieldTypeEnum = cc.FieldType.YEAR_MONTH_DAY_SECOND; break;
+        case 'STRING': // Falls through to default
+        default: fieldTypeEnum = cc.FieldType.TEXT; break; // Handles STRING and any other unmapped types.
+      }
+      // Geographic fields are STRING fields with a geo semantic type (e.g., COUNTRY).
+      if (fieldDefinition.semantics.semanticGroup === 'GEO') {
+        fieldTypeEnum = cc.FieldType[fieldDefinition.semantics.semanticType];
+      }
+      Logger.log('_getRequestedFields: Mapped %s to LookerType: %s (from %s), Concept: %s', fieldName, fieldTypeEnum, fieldDefinition.dataType, conceptType);
+    } else {
+      // If a requested field is NOT in masterSchema, it's an anomaly.
+      // Default to TEXT/DIMENSION to avoid errors, but log a warning.
+      Logger.log('_getRequestedFields: WARNING - Requested field %s not found in masterSchema. Defaulting to TEXT/DIMENSION.', fieldName);
+    }
+
+    // Add the field to the Fields object as either a Metric or Dimension.
+    if (conceptType === 'METRIC') {
+      requestedFieldsObject.newMetric().setId(fieldName).setName(fieldName).setType(fieldTypeEnum);
+    } else { // Default to Dimension if not Metric.
+      requestedFieldsObject.newDimension().setId(fieldName).setName(fieldName).setType(fieldTypeEnum);
+    }
+  });
+
+  Logger.log('_getRequestedFields: Constructed Fields object for getData response: %s', JSON.stringify(requestedFieldsObject.asArray())); // Log the structure of fields being sent back.
+  return requestedFieldsObject; // Return the fully populated Fields object.
+}
+
+/**
+ * Returns the schema for the given request. The schema defines the fields (columns)
+ * that will be available from this data source, including their names, data types,
+ * and semantic types (Dimension or Metric).
+ *
+ * Schema inference itself is done by `_inferSchema`; the user's field overrides are then
+ * merged onto the inferred fields (see `_applyFieldOverrides`), so `getData` formats values
+ * with the overridden data types. Looker Studio calls `getSchema` when the data source is
+ * created or its fields are refreshed, so the schema is always inferred again here; the
+ * result is cached per user and configuration for `schemaCacheSeconds` (see
+ * `_getSchemaCacheKey`), for `getData` to reuse on every chart render (see `_getCachedSchema`).
+ *
+ * @param {Object} request The request object from Looker Studio, containing `configParams`.
+ * @return {Object} A schema response object `{ schema: [...] }` where `[...]` is an
+ * array of field definitions.
+ * @throws {UserError} If credentials are missing, configuration is invalid, or schema
+ * inference fails.
+ */
+function getSchema(request) {
+  const configParams = request.configParams || {};
+  const schemaResponse = _inferSchema(request);
+  try {
+    schemaResponse.schema = _applyFieldOverrides(schemaResponse.schema, _parseFieldOverrides(configParams.fieldOverrides));
+  } catch (e) {
+    Logger.log('getSchema: Invalid field overrides: %s', e.message);
+    DataStudioApp.createCommunityConnector()
+      .newUserError()
+      .setText(e.message)
+      .setDebugText(e.debugText || '')
+      .throwException();
+  }
+
+  const cacheSeconds = _getCacheSeconds(configParams.schemaCacheSeconds, DEFAULT_SCHEMA_CACHE_SECONDS);
+  const cacheKey = cacheSeconds > 0 ? _getSchemaCacheKey(configParams) : null;
+  if (cacheKey) {
+    _writeCachedValue(cacheKey, schemaResponse.schema, cacheSeconds);
+  }
+  return schemaResponse;
+}
+
+/**
+ * @private
+ * Returns the schema cached by the last `getSchema` call for this user and configuration,
+ * or infers it with `getSchema` if none is cached (e.g., it expired or caching is disabled).
+ *
+ * @param {Object} request The request object from Looker Studio, containing `configParams`.
+ * @return {Object} A schema response object `{ schema: [...] }`.
+ */
+function _getCachedSchema(request) {
+  const configParams = request.configParams || {};
+  const cacheSeconds = _getCacheSeconds(configParams.schemaCacheSeconds, DEFAULT_SCHEMA_CACHE_SECONDS);
+  const cacheKey = cacheSeconds > 0 ? _getSchemaCacheKey(configParams) : null;
+
+  if (cacheKey) {
+    const cachedSchema = _readCachedValue(cacheKey);
+    if (cachedSchema) {
+      Logger.log('_getCachedSchema: Using cached schema with %s fields.', cachedSchema.length);
+      return { schema: cachedSchema };
+    }
+  }
+  return getSchema(request);
+}
+
+/**
+ * @private
+ * Infers the schema for the given request from the data source.
+ *
+ * If `configMode` is 'collection', it uses an `INFER` N1QL query on the specified collection
+ * to dynamically determine the schema, plus the `METADATA_FIELDS` dimensions if "Include
+ * Document Metadata" is checked.
+ * If `configMode` is 'multiCollection', it merges the `INFER` results of the selected collections
+ * and adds the `_source_collection` dimension.
+ * If `configMode` is 'join', it combines the `INFER` results of both joined collections, with
+ * field names prefixed by each collection's alias (see `_parseJoinConfig`).
+ * If `configMode` is 'search' or 'vectorSearch', it uses `INFER` on the collection of the Search
+ * index and adds the `_search_score` metric.
+ * If `configMode` is 'keyLookup', it infers the schema from the first documents fetched by key
+ * (see `_buildInferResultsFromDocuments`) and adds the `_document_key` dimension.
+ * If `configMode` is 'customQuery', it first attempts to use `INFER (subquery) WITH ...`.
+ * If that fails, it falls back to executing the user's query with `LIMIT 1` and
+ * infers the schema from the single result document.
+ *
+ * @param {Object} request The request object from Looker Studio, containing `configParams`.
+ * @return {Object} A schema response object `{ schema: [...] }` where `[...]` is an
+ * array of field definitions.
+ * @throws {UserError} If credentials are missing, configuration is invalid, or schema
+ * inference fails.
+ */
+function _inferSchema(request) {
+  Logger.log('getSchema request: %s', JSON.stringify(request));
+  try {
+    // Retrieve stored authentication credentials.
+    const userProperties = PropertiesService.getUserProperties();
+    const path = userProperties.getProperty('dscc.path');
+    const username = userProperties.getProperty('dscc.username');
+    const password = userProperties.getProperty('dscc.password');
+
+    // Ensure authentication credentials are present.
+    if (!path || !username || !password) {
+      Logger.log('getSchema: Missing credentials');
+      _throwUserError('Authentication credentials missing. Please reauthenticate.');
+    }
+
+    const configParams = request.configParams || {}; // Use config from request or default to empty.
+    const apiUrl = _constructApiUrl(path); // Construct base API URL.
+    const authHeader = 'Basic ' + Utilities.base64Encode(username + ':' + password); // Prepare auth header.
+    const tuningParams = _getQueryTuningParams(configParams); // Advanced options sent with every query.
+    let schemaFields; // To store the array of field definitions.
+
+    // Schema inference logic depends on the configuration mode. (Order switched: collection first)
+    if (configParams.configMode === 'collection') {
+      // Validate that a collection is specified in collection mode.
+      if (!configParams.collection || configParams.collection.trim() === '') {
+        _throwUserError('Collection must be specified in "Query by Collection" mode.');
+      }
+
+      const collectionParts = configParams.collection.split('.'); // e.g., "bucket.scope.collection"
+      if (collectionParts.length !== 3) {
+        _throwUserError('Invalid collection path. Format: bucket.scope.collection');
+      }
+      // Extract raw bucket, scope, and collection names.
+      const rawBucket = collectionParts[0];
+      const rawScope = collectionParts[1];
+      const rawCollection = collectionParts[2];
+      const includeMetadata = _isMetadataIncluded(configParams); // Throws if combined with UNNEST.
+
+      // Execute the INFER N1QL query (see `_executeCollectionInfer`).
+      Logger.log('getSchema (collectionMode): Retrieving schema via INFER statement.');
+      const inferResults = _executeCollectionInfer(apiUrl, authHeader, configParams.collection, tuningParams);
+      
+      // In UNNEST mode the array's elements replace the array (see `_buildUnnestSubquery`).
+      let schemaInferResults = inferResults;
+      if (configParams.unnestField) {
+        schemaInferResults = _unnestInferResults(inferResults, configParams.unnestField);
+        if (schemaInferResults === null) {
+          _throwUserError(`The field "${configParams.unnestField}" is not an array of objects in the sampled documents. Select another field to unnest.`);
+        }
+      }
+
+      schemaFields = _processInferSchemaOutput(schemaInferResults);
+      if (!schemaFields || schemaFields.length === 0 || (schemaFields.length === 1 && schemaFields[0].name.startsWith('empty_'))) {
+         Logger.log('getSchema (collectionMode): INFER results processed but yielded no valid fields.');
+         const entityPath = `${rawBucket}.${rawScope}.${rawCollection}`;
+         _throwUserError(
+           `The collection "${entityPath}" appears to be empty or does not exist. ` +
+           `Please verify:\n` +
+           `1. The collection exists and contains data\n` +
+           `2. Your credentials have permission to access this collection\n` +
+           `3. The bucket, scope, and collection names are correct`
+         );
+      }
+
+      if (includeMetadata) {
+        METADATA_FIELDS.forEach(field => schemaFields.push({
+          name: field.name,
+          label: field.label,
+          dataType: field.dataType,
+          description: field.description,
+          semantics: { conceptType: 'DIMENSION' }
+        }));
+      }
+
+      Logger.log('getSchema (collectionMode): Final schema from INFER: %s', JSON.stringify(schemaFields));
+      return { schema: schemaFields }; // Return the schema derived from INFER.
+
+    } else if (configParams.configMode === 'multiCollection') {
+      const collectionPaths = configParams.collections ? _parseCollectionPaths(configParams.collections) : [];
+      if (collectionPaths.length === 0) {
+        _throwUserError('At least one collection must be selected in "Combine Collections" mode.');
+      }
+
+      // INFER each collection; their flavors are merged into one schema.
+      const inferResultsList = collectionPaths.map(collectionPath =>
+        _executeCollectionInfer(apiUrl, authHeader, collectionPath, tuningParams));
+
+      schemaFields = _processInferSchemaOutput(_mergeInferResults(inferResultsList));
+      if (!schemaFields || schemaFields.length === 0 || (schemaFields.length === 1 && schemaFields[0].name.startsWith('empty_'))) {
+        _throwUserError(
+          `The collections "${collectionPaths.join('", "')}" appear to be empty or do not exist. ` +
+          `Please verify that they contain data and that your credentials have permission to access them.`
+        );
+      }
+      // Each row's `_source_collection` replaces a document field of that name (see `_buildUnionSubquery`).
+      if (schemaFields.some(field => field.name === SOURCE_COLLECTION_FIELD || field.name.startsWith(`${SOURCE_COLLECTION_FIELD}.`))) {
+        _throwUserError(`The selected collections have a "${SOURCE_COLLECTION_FIELD}" field, which "Combine Collections" mode sets on every row to name its collection. ` +
+          'Rename the field in your documents, or use a custom query to combine the collections.');
+      }
+      if (configParams.dateRangeField && !schemaFields.some(field => field.name === configParams.dateRangeField)) {
+        _throwUserError(`The date range field "${configParams.dateRangeField}" was not found in the selected collections. Check its name, e.g., created_at or order.date.`);
+      }
+      schemaFields.push({
+        name: SOURCE_COLLECTION_FIELD,
+        label: 'Source Collection',
+        dataType: 'STRING',
+        semantics: { conceptType: 'DIMENSION' }
+      });
+
+      Logger.log('getSchema (multiCollectionMode): Final schema from INFER: %s', JSON.stringify(schemaFields));
+      return { schema: schemaFields };
+
+    } else if (configParams.configMode === 'join') {
+      const join = _parseJoinConfig(configParams);
+
+      // INFER each side; its fields are prefixed with the side's alias, matching the joined rows
+      // (see `_buildJoinSubquery`).
+      schemaFields = [];
+      [[join.leftPath, join.leftAlias], [join.rightPath, join.rightAlias]].forEach(([collectionPath, alias]) => {
+        const sideFields = _processInferSchemaOutput(_executeCollectionInfer(apiUrl, authHeader, collectionPath, tuningParams));
+        if (sideFields.length === 1 && (sideFields[0].name.startsWith('empty_') || sideFields[0].name === 'no_properties_in_flavors')) {
+          _throwUserError(`The collection "${collectionPath}" appears to be empty or does not exist.`);
+        }
+        sideFields.forEach(field => {
+          schemaFields.push(Object.assign({}, field, { name: `${alias}.${field.name}`, label: `${alias}.${field.label}` }));
+        });
+      });
+
+      Logger.log('getSchema (joinMode): Final schema from INFER: %s', JSON.stringify(schemaFields));
+      return { schema: schemaFields };
+
+    } else if (configParams.configMode === 'search' || configParams.configMode === 'vectorSearch') {
+      const search = configParams.configMode === 'vectorSearch' ?
+        _parseVectorSearchConfig(configParams) : _parseSearchConfig(configParams);
+      if (configParams.configMode === 'vectorSearch') {
+        _checkQueryVectorDimensions(search);
+      }
+      schemaFields = _processInferSchemaOutput(_executeCollectionInfer(apiUrl, authHeader, search.collectionPath, tuningParams));
+      if (schemaFields.length === 1 && (schemaFields[0].name.startsWith('empty_') || schemaFields[0].name === 'no_properties_in_flavors')) {
+        _throwUserError(`The collection "${search.collectionPath}" indexed by "${search.indexName}" appears to be empty or does not exist.`);
+      }
+      // Scores get the "score" rule of `_applyNumericSemantics` (averaged); a sum of relevance
+      // scores means nothing, so charts cannot re-aggregate them either.
+      const scoreField = _applyNumericSemantics({
+        name: SEARCH_SCORE_FIELD,
+        label: configParams.configMode === 'vectorSearch' ? 'Similarity Score' : 'Search Score',
+        dataType: 'NUMBER'
+      });
+      scoreField.semantics.isReaggregatable = false;
+      schemaFields.push(scoreField);
+
+      Logger.log('getSchema (searchMode): Final schema from INFER: %s', JSON.stringify(schemaFields));
+      return { schema: schemaFields };
+
+    } else if (configParams.configMode === 'keyLookup') {
+      const lookup = _parseKeyLookupConfig(configParams);
+
+      // No INFER here: the schema comes from the first documents fetched by key.
+      const sampleDocuments = _fetchDocumentsByKey(apiUrl, authHeader, lookup.collectionPath,
+        lookup.keys.slice(0, LOOKUP_SCHEMA_SAMPLE_SIZE), {});
+      if (sampleDocuments.length === 0) {
+        _throwUserError(
+          `None of the first ${Math.min(lookup.keys.length, LOOKUP_SCHEMA_SAMPLE_SIZE)} document keys exist in "${lookup.collectionPath}" as JSON documents. ` +
+          `Please verify the keys and the collection path.`
+        );
+      }
+      sampleDocuments.forEach(document => delete document[DOCUMENT_KEY_FIELD]);
+      schemaFields = _processInferSchemaOutput(_buildInferResultsFromDocuments(sampleDocuments))
+        .filter(field => field.name !== 'no_properties_in_flavors');
+      schemaFields.push({
+        name: DOCUMENT_KEY_FIELD,
+        label: 'Document Key',
+        dataType: 'STRING',
+        semantics: { conceptType: 'DIMENSION' }
+      });
+
+      Logger.log('getSchema (keyLookupMode): Final schema from sampled documents: %s', JSON.stringify(schemaFields));
+      return { schema: schemaFields };
+
+    } else if (configParams.configMode === 'customQuery') {
+      // Validate that a query is provided in custom query mode.
+      if (!configParams.query || configParams.query.trim() === '') {
+        _throwUserError('Custom query must be specified in "Use Custom Query" mode.');
+      }
+      
+      // Date range placeholders are bound to the request's date range (or a default one).
+      const dateRangeQuery = _applyDateRangePlaceholders(configParams.query.trim(), request.dateRange);
+      const queryParams = Object.assign(_buildQueryParameters(configParams.query, configParams), dateRangeQuery.namedParams);
+      const originalUserQuery = dateRangeQuery.statement;
+      let queryForInfer = originalUserQuery;
+      // Append `LIMIT 100` for INFER subquery if no LIMIT clause exists, for schema diversity.
+      if (!queryForInfer.toLowerCase().includes('limit')) {
+        queryForInfer += ' LIMIT 100';
+      }
+      
+      // Options for INFER on subquery (custom query).
+      const inferCustomQueryWithOptions = `WITH {"sample_size": 10000, "num_sample_values": ${INFER_SAMPLE_VALUES}, "similarity_metric": 0.1}`;
+      const inferSubQueryStatement = `INFER (${queryForInfer}) ${inferCustomQueryWithOptions}`;
+      
+      Logger.log('getSchema (customQuery): Attempting schema inference via INFER (subquery): %s', inferSubQueryStatement);
+      let inferResults = null;
+      try {
+        inferResults = _executeN1qlQuery(apiUrl, authHeader, inferSubQueryStatement, {
+          namedParams: queryParams,
+          queryContext: configParams.queryContext,
+          tuningParams: tuningParams
+        });
+      } catch (e) {
+        // Mapped errors (e.g., a timeout, or a query INFER cannot wrap) fall back to the query itself,
+        // which reports its own errors below.
+        if (!e.isUserError) {
+          throw e;
+        }
+        Logger.log('getSchema (customQuery): INFER (subquery) failed: %s', e.message);
+      }
+      
+      let inferSuccessful = false;
+      if (inferResults !== null) {
+        schemaFields = _processInferSchemaOutput(inferResults);
+        // Check if _processInferSchemaOutput returned a valid schema (not empty or placeholder)
+        if (schemaFields && schemaFields.length > 0 && !(schemaFields.length === 1 && schemaFields[0].name.startsWith('empty_'))) {
+          inferSuccessful = true;
+          Logger.log('getSchema (customQuery): Successfully inferred schema via INFER (subquery). Schema: %s', JSON.stringify(schemaFields));
+        } else {
+          Logger.log('getSchema (customQuery): INFER (subquery) executed but processed schema is empty or placeholder. Results: %s', JSON.stringify(inferResults));
+        }
+      } else {
+        Logger.log('getSchema (customQuery): INFER (subquery) execution failed.');
+      }
+
+      if (inferSuccessful) {
+        return { schema: schemaFields };
+      } else {
+        Logger.log('getSchema (customQuery): INFER (subquery) failed or yielded unusable schema. Falling back to single document fetch method.');
+        
+        let queryForFallback = originalUserQuery;
+        // Append `LIMIT 1` for fallback if no LIMIT clause exists.
+        if (!queryForFallback.toLowerCase().includes('limit')) {
+          queryForFallback += ' LIMIT 1';
+        }
+        Logger.log('getSchema (customQuery Fallback): Running query for single document schema inference: %s', queryForFallback);
+
+        const queryServiceUrl = `${apiUrl}/_p/query/query/service`; // N1QL query endpoint.
+        const fallbackPayload = { statement: queryForFallback };
+        if (configParams.queryContext) {
+          fallbackPayload.query_context = _buildQueryContext(configParams.queryContext);
+        }
+        Object.assign(fallbackPayload, tuningParams);
+        Object.keys(queryParams).forEach(paramName => {
+          fallbackPayload['$' + paramName] = queryParams[paramName];
+        });
+        const fetchOptions = {
+          method: 'post',
+          contentType: 'application/json',
+          headers: { 'Authorization': authHeader },
+          payload: JSON.stringify(fallbackPayload),
+          muteHttpExceptions: true,
+          validateHttpsCertificates: false
+        };
+
+        const response = _fetchWithRetry(queryServiceUrl, fetchOptions);
+        if (response.getResponseCode() !== 200) {
+          _throwMappedQueryError(response.getResponseCode(), response.getContentText(), fallbackPayload.statement);
+          _throwUserError(`Couchbase Query API error for custom query schema (fallback) (${response.getResponseCode()}): ${response.getContentText()}`);
+        }
+
+        const queryResult = JSON.parse(response.getContentText());
+        if (!queryResult.results || queryResult.results.length === 0) {
+          Logger.log('getSchema (customQuery Fallback): Custom query returned no results for schema inference.');
+          _throwUserError(
+            `The custom query returned no results. ` +
+            `Please verify:\n` +
+            `1. Your query syntax is correct\n` +
+            `2. The referenced collections exist and contain data\n` +
+            `3. Your credentials have permission to access the referenced collections\n` +
+            `4. The query conditions match existing data`
+          );
+        }
+
+        const documentForSchemaInference = queryResult.results[0];
+        Logger.log('getSchema (customQuery Fallback): Successfully retrieved sample document.');
+
+        /**
+         * @private
+         * Processes a single document (object) to infer schema fields for custom queries (fallback).
+         */
+        function processFieldsForCustomQuery(obj, prefix = '') {
+          // (Implementation of this helper remains the same as previous version)
+          const fields = [];
+          if (!obj || typeof obj !== 'object') return fields;
+
+          Object.keys(obj).forEach(key => {
+            const fieldName = prefix ? `${prefix}.${key}` : key;
+            const value = obj[key];
+            let dataType = 'STRING';
+            let conceptType = 'DIMENSION';
+            const dateType = _detectDateType([typeof value], [value]);
+
+            if (value === null || value === undefined) {
+              dataType = 'STRING';
+            } else if (dateType) {
+              dataType = dateType;
+            } else if (typeof value === 'number') {
+              dataType = 'NUMBER';
+              conceptType = 'METRIC';
+            } else if (typeof value === 'boolean') {
+              dataType = 'BOOLEAN';
+            } else if (typeof value === 'string') {
+              if (value.startsWith('http://') || value.startsWith('https://')) {
+                dataType = 'URL';
+              }
+            } else if (Array.isArray(value)) {
+              dataType = 'STRING'; 
+            } else if (typeof value === 'object') {
+              fields.push(...processFieldsForCustomQuery(value, fieldName));
+              return; 
+            }
+            fields.push(_applyNumericSemantics({
+              name: fieldName, label: fieldName, dataType: dataType, semantics: { conceptType: conceptType }
+            }, [value]));
+          });
+          return fields;
+        }
+        schemaFields = processFieldsForCustomQuery(documentForSchemaInference);
+
+        if (schemaFields.length === 0) {
+          Logger.log('Warning: Schema inference for custom query (fallback) resulted in zero fields.');
+          _throwUserError(
+            `Schema inference failed for the custom query. ` +
+            `Please verify:\n` +
+            `1. Your query returns data with recognizable field types\n` +
+            `2. The query result contains at least one document\n` +
+            `3. The document structure is not empty or contains only null values`
+          );
+        }
+        Logger.log('getSchema (customQuery Fallback): Final inferred schema: %s', JSON.stringify(schemaFields));
+        return { schema: schemaFields };
+      }
+    } else {
+      // Handle invalid or unspecified configuration mode.
+      _throwUserError('Invalid configuration mode for schema inference.');
+    }
+
+  } catch (e) {
+    // Catch-all for errors during schema retrieval.
+    Logger.log('Error in getSchema: %s. Stack: %s', e.message, e.stack);
+    
+    // Check if this is a user error that should be displayed to the user
+    if (e.isUserError || e.name === 'UserError') {
+      // Convert to Apps Script user error for proper display
+      DataStudioApp.createCommunityConnector()
+        .newUserError()
+        .setText(e.message)
+        .setDebugText(e.debugText || '')
+        .throwException();
+    }
+    
+    // For genuine system errors, wrap with context
+    DataStudioApp.createCommunityConnector()
+      .newUserError()
+      .setText(`Error inferring schema: ${e.message || e.toString()}`)
+      .throwException();
+  }
+}
+
+/**
+ * @private
+ * Retrieves a value from a nested object or array using a dot-separated path string.
+ * Handles paths that may include array indices (though the current implementation
+ * in the source treats numeric path parts as keys if the current context is an array).
+ *
+ * @param {Object|Array} obj The object or array from which to retrieve the value.
+ * @param {string} pathString The dot-separated path to the desired value (e.g., "user.address.street", "items.0.name").
+ * @return {*} The value at the specified path, or `null` if the path is invalid or the value is not found.
+ */
+function _getNestedValue(obj, pathString) {
+  // Normalize path for array indexing (e.g., "items[0]" to "items.0") although source uses direct numeric keys for arrays.
+  const parts = pathString.replace(/[\[(\d+)\]]/g, '.$1').split('.');
+  let current = obj; // Start with the root object.
 
-      Logger.log('getSchema (collectionMode): Final schema from INFER: %s', JSON.stringify(schemaFields));
-      return { schema: schemaFields }; // Return the schema derived from INFER.
+  for (let i = 0; i < parts.length; i++) {
+    if (current === null || current === undefined) return null; // Path is invalid if current becomes null/undefined.
 
-    } else if (configParams.configMode === 'customQuery') {
-      // Validate that a query is provided in custom query mode.
-      if (!configParams.query || configParams.query.trim() === '') {
-        _throwUserError('Custom query must be specified in "Use Custom Query" mode.');
+    const key = parts[i];
+    // Check if the key is a number and current context is an array (basic array indexing attempt).
+    if (!isNaN(key) && Array.isArray(current)) {
+      const index = parseInt(key, 10);
+      current = index < current.length ? current[index] : null; // Access array element or null if out of bounds.
+    } else if (typeof current === 'object' && current !== null) { // If current is an object, access property by key.
+      current = current[key]; // Access property using the key.
+    } else {
+      // If current is not an object/array or key doesn't fit, path is invalid.
+      return null;
+    }
+  }
+  return current; // Return the final value found at the end of the path.
+}
+
+/**
+ * @private
+ * Detects whether a field holds dates, based on its INFER types and sample values.
+ * Every non-empty sample must be an ISO-8601 date ("2024-05-31"), an ISO-8601 datetime
+ * (optionally with fractional seconds and a UTC offset), or, for purely numeric fields,
+ * an integer of epoch milliseconds between the years 2000 and 2100.
+ *
+ * @param {Array<string>} inferTypes The types INFER reported for the field (e.g., ["string"]).
+ * @param {Array<*>|undefined} samples The sample values INFER reported for the field.
+ * @return {string|null} 'YEAR_MONTH_DAY' if every sample is a date, 'YEAR_MONTH_DAY_SECOND'
+ * if the samples include datetimes or epoch milliseconds, or null if the field is not a date.
+ */
+function _detectDateType(inferTypes, samples) {
+  const nonEmptySamples = (samples || []).filter(sample => sample !== null && sample !== undefined && sample !== '');
+  if (nonEmptySamples.length === 0) {
+    return null;
+  }
+
+  if (inferTypes.every(type => type === 'string' || type === 'null')) {
+    if (nonEmptySamples.every(sample => typeof sample === 'string' && ISO_DATE_PATTERN.test(sample))) {
+      return 'YEAR_MONTH_DAY';
+    }
+    if (nonEmptySamples.every(sample => typeof sample === 'string' &&
+        (ISO_DATE_PATTERN.test(sample) || ISO_DATETIME_PATTERN.test(sample)))) {
+      return 'YEAR_MONTH_DAY_SECOND';
+    }
+  } else if (inferTypes.every(type => type === 'number' || type === 'integer' || type === 'null')) {
+    if (nonEmptySamples.every(sample => Number.isInteger(sample) &&
+        sample >= EPOCH_MILLIS_RANGE.min && sample < EPOCH_MILLIS_RANGE.max)) {
+      return 'YEAR_MONTH_DAY_SECOND';
+    }
+  }
+  return null;
+}
+
+/**
+ * @private
+ * Formats a stored date value as Looker Studio expects it for a date field: "YYYYMMDD" for
+ * YEAR_MONTH_DAY and "YYYYMMDDHHmmss" for YEAR_MONTH_DAY_SECOND. Datetimes with a UTC offset
+ * are converted to UTC; datetimes without one are taken as-is.
+ *
+ * @param {string|number} value An ISO-8601 date or datetime string, or epoch milliseconds.
+ * @param {string} dataType Either 'YEAR_MONTH_DAY' or 'YEAR_MONTH_DAY_SECOND'.
+ * @return {string|null} The formatted value, or null if the value is not a valid date.
+ */
+function _formatDateValue(value, dataType) {
+  let millis;
+  if (typeof value === 'number') {
+    millis = value;
+  } else {
+    // Normalise to a form Date.parse reads unambiguously; without an offset, treat it as UTC.
+    let isoString = String(value).trim().replace(' ', 'T');
+    if (ISO_DATE_PATTERN.test(isoString)) {
+      isoString += 'T00:00:00';
+    }
+    isoString = isoString.replace(/([+-]\d{2})(\d{2})$/, '$1:$2');
+    if (!/(Z|[+-]\d{2}:\d{2})$/.test(isoString)) {
+      isoString += 'Z';
+    }
+    millis = Date.parse(isoString);
+  }
+  if (isNaN(millis)) {
+    return null;
+  }
+
+  const digits = new Date(millis).toISOString().substring(0, 19).replace(/[-T:]/g, ''); // YYYYMMDDHHmmss
+  return dataType === 'YEAR_MONTH_DAY' ? digits.substring(0, 8) : digits;
+}
+
+/**
+ * @private
+ * Refines the semantics of a NUMBER field from its name (see `NUMERIC_FIELD_PATTERNS`) and
+ * sampled values, since summing every number misleads charts (e.g., a summed `year`).
+ * Identifiers, codes and date parts holding integers become dimensions (unless the name
+ * also names a quantity, e.g., "duration_hour"), as do fields whose
+ * samples are only 0 and 1 (flags) and, when the number of sampled documents is known, other
+ * integer fields with at most `LOW_CARDINALITY_MAX_VALUES` distinct values, each seen in
+ * `LOW_CARDINALITY_DOCS_PER_VALUE` documents on average (categories). Metrics get a `defaultAggregationType` (e.g., AVG for
+ * ratios and ratings) and a semantic type where the samples support it: PERCENT for ratios
+ * between 0 and 1, CURRENCY_USD for amounts and prices, DURATION for non-negative seconds.
+ *
+ * @param {Object} field A schema field definition; NUMBER fields are modified in place.
+ * @param {Array<*>=} samples Sampled values of the field, e.g., the `samples` of its INFER definition.
+ * @param {number=} docCount The number of sampled documents holding the field, e.g., the `#docs` of
+ * its INFER definition, if `samples` holds up to `INFER_SAMPLE_VALUES` of their distinct values.
+ * @return {Object} The same field definition.
+ */
+function _applyNumericSemantics(field, samples, docCount) {
+  if (field.dataType !== 'NUMBER') {
+    return field;
+  }
+  const values = (samples || []).filter(sample => typeof sample === 'number');
+  const words = field.name.split('.').pop()
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2') // camelCase -> camel_Case
+    .toLowerCase().split(/[^a-z0-9]+/).filter(word => word !== '');
+  const wordMatch = NUMERIC_FIELD_PATTERNS.find(entry => entry.words.includes(words[words.length - 1]));
+  const prefixMatch = words.length > 1 ? NUMERIC_FIELD_PATTERNS.find(entry => (entry.prefixes || []).includes(words[0])) : null;
+
+  const hasQuantityWord = words.some(word => NUMERIC_FIELD_PATTERNS.some(entry =>
+    entry.aggregation && (entry.words.includes(word) || (entry.prefixes || []).includes(word))));
+  const isIdentifier = wordMatch && wordMatch.conceptType === 'DIMENSION' && !prefixMatch &&
+    !(wordMatch.unlessQuantity && hasQuantityWord) && values.every(Number.isInteger);
+  const isFlag = !wordMatch && !prefixMatch && values.length >= 2 && values.every(value => value === 0 || value === 1);
+  const distinctValues = values.filter((value, index) => values.indexOf(value) === index);
+  const isCategory = !wordMatch && !prefixMatch && docCount > 0 && distinctValues.length > 0 &&
+    distinctValues.length <= LOW_CARDINALITY_MAX_VALUES && docCount >= distinctValues.length * LOW_CARDINALITY_DOCS_PER_VALUE &&
+    distinctValues.every(Number.isInteger);
+  if (isIdentifier || isFlag || isCategory) {
+    field.semantics = { conceptType: 'DIMENSION' };
+    return field;
+  }
+
+  field.semantics = { conceptType: 'METRIC', isReaggregatable: true };
+  const aggregation = (prefixMatch && prefixMatch.aggregation) || (wordMatch && wordMatch.aggregation);
+  if (aggregation) {
+    field.defaultAggregationType = aggregation;
+  }
+  const semanticType = (wordMatch && wordMatch.semanticType) || (prefixMatch && prefixMatch.semanticType);
+  const isSupported = semanticType === 'PERCENT' ? values.length > 0 && values.every(value => value >= 0 && value <= 1)
+    : semanticType === 'DURATION' ? values.every(value => value >= 0)
+    : Boolean(semanticType);
+  if (isSupported) {
+    field.semantics.semanticType = semanticType;
+    field.semantics.semanticGroup = semanticType === 'CURRENCY_USD' ? 'CURRENCY' : 'NUMERIC';
+  }
+  return field;
+}
+
+/**
+ * @private
+ * Tags a schema field with a Looker Studio geo semantic type when its name (the last path
+ * segment) looks like a country, city, region or postal code, so map charts can use it
+ * without editing the field. Only STRING fields are tagged, except postal codes, which are
+ * also recognised when stored as numbers (they are then treated as STRING dimensions).
+ *
+ * @param {Object} field A schema field definition from `_processInferSchemaOutput`.
+ * @return {Object} The same field definition, possibly with geo semantics.
+ */
+function _applyGeoSemantics(field) {
+  const baseName = field.name.split('.').pop();
+  const geoPattern = GEO_FIELD_PATTERNS.find(entry => entry.pattern.test(baseName));
+  if (!geoPattern || !(field.dataType === 'STRING' || (field.dataType === 'NUMBER' && geoPattern.semanticType === 'POSTAL_CODE'))) {
+    return field;
+  }
+  field.dataType = 'STRING'; // Filters on retyped postal codes compare TOSTRING values (see `_getRetypedFieldNames`).
+  field.semantics = { conceptType: 'DIMENSION', semanticType: geoPattern.semanticType, semanticGroup: 'GEO' };
+  return field;
+}
+
+/**
+ * @private
+ * Finds the latitude and longitude fields that sit side by side in the same object
+ * (e.g., "geo.lat" and "geo.lon").
+ *
+ * @param {string} prefix The path of the containing object ("" for top-level fields).
+ * @param {Array<Object>} schemaFields The schema field definitions.
+ * @return {{lat: string, lon: string}|null} The field names, or null if the object does not
+ * hold a NUMBER latitude/longitude pair.
+ */
+function _findLatLonPair(prefix, schemaFields) {
+  const siblings = schemaFields.filter(field => field.dataType === 'NUMBER' &&
+    field.name.lastIndexOf('.') === (prefix ? prefix.length : -1) && (!prefix || field.name.startsWith(prefix + '.')));
+  const latField = siblings.find(field => LATITUDE_FIELD_PATTERN.test(field.name.split('.').pop()));
+  const lonField = siblings.find(field => LONGITUDE_FIELD_PATTERN.test(field.name.split('.').pop()));
+  return latField && lonField ? { lat: latField.name, lon: lonField.name } : null;
+}
+
+/**
+ * @private
+ * Adds a synthetic LATITUDE_LONGITUDE field (e.g., "geo.lat_lon") for every object holding a
+ * latitude/longitude pair; `getData` fills it with "lat,lon" values. The pair's own NUMBER
+ * fields are kept.
+ *
+ * @param {Array<Object>} schemaFields The schema field definitions; modified in place.
+ */
+function _addLatLonFields(schemaFields) {
+  const prefixes = new Set(schemaFields.map(field => field.name.split('.').slice(0, -1).join('.')));
+  prefixes.forEach(prefix => {
+    const fieldName = prefix ? `${prefix}.${LAT_LON_FIELD_NAME}` : LAT_LON_FIELD_NAME;
+    if (_findLatLonPair(prefix, schemaFields) && !schemaFields.some(field => field.name === fieldName)) {
+      schemaFields.push({
+        name: fieldName,
+        label: fieldName,
+        dataType: 'STRING',
+        semantics: { conceptType: 'DIMENSION', semanticType: 'LATITUDE_LONGITUDE', semanticGroup: 'GEO' }
+      });
+      Logger.log('_addLatLonFields: Added %s.', fieldName);
+    }
+  });
+}
+
+/**
+ * @private
+ * Returns the latitude/longitude pair behind a synthetic LATITUDE_LONGITUDE field.
+ *
+ * @param {string} fieldName The synthetic field name, e.g., "geo.lat_lon".
+ * @param {Array<Object>} masterSchema The data source schema.
+ * @return {{lat: string, lon: string}|null} The pair's field names, or null if the field is
+ * not a synthetic LATITUDE_LONGITUDE field.
+ */
+function _getLatLonSourceFields(fieldName, masterSchema) {
+  const fieldDefinition = masterSchema.find(field => field.name === fieldName);
+  if (!fieldDefinition || fieldDefinition.semantics.semanticType !== 'LATITUDE_LONGITUDE') {
+    return null;
+  }
+  return _findLatLonPair(fieldName.split('.').slice(0, -1).join('.'), masterSchema);
+}
+
+/**
+ * @private
+ * Parses and validates the "Field Overrides" configuration: a JSON object keyed by field name
+ * (see `FIELD_OVERRIDES_EXAMPLE`). Each entry may set any of `FIELD_OVERRIDE_PROPERTIES`; data types, concept types and
+ * aggregations are case-insensitive.
+ *
+ * @param {string=} rawValue The `fieldOverrides` configuration value.
+ * @return {Object<string, Object>} The normalized overrides by field name (empty if none are set).
+ * @throws {UserError} If the value is not a JSON object or an override is invalid.
+ */
+function _parseFieldOverrides(rawValue) {
+  if (!rawValue || String(rawValue).trim() === '') {
+    return {};
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(rawValue);
+  } catch (e) {
+    _throwUserError(`Field overrides must be a JSON object keyed by field name, e.g., ${FIELD_OVERRIDES_EXAMPLE}.`, e.message);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    _throwUserError(`Field overrides must be a JSON object keyed by field name, e.g., ${FIELD_OVERRIDES_EXAMPLE}.`);
+  }
+
+  const overrides = {};
+  Object.keys(parsed).forEach(fieldName => {
+    const entry = parsed[fieldName];
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      _throwUserError(`Field override for "${fieldName}" must be an object, e.g., ${FIELD_OVERRIDES_EXAMPLE}.`);
+    }
+    const unknownProperty = Object.keys(entry).find(property => FIELD_OVERRIDE_PROPERTIES.indexOf(property) === -1);
+    if (unknownProperty) {
+      _throwUserError(`Unknown property "${unknownProperty}" in the field override for "${fieldName}". Use: ${FIELD_OVERRIDE_PROPERTIES.join(', ')}.`);
+    }
+
+    const override = {};
+    if (entry.label !== undefined) {
+      if (typeof entry.label !== 'string' || entry.label.trim() === '') {
+        _throwUserError(`The label override for "${fieldName}" must be a non-empty string.`);
       }
-      
-      const originalUserQuery = configParams.query.trim();
-      let queryForInfer = originalUserQuery;
-      // Append `LIMIT 100` for INFER subquery if no LIMIT clause exists, for schema diversity.
-      if (!queryForInfer.toLowerCase().includes('limit')) {
-        queryForInfer += ' LIMIT 100';
+      override.label = entry.label.trim();
+    }
+    const enumOptions = [
+      { property: 'dataType', values: FIELD_OVERRIDE_DATA_TYPES },
+      { property: 'conceptType', values: ['DIMENSION', 'METRIC'] },
+      { property: 'aggregation', values: FIELD_OVERRIDE_AGGREGATIONS }
+    ];
+    enumOptions.forEach(option => {
+      if (entry[option.property] === undefined) {
+        return;
       }
-      
-      // Options for INFER on subquery (custom query).
-      const inferCustomQueryWithOptions = `WITH {"sample_size": 10000, "num_sample_values": 2, "similarity_metric": 0.1}`;
-      const inferSubQueryStatement = `INFER (${queryForInfer}) ${inferCustomQueryWithOptions}`;
-      
-      Logger.log('getSchema (customQuery): Attempting schema inference via INFER (subquery): %s', inferSubQueryStatement);
-      const inferResults = _executeN1qlQuery(apiUrl, authHeader, inferSubQueryStatement);
-      
-      let inferSuccessful = false;
-      if (inferResults !== null) {
-        schemaFields = _processInferSchemaOutput(inferResults);
-        // Check if _processInferSchemaOutput returned a valid schema (not empty or placeholder)
-        if (schemaFields && schemaFields.length > 0 && !(schemaFields.length === 1 && schemaFields[0].name.startsWith('empty_'))) {
-          inferSuccessful = true;
-          Logger.log('getSchema (customQuery): Successfully inferred schema via INFER (subquery). Schema: %s', JSON.stringify(schemaFields));
-        } else {
-          Logger.log('getSchema (customQuery): INFER (subquery) executed but processed schema is empty or placeholder. Results: %s', JSON.stringify(inferResults));
-        }
-      } else {
-        Logger.log('getSchema (customQuery): INFER (subquery) execution failed.');
+      const value = String(entry[option.property]).trim().toUpperCase();
+      if (option.values.indexOf(value) === -1) {
+        _throwUserError(`Invalid ${option.property} "${entry[option.property]}" in the field override for "${fieldName}". Use one of: ${option.values.join(', ')}.`);
+      }
+      override[option.property] = value;
+    });
+    if (entry.hidden !== undefined) {
+      if (typeof entry.hidden !== 'boolean') {
+        _throwUserError(`The hidden override for "${fieldName}" must be true or false.`);
       }
+      override.hidden = entry.hidden;
+    }
+    overrides[fieldName] = override;
+  });
+  return overrides;
+}
 
-      if (inferSuccessful) {
-        return { schema: schemaFields };
-      } else {
-        Logger.log('getSchema (customQuery): INFER (subquery) failed or yielded unusable schema. Falling back to single document fetch method.');
-        
-        let queryForFallback = originalUserQuery;
-        // Append `LIMIT 1` for fallback if no LIMIT clause exists.
-        if (!queryForFallback.toLowerCase().includes('limit')) {
-          queryForFallback += ' LIMIT 1';
-        }
-        Logger.log('getSchema (customQuery Fallback): Running query for single document schema inference: %s', queryForFallback);
+/**
+ * @private
+ * Merges field overrides onto the inferred schema. A data type override drops the field's
+ * inferred semantic type (e.g., POSTAL_CODE) and, unless `conceptType` is also set, makes
+ * NUMBER fields metrics and every other type a dimension; NUMBER metrics are reaggregatable,
+ * as inferred ones are (see `_applyNumericSemantics`). An aggregation sets the field's
+ * `defaultAggregationType`, which also decides whether `_buildAggregationClauses` can
+ * aggregate it server-side.
+ *
+ * @param {Array<Object>} schema The inferred schema fields.
+ * @param {Object<string, Object>} overrides The overrides from `_parseFieldOverrides`.
+ * @return {Array<Object>} The schema with the overrides applied; `schema` itself is not modified.
+ * @throws {UserError} If an override names a field missing from the schema, or sets an
+ * aggregation on a dimension.
+ */
+function _applyFieldOverrides(schema, overrides) {
+  const fieldNames = Object.keys(overrides);
+  if (fieldNames.length === 0) {
+    return schema;
+  }
+  const unknownField = fieldNames.find(fieldName => !schema.some(field => field.name === fieldName));
+  if (unknownField) {
+    _throwUserError(`Field override for "${unknownField}" does not match any field of the data source. Check the field name, e.g., "address.city" for nested fields.`,
+      `Available fields: ${schema.map(field => field.name).join(', ')}`);
+  }
 
-        const queryServiceUrl = `${apiUrl}/_p/query/query/service`; // N1QL query endpoint.
-        const fetchOptions = {
-          method: 'post',
-          contentType: 'application/json',
-          headers: { 'Authorization': authHeader },
-          payload: JSON.stringify({ statement: queryForFallback }),
-          muteHttpExceptions: true,
-          validateHttpsCertificates: false
-        };
+  return schema.map(field => {
+    const override = overrides[field.name];
+    if (!override) {
+      return field;
+    }
+    const overridden = Object.assign({}, field, { semantics: Object.assign({}, field.semantics) });
+    if (override.label) {
+      overridden.label = override.label;
+    }
+    if (override.dataType && override.dataType !== field.dataType) {
+      overridden.dataType = override.dataType;
+      overridden.semantics = { conceptType: override.dataType === 'NUMBER' ? 'METRIC' : 'DIMENSION' };
+    }
+    if (override.conceptType) {
+      overridden.semantics.conceptType = override.conceptType;
+    }
+    if (overridden.semantics.conceptType === 'METRIC' && overridden.dataType === 'NUMBER') {
+      overridden.semantics.isReaggregatable = true;
+    } else if (overridden.semantics.conceptType !== 'METRIC') {
+      // Dimensions are not aggregated, e.g., a rating (inferred AVG) turned into a dimension
+      delete overridden.defaultAggregationType;
+      delete overridden.semantics.isReaggregatable;
+    }
+    if (override.aggregation) {
+      if (overridden.semantics.conceptType !== 'METRIC') {
+        _throwUserError(`The aggregation override for "${field.name}" requires the field to be a metric. Add "conceptType": "METRIC" to its override.`);
+      }
+      overridden.defaultAggregationType = override.aggregation;
+    }
+    if (override.hidden !== undefined) {
+      overridden.isHidden = override.hidden;
+    }
+    Logger.log('_applyFieldOverrides: Field [%s] overridden: %s', field.name, JSON.stringify(overridden));
+    return overridden;
+  });
+}
 
-        const response = UrlFetchApp.fetch(queryServiceUrl, fetchOptions);
-        if (response.getResponseCode() !== 200) {
-          _throwUserError(`Couchbase Query API error for custom query schema (fallback) (${response.getResponseCode()}): ${response.getContentText()}`);
+
+/**
+ * Returns the data for the given request. This function is called by Looker Studio
+ * to fetch the actual data rows based on the user's configuration and the
+ * fields requested in the report.
+ *
+ * It first obtains the master schema (by calling `getSchema` internally, though the
+ * provided code implies `getSchema` is called by Looker Studio and its result is available).
+ * Then, it determines which fields are requested by Looker Studio for this specific
+ * `getData` call using `_getRequestedFields`.
+ *
+ * Based on `configMode`:
+ * - 'collection': Pages through the collection by document key (up to `maxRows` rows), pushing
+ *   `request.dimensionsFilters` down into a parameterized WHERE clause (see `_buildFilterClause`).
+ *   Requests for dimensions plus NUMBER metrics are aggregated server-side with GROUP BY
+ *   (see `_buildAggregationClauses`); other requests select only the requested fields (see
+ *   `_buildProjectionClause`). If a `dateRangeField` is configured, `request.dateRange`
+ *   restricts the documents to that range (see `_buildDateRangeCondition`). If "Include Document
+ *   Metadata" is checked, the `METADATA_FIELDS` are selected from META() (see `_isMetadataIncluded`).
+ * - 'multiCollection': As 'collection', over the UNION ALL of the selected collections (see
+ *   `_buildUnionSubquery`), paged in OFFSET/LIMIT windows.
+ * - 'join': As 'multiCollection', over the JOIN of two collections (see `_buildJoinSubquery`).
+ * - 'search': As 'multiCollection', over the documents matching the search query in the
+ *   selected Search index (see `_buildSearchSubquery`), highest `_search_score` first.
+ * - 'vectorSearch': As 'search', over the k nearest neighbours of the query vector (see
+ *   `_parseVectorSearchConfig`).
+ * - 'keyLookup': Fetches the configured document keys through the Data API document endpoints
+ *   (see `_fetchDocumentsByKey`), projecting the requested fields. Filters are left to Looker Studio.
+ * - 'customQuery': Pages through the user-provided N1QL query in OFFSET/LIMIT windows if it has
+ *   a top-level ORDER BY (otherwise runs it in a single request, see `_hasTopLevelOrderBy`), binding
+ *   `$name` placeholders to their configured values (see `_buildQueryParameters`) and any
+ *   `@DS_START_DATE`/`@DS_END_DATE` placeholders to `request.dateRange`.
+ *   Filters are left to Looker Studio.
+ *
+ * Pages are fetched until the row budget (`maxRows`) or the time budget (`timeBudgetSeconds`)
+ * is exhausted; see `_executePagedN1qlQuery`. Each page is cached for `cacheSeconds` until
+ * the user refreshes the report (see `_getResultCacheKey`).
+ *
+ * Finally, it transforms the retrieved documents into the row format expected by Looker Studio.
+ *
+ * @param {Object} request The request object from Looker Studio, containing `configParams`
+ * and `fields` (the fields requested for this data fetch).
+ * @return {Object} A data response object with `schema` (the schema for the requested fields),
+ * `rows` (an array of data rows) and `filtersApplied` (true if all filters were pushed down).
+ * @throws {UserError} If credentials are missing, configuration is invalid, or data
+ * retrieval fails.
+ */
+function getData(request) {
+  Logger.log('getData request: %s', JSON.stringify(request));
+  const startTime = Date.now(); // The time budget for paging is measured from here.
+  try {
+    // Retrieve stored authentication credentials.
+    const userProperties = PropertiesService.getUserProperties();
+    const path = userProperties.getProperty('dscc.path');
+    const username = userProperties.getProperty('dscc.username');
+    const password = userProperties.getProperty('dscc.password');
+
+    if (!path || !username || !password) {
+      _throwUserError('Authentication credentials missing.');
+    }
+
+    const configParams = request.configParams || {}; // User configuration.
+    const apiUrl = _constructApiUrl(path); // Base API URL.
+
+    // Obtain the master schema definition. This defines all possible fields.
+    const masterSchema = _getCachedSchema(request).schema;
+    if (!masterSchema || masterSchema.length === 0) {
+        _throwUserError('Failed to obtain a valid master schema for getData.');
+    }
+    Logger.log('getData: Obtained masterSchema with %s fields.', masterSchema.length);
+
+    let documents = []; // Array to store documents fetched from Couchbase.
+    let filtersApplied = false; // Set when every dimension filter was pushed down into the query.
+    let requestFields = request.fields;
+    const authHeader = 'Basic ' + Utilities.base64Encode(username + ':' + password); // Auth header.
+
+    // Paging settings shared by all modes (see `_executePagedN1qlQuery`).
+    const pageSize = parseInt(configParams.pageSize, 10) || DEFAULT_PAGE_SIZE;
+    const timeBudgetSeconds = parseInt(configParams.timeBudgetSeconds, 10) || DEFAULT_TIME_BUDGET_SECONDS;
+    const deadline = startTime + timeBudgetSeconds * 1000;
+
+    // Settings shared by every query: results are cached per query until the user refreshes
+    // the report (see `_getResultCacheKey`), the advanced options are sent as request parameters,
+    // and statements run as prepared statements, since each chart repeats them.
+    const sharedQueryOptions = {
+      cacheSeconds: _getCacheSeconds(configParams.cacheSeconds, DEFAULT_RESULT_CACHE_SECONDS),
+      lastRefresh: request.scriptParams ? request.scriptParams.lastRefresh : undefined,
+      tuningParams: _getQueryTuningParams(configParams),
+      prepare: true
+    };
+
+    // Fetch documents based on configuration mode. (Order switched: collection first)
+    if (['collection', 'multiCollection', 'join', 'search', 'vectorSearch'].indexOf(configParams.configMode) !== -1) {
+        const isMultiCollection = configParams.configMode === 'multiCollection';
+        const isJoin = configParams.configMode === 'join';
+        const isVectorSearch = configParams.configMode === 'vectorSearch';
+        const isSearch = configParams.configMode === 'search' || isVectorSearch;
+        let search = null;
+        if (isSearch) {
+          search = isVectorSearch ? _parseVectorSearchConfig(configParams) : _parseSearchConfig(configParams);
         }
+        // Vector searches return their k nearest neighbours.
+        const maxRows = isVectorSearch ? search.k : (parseInt(configParams.maxRows, 10) || 100);
+        let keyspacePath = null;
+        let collectionName = null;
+        let alias;
+        let source;
+
+        if (isMultiCollection) {
+          // Rows come from a UNION ALL subquery over the selected collections (see `_buildUnionSubquery`).
+          const collectionPaths = configParams.collections ? _parseCollectionPaths(configParams.collections) : [];
+          if (collectionPaths.length === 0) {
+            _throwUserError('At least one collection must be selected in "Combine Collections" mode.');
+          }
+          alias = '`_row`';
+          source = `(${_buildUnionSubquery(collectionPaths)}) AS ${alias}`;
+        } else if (isJoin) {
+          // Rows come from the JOIN subquery, with each side's fields under its alias (see `_buildJoinSubquery`).
+          alias = '`_row`';
+          source = `(${_buildJoinSubquery(_parseJoinConfig(configParams))}) AS ${alias}`;
+        } else if (isSearch) {
+          // Rows come from the SEARCH subquery, each document carrying its `_search_score` (see `_buildSearchSubquery`).
+          alias = '`_row`';
+          source = `(${_buildSearchSubquery(search)}) AS ${alias}`;
+        } else {
+          if (!configParams.collection || configParams.collection.trim() === '') {
+              _throwUserError('Collection must be specified in "Query by Collection" mode.');
+          }
+          const collectionParts = configParams.collection.split('.');
+          if (collectionParts.length !== 3) {
+              _throwUserError('Invalid collection path. Format: bucket.scope.collection');
+          }
 
-        const queryResult = JSON.parse(response.getContentText());
-        if (!queryResult.results || queryResult.results.length === 0) {
-          Logger.log('getSchema (customQuery Fallback): Custom query returned no results for schema inference.');
-          _throwUserError(
-            `The custom query returned no results. ` +
-            `Please verify:\n` +
-            `1. Your query syntax is correct\n` +
-            `2. The referenced collections exist and contain data\n` +
-            `3. Your credentials have permission to access the referenced collections\n` +
-            `4. The query conditions match existing data`
-          );
+          const bucketName = `\`${collectionParts[0]}\``;
+          const scopeName = `\`${collectionParts[1]}\``;
+          collectionName = `\`${collectionParts[2]}\``;
+
+          // In UNNEST mode, rows come from a subquery returning one row per array element
+          // (see `_buildUnnestSubquery`); field paths then resolve against the subquery alias.
+          keyspacePath = `${bucketName}.${scopeName}.${collectionName}`;
+          alias = configParams.unnestField ? '`_row`' : collectionName;
+          source = configParams.unnestField ?
+            `(${_buildUnnestSubquery(keyspacePath, collectionName, configParams.unnestField)}) AS ${alias}` : keyspacePath;
         }
 
-        const documentForSchemaInference = queryResult.results[0];
-        Logger.log('getSchema (customQuery Fallback): Successfully retrieved sample document.');
+        // Metadata fields resolve to META() only in collection mode with metadata included.
+        const includeMetadata = _isMetadataIncluded(configParams);
 
-        /**
-         * @private
-         * Processes a single document (object) to infer schema fields for custom queries (fallback).
-         */
-        function processFieldsForCustomQuery(obj, prefix = '') {
-          // (Implementation of this helper remains the same as previous version)
-          const fields = [];
-          if (!obj || typeof obj !== 'object') return fields;
+        // Push Looker Studio's dimension filters down into a parameterized WHERE clause.
+        const filter = _buildFilterClause(request.dimensionsFilters, masterSchema, alias,
+          _getRetypedFieldNames(masterSchema, configParams), includeMetadata);
+        const conditions = filter.clause ? [filter.clause] : [];
+        const namedParams = Object.assign({}, filter.namedParams);
+        if (isSearch) {
+          namedParams._searchQuery = search.searchQuery; // Bound in `_buildSearchSubquery`.
+        }
 
-          Object.keys(obj).forEach(key => {
-            const fieldName = prefix ? `${prefix}.${key}` : key;
-            const value = obj[key];
-            let dataType = 'STRING';
-            let conceptType = 'DIMENSION';
+        // Restrict documents to the report's date range when a date range field is configured.
+        if (configParams.dateRangeField && request.dateRange) {
+          const dateRange = _buildDateRangeCondition(
+            _buildFieldPath(alias, configParams.dateRangeField), configParams.dateRangeFormat, request.dateRange);
+          conditions.push(dateRange.clause);
+          Object.assign(namedParams, dateRange.namedParams);
+        }
+        const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+        const hasFilters = (request.dimensionsFilters || []).length > 0;
+        if (hasFilters && filter.allApplied) {
+          filtersApplied = true;
+          // Fields used only for filtering are not returned once the filters have been applied.
+          requestFields = (request.fields || []).filter(field => !field.forFilterOnly);
+        }
 
-            if (value === null || value === undefined) {
-              dataType = 'STRING';
-            } else if (typeof value === 'number') {
-              dataType = 'NUMBER';
-              conceptType = 'METRIC';
-            } else if (typeof value === 'boolean') {
-              dataType = 'BOOLEAN';
-            } else if (typeof value === 'string') {
-              if (value.startsWith('http://') || value.startsWith('https://')) {
-                dataType = 'URL';
-              }
-            } else if (Array.isArray(value)) {
-              dataType = 'STRING'; 
-            } else if (typeof value === 'object') {
-              fields.push(...processFieldsForCustomQuery(value, fieldName));
-              return; 
-            }
-            fields.push({
-              name: fieldName, label: fieldName, dataType: dataType, semantics: { conceptType: conceptType }
-            });
+        // Aggregate server-side when the request is dimensions plus NUMBER metrics, so totals
+        // cover the whole collection instead of the first `maxRows` documents. Row-level data is
+        // still needed when Looker Studio has to apply some of the filters itself.
+        const aggregation = (!hasFilters || filtersApplied) ?
+          _buildAggregationClauses(requestFields, masterSchema, alias, includeMetadata) : null;
+
+        // Otherwise select only the requested fields rather than whole documents.
+        const projection = aggregation ? null : _buildProjectionClause(requestFields, masterSchema, alias, includeMetadata);
+        const selectClause = projection || `RAW ${alias}`;
+
+        let statement;
+        let pagingMode = null; // Null runs the statement in a single request capped at `maxRows`.
+        if (aggregation) {
+          // Groups are paged in OFFSET/LIMIT windows, ordered by the group keys so windows are stable.
+          const groupByClause = aggregation.groupByClause ?
+            ` GROUP BY ${aggregation.groupByClause} ORDER BY ${aggregation.groupByClause}` : '';
+          statement = `SELECT ${aggregation.selectClause} FROM ${source}${whereClause}${groupByClause} LIMIT $_pageSize OFFSET $_offset`;
+          pagingMode = 'window';
+        } else if (isSearch) {
+          // Subquery rows cannot be paged without running (and sorting) the subquery again for
+          // every page, so they are fetched in a single request: matches best first.
+          statement = `SELECT ${selectClause} FROM ${source}${whereClause} ORDER BY ${alias}.${SEARCH_SCORE_FIELD} DESC LIMIT $_maxRows`;
+        } else if (isMultiCollection || isJoin || configParams.unnestField) {
+          // Combined, joined and unnested rows are fetched in a single request too.
+          statement = `SELECT ${selectClause} FROM ${source}${whereClause} LIMIT $_maxRows`;
+        } else {
+          // Documents are paged by keyset on the document key, which avoids rescanning skipped rows.
+          statement = _buildKeysetStatement(keyspacePath, collectionName, conditions, projection, includeMetadata);
+          pagingMode = 'keyset';
+        }
+
+        Logger.log('getData (%sMode): Retrieving documents. Statement: %s', configParams.configMode, statement);
+        const queryResults = pagingMode ?
+          _executePagedN1qlQuery(apiUrl, authHeader, statement, Object.assign({ namedParams: namedParams }, sharedQueryOptions), {
+            mode: pagingMode,
+            pageSize: pageSize,
+            maxRows: maxRows,
+            deadline: deadline
+          }) :
+          _executeN1qlQuery(apiUrl, authHeader, statement,
+            Object.assign({ namedParams: Object.assign({ _maxRows: maxRows }, namedParams) }, sharedQueryOptions));
+
+        if (queryResults === null) {
+            _throwUserError(`Failed to retrieve documents for getData (${configParams.configMode} mode). Check logs for query error details.`);
+        }
+        documents = queryResults;
+        Logger.log('getData (%sMode): Successfully retrieved %s documents.', configParams.configMode, documents.length);
+
+    } else if (configParams.configMode === 'keyLookup') {
+        const lookup = _parseKeyLookupConfig(configParams);
+        // Only the requested fields are read; synthetic latitude/longitude fields need their source fields.
+        let project = [];
+        (requestFields || []).forEach(field => {
+          const latLonFields = _getLatLonSourceFields(field.name, masterSchema);
+          if (latLonFields) {
+            project.push(latLonFields.lat, latLonFields.lon);
+          } else if (field.name !== DOCUMENT_KEY_FIELD) {
+            project.push(field.name);
+          }
+        });
+        project = project.filter((fieldName, index) => project.indexOf(fieldName) === index);
+
+        Logger.log('getData (keyLookupMode): Fetching %s documents from %s. Projection: %s', lookup.keys.length, lookup.collectionPath, JSON.stringify(project));
+        documents = _fetchDocumentsByKey(apiUrl, authHeader, lookup.collectionPath, lookup.keys, {
+          project: project,
+          cacheSeconds: sharedQueryOptions.cacheSeconds,
+          lastRefresh: sharedQueryOptions.lastRefresh,
+          deadline: deadline
+        });
+        Logger.log('getData (keyLookupMode): Successfully retrieved %s documents.', documents.length);
+
+    } else if (configParams.configMode === 'customQuery') {
+        if (!configParams.query || configParams.query.trim() === '') {
+            _throwUserError('Custom query must be specified in "Use Custom Query" mode.');
+        }
+        const dateRangeQuery = _applyDateRangePlaceholders(configParams.query.trim().replace(/;$/, ''), request.dateRange);
+        const queryParams = Object.assign(_buildQueryParameters(configParams.query, configParams), dateRangeQuery.namedParams);
+        let userQuery = dateRangeQuery.statement;
+        const maxRows = parseInt(configParams.maxRows, 10) > 0 ? parseInt(configParams.maxRows, 10) : null;
+        const queryOptions = Object.assign({ namedParams: queryParams, queryContext: configParams.queryContext }, sharedQueryOptions);
+        let queryResults;
+        if (_hasTopLevelOrderBy(userQuery)) {
+          // Ordered queries are paged in OFFSET/LIMIT windows over the query used as a subquery.
+          const statement = `SELECT RAW _page FROM (${userQuery}) AS _page LIMIT $_pageSize OFFSET $_offset`;
+          Logger.log('getData (customQueryMode): Executing custom query: %s', statement);
+          queryResults = _executePagedN1qlQuery(apiUrl, authHeader, statement, queryOptions, {
+            mode: 'window',
+            pageSize: pageSize,
+            maxRows: maxRows,
+            deadline: deadline
           });
-          return fields;
+        } else {
+          // Without an ORDER BY the row order may change between requests, so windows could
+          // repeat or skip rows; the query runs in a single request instead.
+          const statement = maxRows === null ? userQuery : `SELECT RAW _page FROM (${userQuery}) AS _page LIMIT $_maxRows`;
+          Logger.log('getData (customQueryMode): Executing custom query: %s', statement);
+          queryResults = _executeN1qlQuery(apiUrl, authHeader, statement, Object.assign({}, queryOptions, {
+            namedParams: maxRows === null ? queryParams : Object.assign({ _maxRows: maxRows }, queryParams)
+          }));
         }
-        schemaFields = processFieldsForCustomQuery(documentForSchemaInference);
 
-        if (schemaFields.length === 0) {
-          Logger.log('Warning: Schema inference for custom query (fallback) resulted in zero fields.');
-          _throwUserError(
-            `Schema inference failed for the custom query. ` +
-            `Please verify:\n` +
-            `1. Your query returns data with recognizable field types\n` +
-            `2. The query result contains at least one document\n` +
-            `3. The document structure is not empty or contains only null values`
-          );
+        if (queryResults === null) {
+            _throwUserError('Failed to retrieve documents for custom query. Check logs for N1QL error details.');
         }
-        Logger.log('getSchema (customQuery Fallback): Final inferred schema: %s', JSON.stringify(schemaFields));
-        return { schema: schemaFields };
-      }
+        documents = queryResults;
+        Logger.log('getData (customQueryMode): Successfully retrieved %s documents.', documents.length);
     } else {
-      // Handle invalid or unspecified configuration mode.
-      _throwUserError('Invalid configuration mode for schema inference.');
+      _throwUserError('Invalid configuration mode specified for getData.');
     }
 
+    const requestedFieldsObject = _getRequestedFields(requestFields, masterSchema);
+    const schemaForResponse = requestedFieldsObject.build();
+
+    // Aggregated and projected rows are keyed by the full field name; whole documents are nested objects.
+    const getFieldValue = (doc, fieldName) =>
+      Object.prototype.hasOwnProperty.call(doc, fieldName) ? doc[fieldName] : _getNestedValue(doc, fieldName);
+
+    // Transform retrieved documents into Looker Studio row format.
+    const rows = documents.map(doc => {
+      const values = [];
+      schemaForResponse.forEach(fieldDefinition => {
+        const fieldName = fieldDefinition.name;
+        // Built fields carry date types as the semantic type of a STRING field.
+        const semanticType = fieldDefinition.semantics ? fieldDefinition.semantics.semanticType : null;
+        const lookerDataType = (semanticType === 'YEAR_MONTH_DAY' || semanticType === 'YEAR_MONTH_DAY_SECOND') ?
+          semanticType : fieldDefinition.dataType;
+
+        let value = getFieldValue(doc, fieldName);
+        const latLonFields = (value === null || value === undefined) ? _getLatLonSourceFields(fieldName, masterSchema) : null;
+        if (latLonFields) {
+          const lat = getFieldValue(doc, latLonFields.lat);
+          const lon = getFieldValue(doc, latLonFields.lon);
+          value = (typeof lat === 'number' && typeof lon === 'number') ? `${lat},${lon}` : null;
+        }
+        let formattedValue = null;
+
+        if (value !== null && value !== undefined) {
+          switch (lookerDataType) {
+            case 'NUMBER':
+              formattedValue = Number(value);
+              if (isNaN(formattedValue)) formattedValue = null;
+              break;
+            case 'BOOLEAN':
+              if (typeof value === 'string') {
+                const lower = value.toLowerCase();
+                formattedValue = lower === 'true' ? true : (lower === 'false' ? false : null);
+              } else {
+                formattedValue = Boolean(value);
+              }
+              break;
+            case 'URL':
+                 formattedValue = String(value);
+                 break;
+            case 'YEAR_MONTH_DAY':
+            case 'YEAR_MONTH_DAY_SECOND':
+              formattedValue = _formatDateValue(value, lookerDataType);
+              break;
+            case 'STRING':
+            default:
+              formattedValue = (typeof value === 'object') ? JSON.stringify(value) : String(value);
+              break;
+          }
+        } else {
+          formattedValue = null;
+        }
+        values.push(formattedValue);
+      });
+      return { values };
+    });
+
+    Logger.log('getData: Final rows sample (first %s): %s', Math.min(3, rows.length), JSON.stringify(rows.slice(0, 3)));
+
+    return {
+      schema: schemaForResponse,
+      rows: rows,
+      filtersApplied: filtersApplied
+    };
   } catch (e) {
-    // Catch-all for errors during schema retrieval.
-    Logger.log('Error in getSchema: %s. Stack: %s', e.message, e.stack);
+    Logger.log('Error in getData: %s. Stack: %s', e.message, e.stack);
+    const errorMessage = typeof e.getText === 'function' ? e.getText() : e.message;
     
     // Check if this is a user error that should be displayed to the user
     if (e.isUserError || e.name === 'UserError') {
@@ -1042,212 +4018,898 @@ function getSchema(request) {
       DataStudioApp.createCommunityConnector()
         .newUserError()
         .setText(e.message)
+        .setDebugText(e.debugText || '')
         .throwException();
     }
     
     // For genuine system errors, wrap with context
     DataStudioApp.createCommunityConnector()
       .newUserError()
-      .setText(`Error inferring schema: ${e.message || e.toString()}`)
+      .setText(`Error retrieving data: ${errorMessage}`)
       .throwException();
   }
 }
 
+
+// ==========================================================================
+// ===                              CACHING                               ===
+// ==========================================================================
+
+/**
+ * @private
+ * Parses a cache duration configuration value, in seconds. Blank or invalid values use the
+ * default; 0 disables caching. Durations are capped at CacheService's 6-hour maximum.
+ *
+ * @param {string|number|undefined} rawValue The configured duration.
+ * @param {number} defaultSeconds The duration to use when none is configured.
+ * @return {number} The cache duration in seconds (0 if caching is disabled).
+ */
+function _getCacheSeconds(rawValue, defaultSeconds) {
+  const seconds = parseInt(rawValue, 10);
+  if (isNaN(seconds) || seconds < 0) {
+    return defaultSeconds;
+  }
+  return Math.min(seconds, MAX_CACHE_SECONDS);
+}
+
+/**
+ * @private
+ * Builds the cache key for the schema of a data source: a hash of the stored credentials path
+ * and username, the current schema cache generation (see `_invalidateSchemaCache`) and the
+ * configuration parameters, so any change to the configuration yields a fresh schema.
+ *
+ * @param {Object} configParams The configuration parameters of the data source.
+ * @return {string|null} The cache key, or null if no credentials are stored.
+ */
+function _getSchemaCacheKey(configParams) {
+  const userProperties = PropertiesService.getUserProperties();
+  const path = userProperties.getProperty('dscc.path');
+  const username = userProperties.getProperty('dscc.username');
+  if (!path || !username) {
+    return null;
+  }
+
+  const generation = userProperties.getProperty('dscc.schemaCacheGeneration') || '0';
+  const sortedParams = {};
+  Object.keys(configParams).sort().forEach(key => {
+    sortedParams[key] = configParams[key];
+  });
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256,
+    [path, username, generation, JSON.stringify(sortedParams)].join('|'), Utilities.Charset.UTF_8);
+  return 'schema_' + Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * @private
+ * Builds the cache key for the `INFER` results of a collection, shared by `getSchema` and the
+ * configuration's field selects. Like schemas, the entries are invalidated with the credentials.
+ *
+ * @param {string} collectionPath The collection, as "bucket.scope.collection".
+ * @return {string|null} The cache key, or null if no credentials are stored.
+ */
+function _getInferCacheKey(collectionPath) {
+  return _getSchemaCacheKey({ inferCollection: collectionPath });
+}
+
+/**
+ * @private
+ * Builds the cache key for the results of a query: a hash of the cluster URL, the credentials,
+ * the query payload (statement and named parameters) and Looker Studio's last refresh time.
+ *
+ * @param {string} apiUrl The base API URL for the Couchbase cluster.
+ * @param {string} authHeader The Basic authentication header string.
+ * @param {Object} payload The query request payload.
+ * @param {string=} lastRefresh Looker Studio's `scriptParams.lastRefresh`, if any.
+ * @return {string} The cache key.
+ */
+function _getResultCacheKey(apiUrl, authHeader, payload, lastRefresh) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256,
+    [apiUrl, authHeader, JSON.stringify(payload), lastRefresh || ''].join('|'), Utilities.Charset.UTF_8);
+  return 'result_' + Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * @private
+ * Derives the name a statement is prepared under from a hash of the statement and its query
+ * context, so identical statements share one prepared statement.
+ *
+ * @param {string} statement The N1QL statement.
+ * @param {string=} queryContext The `query_context` request parameter, if any.
+ * @return {string} The prepared statement name, e.g., "lsc_3f9a...".
+ */
+function _getPreparedStatementName(statement, queryContext) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256,
+    [statement, queryContext || ''].join('|'), Utilities.Charset.UTF_8);
+  return PREPARED_STATEMENT_PREFIX + digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @private
+ * Builds the cache key remembering that a statement has been prepared on a cluster: a hash of
+ * the Query service URL, the credentials and the prepared statement name.
+ *
+ * @param {string} queryServiceUrl The Query service endpoint.
+ * @param {string} authHeader The Basic authentication header string.
+ * @param {string} preparedName The prepared statement name.
+ * @return {string} The cache key.
+ */
+function _getPreparedStatementCacheKey(queryServiceUrl, authHeader, preparedName) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256,
+    [queryServiceUrl, authHeader, preparedName].join('|'), Utilities.Charset.UTF_8);
+  return 'prepared_' + Utilities.base64EncodeWebSafe(digest);
+}
+
+/**
+ * @private
+ * Reads a value stored by `_writeCachedValue` from the user cache.
+ *
+ * @param {string} cacheKey The cache key.
+ * @return {*} The cached value, or null on a cache miss (including a missing chunk) or error.
+ */
+function _readCachedValue(cacheKey) {
+  try {
+    const cache = CacheService.getUserCache();
+    const manifest = cache.get(cacheKey);
+    if (!manifest) {
+      return null;
+    }
+    const chunkKeys = [];
+    for (let i = 0; i < JSON.parse(manifest).chunks; i++) {
+      chunkKeys.push(`${cacheKey}_${i}`);
+    }
+    const chunks = cache.getAll(chunkKeys);
+    if (chunkKeys.some(key => chunks[key] === undefined || chunks[key] === null)) {
+      Logger.log('_readCachedValue: Cache entry %s is incomplete.', cacheKey);
+      return null;
+    }
+    return JSON.parse(chunkKeys.map(key => chunks[key]).join(''));
+  } catch (e) {
+    Logger.log('_readCachedValue: Ignoring unreadable cache entry: %s', e.toString());
+    return null;
+  }
+}
+
+/**
+ * @private
+ * Stores a value in the user cache as JSON, split into chunks of `CACHE_CHUNK_SIZE` characters
+ * to fit CacheService's 100KB value limit, plus a manifest entry under the key itself.
+ * Values above `MAX_CACHE_CHUNKS` chunks and failures are logged and otherwise ignored.
+ *
+ * @param {string} cacheKey The cache key.
+ * @param {*} value The value to cache.
+ * @param {number} cacheSeconds How long to keep the entry, in seconds.
+ */
+function _writeCachedValue(cacheKey, value, cacheSeconds) {
+  try {
+    const json = JSON.stringify(value);
+    const chunkCount = Math.max(1, Math.ceil(json.length / CACHE_CHUNK_SIZE));
+    if (chunkCount > MAX_CACHE_CHUNKS) {
+      Logger.log('_writeCachedValue: Value of %s characters is too large to cache.', json.length);
+      return;
+    }
+    const entries = {};
+    for (let i = 0; i < chunkCount; i++) {
+      entries[`${cacheKey}_${i}`] = json.substring(i * CACHE_CHUNK_SIZE, (i + 1) * CACHE_CHUNK_SIZE);
+    }
+    entries[cacheKey] = JSON.stringify({ chunks: chunkCount });
+    CacheService.getUserCache().putAll(entries, cacheSeconds);
+    Logger.log('_writeCachedValue: Cached %s characters in %s chunks for %s seconds.', json.length, chunkCount, cacheSeconds);
+  } catch (e) {
+    Logger.log('_writeCachedValue: Could not cache value: %s', e.toString());
+  }
+}
+
+/**
+ * @private
+ * Invalidates every cached schema of the current user by starting a new cache generation,
+ * which is part of each schema cache key. Called whenever the credentials change.
+ */
+function _invalidateSchemaCache() {
+  PropertiesService.getUserProperties().setProperty('dscc.schemaCacheGeneration', String(Date.now()));
+  Logger.log('_invalidateSchemaCache: Started a new schema cache generation.');
+}
+
+
+// ==========================================================================
+// ===                          QUERY BUILDING                            ===
+// ==========================================================================
+
+/**
+ * @private
+ * Escapes a name as a backticked N1QL identifier (e.g., a keyspace, field or alias name).
+ *
+ * @param {string} name The raw identifier.
+ * @return {string} The escaped identifier, e.g., "`geo.lat`".
+ */
+function _quoteIdentifier(name) {
+  return '`' + String(name).replace(/`/g, '``') + '`';
+}
+
+/**
+ * @private
+ * Builds a backticked N1QL path expression for a (possibly nested) schema field name.
+ * If the document metadata is included, the `METADATA_FIELDS` resolve to their META()
+ * expressions; otherwise a field such as `_meta_id` is an ordinary document field.
+ *
+ * @param {string|null} alias The keyspace alias to qualify the path with, or null for an unqualified path.
+ * @param {string} fieldName The dot-separated schema field name, e.g., "geo.lat".
+ * @param {boolean=} includeMetadata Whether the metadata fields are part of the data source
+ * (see `_isMetadataIncluded`); the alias must then be the collection's keyspace alias.
+ * @return {string} The N1QL path expression, e.g., "`airline`.`geo`.`lat`".
+ */
+function _buildFieldPath(alias, fieldName, includeMetadata) {
+  const metadataField = includeMetadata && alias ? METADATA_FIELDS.find(field => field.name === fieldName) : null;
+  if (metadataField) {
+    return metadataField.expression(alias);
+  }
+  const escapedParts = fieldName.split('.').map(_quoteIdentifier);
+  return alias ? `${alias}.${escapedParts.join('.')}` : escapedParts.join('.');
+}
+
+/**
+ * @private
+ * Splits a dotted keyspace path into its components. Bucket names may contain dots, so a
+ * component can be backticked (e.g., "`my.bucket`.inventory"), with embedded backticks doubled.
+ *
+ * @param {string} path The path, e.g., "travel-sample.inventory".
+ * @return {Array<string>|null} The unquoted components, or null if the path is malformed
+ *     (empty component, unterminated backtick).
+ */
+function _parseKeyspacePath(path) {
+  const componentPattern = /(?:`((?:[^`]|``)*)`|([^.`]+))(\.|$)/y;
+  const trimmedPath = String(path || '').trim();
+  const parts = [];
+  let index = 0;
+  while (index < trimmedPath.length) {
+    componentPattern.lastIndex = index;
+    const match = componentPattern.exec(trimmedPath);
+    if (!match || (match[3] === '.' && componentPattern.lastIndex === trimmedPath.length)) {
+      return null;
+    }
+    parts.push(match[1] !== undefined ? match[1].replace(/``/g, '`') : match[2]);
+    index = componentPattern.lastIndex;
+  }
+  return parts.length > 0 ? parts : null;
+}
+
+/**
+ * @private
+ * Joins keyspace path components with dots, backticking those containing a dot or backtick so
+ * that `_parseKeyspacePath` splits the result back into the same components.
+ *
+ * @param {Array<string>} parts The components, e.g., ["my.bucket", "inventory"].
+ * @return {string} The path, e.g., "`my.bucket`.inventory".
+ */
+function _formatKeyspacePath(parts) {
+  return parts.map(part => /[.`]/.test(part) ? _quoteIdentifier(part) : part).join('.');
+}
+
+/**
+ * @private
+ * Builds the `query_context` request parameter for a default bucket and scope, against which
+ * the Query service resolves keyspaces named without a bucket and scope (e.g., `FROM airline`).
+ *
+ * @param {string} bucketScope The default bucket and scope, as "bucket.scope" (see `_parseKeyspacePath`).
+ * @return {string} The query context, e.g., "default:`travel-sample`.`inventory`".
+ * @throws {UserError} If the value is not a bucket and scope.
+ */
+function _buildQueryContext(bucketScope) {
+  const parts = _parseKeyspacePath(bucketScope);
+  if (!parts || parts.length !== 2) {
+    _throwUserError('Invalid default bucket/scope. Format: bucket.scope, with a bucket name containing dots in backticks (e.g., `my.bucket`.scope).');
+  }
+  return 'default:' + parts.map(_quoteIdentifier).join('.');
+}
+
+/**
+ * @private
+ * Converts the advanced options of the configuration into Query service request parameters.
+ * Options left empty are omitted, so the service defaults apply.
+ *
+ * @param {Object} configParams The user configuration.
+ * @return {Object} The request parameters, e.g., `{ scan_consistency: 'request_plus', timeout: '120s' }`.
+ * @throws {UserError} If an option has an invalid value.
+ */
+function _getQueryTuningParams(configParams) {
+  const tuningParams = {};
+  if (configParams.scanConsistency) {
+    if (SCAN_CONSISTENCY_LEVELS.indexOf(configParams.scanConsistency) === -1) {
+      _throwUserError(`Invalid scan consistency "${configParams.scanConsistency}". Use one of: ${SCAN_CONSISTENCY_LEVELS.join(', ')}.`);
+    }
+    tuningParams.scan_consistency = configParams.scanConsistency;
+  }
+
+  const positiveIntegerOptions = [
+    { id: 'queryTimeoutSeconds', name: 'Query Timeout', param: 'timeout', format: value => `${value}s` },
+    { id: 'maxParallelism', name: 'Max Parallelism', param: 'max_parallelism', format: value => value },
+    { id: 'pipelineBatch', name: 'Pipeline Batch', param: 'pipeline_batch', format: value => value }
+  ];
+  positiveIntegerOptions.forEach(option => {
+    const rawValue = configParams[option.id] === undefined || configParams[option.id] === null ? '' : String(configParams[option.id]).trim();
+    if (rawValue === '') {
+      return;
+    }
+    if (!/^\d+$/.test(rawValue) || parseInt(rawValue, 10) <= 0) {
+      _throwUserError(`${option.name} must be a positive whole number.`);
+    }
+    tuningParams[option.param] = option.format(parseInt(rawValue, 10));
+  });
+  return tuningParams;
+}
+
+/**
+ * @private
+ * Builds the statement that pages through a collection by keyset on the document key (see
+ * `_executePagedN1qlQuery`), as `getData` runs it for row-level data and the query plan check
+ * in `getConfig` explains it.
+ *
+ * @param {string} keyspacePath The backticked keyspace, e.g., "`travel-sample`.`inventory`.`route`".
+ * @param {string} collectionName The backticked collection name, which is also the keyspace alias.
+ * @param {Array<string>} conditions WHERE conditions on the documents, e.g., the dimension filters.
+ * @param {string|null} projection The projection clause (see `_buildProjectionClause`), or null for whole documents.
+ * @param {boolean} includeMetadata Whether whole documents carry the `METADATA_FIELDS`.
+ * @return {string} The statement, referencing the `$_cursor` and `$_pageSize` paging parameters.
+ */
+function _buildKeysetStatement(keyspacePath, collectionName, conditions, projection, includeMetadata) {
+  const keysetCondition = `META(${collectionName}).id > $_cursor`;
+  let documentClause = `${collectionName}.*`;
+  if (includeMetadata) {
+    documentClause += ', ' + METADATA_FIELDS.map(field => `${field.expression(collectionName)} AS ${_quoteIdentifier(field.name)}`).join(', ');
+  }
+  return `SELECT META(${collectionName}).id AS ${KEYSET_CURSOR_FIELD}, ${projection || documentClause} FROM ${keyspacePath} ` +
+    `WHERE ${conditions.concat(keysetCondition).join(' AND ')} ORDER BY META(${collectionName}).id LIMIT $_pageSize`;
+}
+
+/**
+ * @private
+ * Builds the UNNEST subquery for an array field: one row per array element, each row being
+ * the parent document with the array replaced by that element. Element properties keep the
+ * array's path (e.g., "schedule.day"), so filters, aggregations and the date range build
+ * their paths against the subquery alias exactly as for documents.
+ *
+ * @param {string} keyspacePath The backticked keyspace, e.g., "`travel-sample`.`inventory`.`route`".
+ * @param {string} alias The backticked keyspace alias, e.g., "`route`".
+ * @param {string} arrayField The dot-separated path of the array field, e.g., "schedule".
+ * @return {string} The subquery statement.
+ */
+function _buildUnnestSubquery(keyspacePath, alias, arrayField) {
+  const pathParts = arrayField.split('.');
+  // Replace the array one level at a time: OBJECT_PUT(doc, "a", OBJECT_PUT(doc.a, "b", _item)).
+  let rowExpression = '_item';
+  for (let i = pathParts.length - 1; i >= 0; i--) {
+    const parentPath = i > 0 ? _buildFieldPath(alias, pathParts.slice(0, i).join('.')) : alias;
+    rowExpression = `OBJECT_PUT(${parentPath}, ${JSON.stringify(pathParts[i])}, ${rowExpression})`;
+  }
+  return `SELECT RAW ${rowExpression} ` +
+    `FROM ${keyspacePath} AS ${alias} UNNEST ${_buildFieldPath(alias, arrayField)} AS _item`;
+}
+
 /**
  * @private
- * Retrieves a value from a nested object or array using a dot-separated path string.
- * Handles paths that may include array indices (though the current implementation
- * in the source treats numeric path parts as keys if the current context is an array).
+ * Builds the subquery combining several collections with UNION ALL. Each row is a document with
+ * a `_source_collection` field naming its collection ("bucket.scope.collection").
  *
- * @param {Object|Array} obj The object or array from which to retrieve the value.
- * @param {string} pathString The dot-separated path to the desired value (e.g., "user.address.street", "items.0.name").
- * @return {*} The value at the specified path, or `null` if the path is invalid or the value is not found.
+ * @param {Array<string>} collectionPaths The collection paths, e.g., ['sales.eu.orders', 'sales.us.orders'].
+ * @return {string} The subquery statement.
  */
-function _getNestedValue(obj, pathString) {
-  // Normalize path for array indexing (e.g., "items[0]" to "items.0") although source uses direct numeric keys for arrays.
-  const parts = pathString.replace(/[\[(\d+)\]]/g, '.$1').split('.');
-  let current = obj; // Start with the root object.
-
-  for (let i = 0; i < parts.length; i++) {
-    if (current === null || current === undefined) return null; // Path is invalid if current becomes null/undefined.
-
-    const key = parts[i];
-    // Check if the key is a number and current context is an array (basic array indexing attempt).
-    if (!isNaN(key) && Array.isArray(current)) {
-      const index = parseInt(key, 10);
-      current = index < current.length ? current[index] : null; // Access array element or null if out of bounds.
-    } else if (typeof current === 'object' && current !== null) { // If current is an object, access property by key.
-      current = current[key]; // Access property using the key.
-    } else {
-      // If current is not an object/array or key doesn't fit, path is invalid.
-      return null;
-    }
-  }
-  return current; // Return the final value found at the end of the path.
+function _buildUnionSubquery(collectionPaths) {
+  return collectionPaths.map(collectionPath => {
+    const keyspacePath = collectionPath.split('.').map(_quoteIdentifier).join('.');
+    const collectionLiteral = JSON.stringify(collectionPath);
+    return `SELECT RAW OBJECT_PUT(_doc, "${SOURCE_COLLECTION_FIELD}", ${collectionLiteral}) ` +
+      `FROM ${keyspacePath} AS _doc`;
+  }).join(' UNION ALL ');
 }
 
+/**
+ * @private
+ * Builds the subquery joining two collections with an ANSI JOIN on the selected join fields, or
+ * with `ON KEYS` when the right join field is the document key. Each row holds the joined
+ * documents under their aliases (e.g., `{ airline: {...}, route: {...} }`), matching the prefixed
+ * schema field names.
+ *
+ * @param {Object} join The join settings returned by `_parseJoinConfig`.
+ * @return {string} The subquery statement.
+ */
+function _buildJoinSubquery(join) {
+  const leftKeyspace = join.leftPath.split('.').map(_quoteIdentifier).join('.');
+  const rightKeyspace = join.rightPath.split('.').map(_quoteIdentifier).join('.');
+  const leftAlias = _quoteIdentifier(join.leftAlias);
+  const rightAlias = _quoteIdentifier(join.rightAlias);
+  const joinKeyword = join.joinType === 'left' ? 'LEFT OUTER JOIN' : 'INNER JOIN';
+  const leftKeyPath = _buildFieldPath(leftAlias, join.leftKey);
+  const onClause = join.rightKey === JOIN_DOCUMENT_KEY ?
+    `ON KEYS ${leftKeyPath}` : `ON ${_buildFieldPath(rightAlias, join.rightKey)} = ${leftKeyPath}`;
+  return `SELECT ${leftAlias}, ${rightAlias} ` +
+    `FROM ${leftKeyspace} AS ${leftAlias} ${joinKeyword} ${rightKeyspace} AS ${rightAlias} ${onClause}`;
+}
 
 /**
- * Returns the data for the given request. This function is called by Looker Studio
- * to fetch the actual data rows based on the user's configuration and the
- * fields requested in the report.
+ * @private
+ * Builds the subquery returning the documents that match the search query in a Full Text Search
+ * index, using the N1QL `SEARCH()` function. Each row is a document with a `_search_score` field
+ * holding its `SEARCH_SCORE()`. The search query (a query string, or a Search request object
+ * for vector searches) is bound to the `$_searchQuery` parameter.
  *
- * It first obtains the master schema (by calling `getSchema` internally, though the
- * provided code implies `getSchema` is called by Looker Studio and its result is available).
- * Then, it determines which fields are requested by Looker Studio for this specific
- * `getData` call using `_getRequestedFields`.
+ * @param {Object} search The search settings returned by `_parseSearchConfig` or `_parseVectorSearchConfig`.
+ * @return {string} The subquery statement.
+ */
+function _buildSearchSubquery(search) {
+  const keyspacePath = search.collectionPath.split('.').map(_quoteIdentifier).join('.');
+  const indexOptions = JSON.stringify({ index: search.indexName });
+  return `SELECT RAW OBJECT_PUT(_doc, "${SEARCH_SCORE_FIELD}", SEARCH_SCORE()) ` +
+    `FROM ${keyspacePath} AS _doc WHERE SEARCH(_doc, $_searchQuery, ${indexOptions})`;
+}
+
+/**
+ * @private
+ * Converts a filter value sent by Looker Studio (always a string) into the JSON type
+ * matching the field's schema data type, so comparisons in N1QL behave as expected.
  *
- * Based on `configMode`:
- * - 'collection': Constructs a `SELECT RAW collectionName ... LIMIT maxRows` query.
- * - 'customQuery': Executes the user-provided N1QL query.
+ * @param {string} rawValue The filter value as received in `request.dimensionsFilters`.
+ * @param {string} dataType The schema data type of the filtered field (e.g., "NUMBER").
+ * @return {*} The converted value, or `undefined` if the value cannot be represented in that type.
+ */
+function _coerceFilterValue(rawValue, dataType) {
+  if (dataType === 'YEAR_MONTH_DAY' || dataType === 'YEAR_MONTH_DAY_SECOND') {
+    return undefined; // Looker Studio's YYYYMMDD values do not compare with the stored format.
+  }
+  if (dataType === 'NUMBER') {
+    const numericValue = Number(rawValue);
+    return (rawValue === '' || isNaN(numericValue)) ? undefined : numericValue;
+  }
+  if (dataType === 'BOOLEAN') {
+    const lower = String(rawValue).toLowerCase();
+    return lower === 'true' ? true : (lower === 'false' ? false : undefined);
+  }
+  return String(rawValue);
+}
+
+/**
+ * @private
+ * Returns the names of the schema fields whose data type may differ from the JSON type stored
+ * in the documents: fields with a "dataType" override (e.g., a numeric zip turned into STRING),
+ * and postal codes, which `_applyGeoSemantics` turns from NUMBER into STRING. Filters on these
+ * fields compare converted values (see `_buildFilterCondition`).
  *
- * Finally, it transforms the retrieved documents into the row format expected by Looker Studio.
+ * @param {Array<Object>} masterSchema The data source schema.
+ * @param {Object} configParams The configuration parameters, holding the field overrides.
+ * @return {Array<string>} The field names.
+ */
+function _getRetypedFieldNames(masterSchema, configParams) {
+  const overrides = _parseFieldOverrides(configParams.fieldOverrides);
+  return masterSchema
+    .filter(field => (overrides[field.name] && overrides[field.name].dataType) || field.semantics.semanticType === 'POSTAL_CODE')
+    .map(field => field.name);
+}
+
+/**
+ * @private
+ * Translates a single Looker Studio dimension filter into a parameterized N1QL condition.
  *
- * @param {Object} request The request object from Looker Studio, containing `configParams`
- * and `fields` (the fields requested for this data fetch).
- * @return {Object} A data response object with `schema` (the schema for the requested fields)
- * and `rows` (an array of data rows).
- * @throws {UserError} If credentials are missing, configuration is invalid, or data
- * retrieval fails.
+ * @param {Object} filter A filter from `request.dimensionsFilters`, with `fieldName`, `values`,
+ * `type` (INCLUDE/EXCLUDE) and `operator`.
+ * @param {Object} fieldDefinition The schema definition of the filtered field.
+ * @param {string|null} alias The keyspace alias used in the statement.
+ * @param {function(*): string} bindParam Registers a parameter value and returns its `$name` placeholder.
+ * @param {boolean=} isRetyped Whether the stored values may have another JSON type than the schema
+ * data type (see `_getRetypedFieldNames`); they are then converted before being compared.
+ * @param {boolean=} includeMetadata Whether the document metadata fields are part of the data
+ * source (see `_buildFieldPath`).
+ * @return {string|null} The N1QL condition, or null if the filter cannot be pushed down.
  */
-function getData(request) {
-  Logger.log('getData request: %s', JSON.stringify(request));
-  try {
-    // Retrieve stored authentication credentials.
-    const userProperties = PropertiesService.getUserProperties();
-    const path = userProperties.getProperty('dscc.path');
-    const username = userProperties.getProperty('dscc.username');
-    const password = userProperties.getProperty('dscc.password');
+function _buildFilterCondition(filter, fieldDefinition, alias, bindParam, isRetyped, includeMetadata) {
+  if (fieldDefinition.semantics.semanticType === 'LATITUDE_LONGITUDE') {
+    return null; // Synthetic "lat,lon" values are built in getData and are not stored in documents.
+  }
+  const dataType = fieldDefinition.dataType;
+  const storedPath = _buildFieldPath(alias, filter.fieldName, includeMetadata);
+  const conversion = isRetyped ? FILTER_TYPE_CONVERSIONS[dataType] : null;
+  const fieldPath = conversion ? `${conversion}(${storedPath})` : storedPath;
+  const values = (filter.values || []).map(value => _coerceFilterValue(value, dataType));
+  const isExclude = filter.type === 'EXCLUDE';
+
+  if (filter.operator === 'IS_NULL') {
+    return isExclude ? `${fieldPath} IS VALUED` : `${fieldPath} IS NOT VALUED`;
+  }
+  if (values.length === 0 || values.some(value => value === undefined)) {
+    Logger.log('_buildFilterCondition: Values %s cannot be converted to %s for field %s.', JSON.stringify(filter.values), dataType, filter.fieldName);
+    return null;
+  }
 
-    if (!path || !username || !password) {
-      _throwUserError('Authentication credentials missing.');
-    }
+  let condition = null;
+  switch (filter.operator) {
+    case 'EQUALS':
+      condition = `${fieldPath} = ${bindParam(values[0])}`;
+      break;
+    case 'CONTAINS':
+      condition = `CONTAINS(TOSTRING(${fieldPath}), ${bindParam(String(values[0]))})`;
+      break;
+    case 'REGEXP_PARTIAL':
+      condition = `REGEXP_CONTAINS(TOSTRING(${fieldPath}), ${bindParam(String(values[0]))})`;
+      break;
+    case 'REGEXP_EXACT':
+      condition = `REGEXP_LIKE(TOSTRING(${fieldPath}), ${bindParam(String(values[0]))})`;
+      break;
+    case 'IN_LIST':
+      condition = `${fieldPath} IN ${bindParam(values)}`;
+      break;
+    case 'BETWEEN':
+      if (values.length < 2) return null;
+      condition = `${fieldPath} BETWEEN ${bindParam(values[0])} AND ${bindParam(values[1])}`;
+      break;
+    case 'NUMERIC_GREATER_THAN':
+      condition = `${fieldPath} > ${bindParam(values[0])}`;
+      break;
+    case 'NUMERIC_GREATER_THAN_OR_EQUAL':
+      condition = `${fieldPath} >= ${bindParam(values[0])}`;
+      break;
+    case 'NUMERIC_LESS_THAN':
+      condition = `${fieldPath} < ${bindParam(values[0])}`;
+      break;
+    case 'NUMERIC_LESS_THAN_OR_EQUAL':
+      condition = `${fieldPath} <= ${bindParam(values[0])}`;
+      break;
+    default:
+      Logger.log('_buildFilterCondition: Unsupported filter operator %s for field %s.', filter.operator, filter.fieldName);
+      return null;
+  }
 
-    const configParams = request.configParams || {}; // User configuration.
-    const apiUrl = _constructApiUrl(path); // Base API URL.
+  // Looker Studio keeps rows with a null value when excluding a match, so NOT alone
+  // (which evaluates to NULL/MISSING for absent fields) would drop too many rows.
+  return isExclude ? `(NOT (${condition}) OR ${fieldPath} IS NOT VALUED)` : condition;
+}
 
-    // Obtain the master schema definition. This defines all possible fields.
-    const masterSchema = getSchema(request).schema;
-    if (!masterSchema || masterSchema.length === 0) {
-        _throwUserError('Failed to obtain a valid master schema for getData.');
-    }
-    Logger.log('getData: Obtained masterSchema with %s fields.', masterSchema.length);
+/**
+ * @private
+ * Translates Looker Studio's `dimensionsFilters` (an AND of OR-groups) into a parameterized
+ * N1QL WHERE clause. Each OR-group is pushed down only if every filter in it can be translated;
+ * untranslatable groups are left for Looker Studio to apply on the returned rows.
+ *
+ * @param {Array<Array<Object>>} dimensionsFilters The `request.dimensionsFilters` array, if any.
+ * @param {Array<Object>} masterSchema The data source schema, used to type filter values.
+ * @param {string|null} alias The keyspace alias used in the statement.
+ * @param {Array<string>=} retypedFieldNames Fields whose stored values are converted to the schema
+ * data type before being compared (see `_getRetypedFieldNames`).
+ * @param {boolean=} includeMetadata Whether the document metadata fields are part of the data
+ * source (see `_buildFieldPath`).
+ * @return {{clause: string, namedParams: Object, allApplied: boolean}} The WHERE condition
+ * (without the WHERE keyword, empty if nothing was pushed down), the named parameters it
+ * references, and whether every filter group was pushed down.
+ */
+function _buildFilterClause(dimensionsFilters, masterSchema, alias, retypedFieldNames, includeMetadata) {
+  const namedParams = {};
+  const groupConditions = [];
+  let allApplied = true;
+  let paramIndex = 0;
+
+  const bindParam = value => {
+    const paramName = `_filter${paramIndex++}`;
+    namedParams[paramName] = value;
+    return '$' + paramName;
+  };
 
-    const requestedFieldsObject = _getRequestedFields(request.fields, masterSchema);
-    const schemaForResponse = requestedFieldsObject.build();
+  (dimensionsFilters || []).forEach(filterGroup => {
+    const groupParamNames = [];
+    const orConditions = [];
+    let groupApplied = true;
+
+    filterGroup.forEach(filter => {
+      const fieldDefinition = masterSchema.find(f => f.name === filter.fieldName);
+      if (!fieldDefinition) {
+        Logger.log('_buildFilterClause: Filter field %s not found in schema.', filter.fieldName);
+        groupApplied = false;
+        return;
+      }
+      const condition = _buildFilterCondition(filter, fieldDefinition, alias, value => {
+        const placeholder = bindParam(value);
+        groupParamNames.push(placeholder.substring(1));
+        return placeholder;
+      }, (retypedFieldNames || []).indexOf(filter.fieldName) !== -1, includeMetadata);
+      if (condition === null) {
+        groupApplied = false;
+      } else {
+        orConditions.push(condition);
+      }
+    });
 
-    let documents = []; // Array to store documents fetched from Couchbase.
-    const authHeader = 'Basic ' + Utilities.base64Encode(username + ':' + password); // Auth header.
+    if (!groupApplied) {
+      // Drop parameters bound for a group that is not pushed down.
+      groupParamNames.forEach(name => delete namedParams[name]);
+      allApplied = false;
+    } else if (orConditions.length > 0) {
+      groupConditions.push(orConditions.length > 1 ? `(${orConditions.join(' OR ')})` : orConditions[0]);
+    }
+  });
 
-    // Fetch documents based on configuration mode. (Order switched: collection first)
-    if (configParams.configMode === 'collection') {
-        if (!configParams.collection || configParams.collection.trim() === '') {
-            _throwUserError('Collection must be specified in "Query by Collection" mode.');
-        }
-        const collectionParts = configParams.collection.split('.');
-        if (collectionParts.length !== 3) {
-            _throwUserError('Invalid collection path. Format: bucket.scope.collection');
-        }
+  const clause = groupConditions.join(' AND ');
+  Logger.log('_buildFilterClause: Clause: %s, Parameters: %s, All applied: %s', clause, JSON.stringify(namedParams), allApplied);
+  return { clause: clause, namedParams: namedParams, allApplied: allApplied };
+}
 
-        const bucketName = `\`${collectionParts[0]}\``;
-        const scopeName = `\`${collectionParts[1]}\``;
-        const collectionName = `\`${collectionParts[2]}\``;
 
-        const maxRows = parseInt(configParams.maxRows, 10) || 100;
+/**
+ * @private
+ * Builds a SELECT list returning only the requested fields, each aliased to its schema field
+ * name (e.g., "`airline`.`geo`.`lat` AS `geo.lat`"), so rows carry just what the chart needs
+ * instead of whole documents. Synthetic LATITUDE_LONGITUDE fields select their latitude and
+ * longitude fields, which `getData` combines.
+ *
+ * @param {Array<Object>} requestFields The requested fields (`request.fields`) to return.
+ * @param {Array<Object>} masterSchema The data source schema.
+ * @param {string} alias The keyspace alias used in the statement.
+ * @param {boolean=} includeMetadata Whether the document metadata fields are part of the data
+ * source (see `_buildFieldPath`).
+ * @return {string|null} The SELECT list, or null if whole documents must be returned because no
+ * fields were requested or a field is not in the schema.
+ */
+function _buildProjectionClause(requestFields, masterSchema, alias, includeMetadata) {
+  if (!requestFields || requestFields.length === 0) {
+    return null;
+  }
+  const fieldNames = [];
+  for (let i = 0; i < requestFields.length; i++) {
+    const fieldName = requestFields[i].name;
+    if (!masterSchema.some(f => f.name === fieldName)) {
+      Logger.log('_buildProjectionClause: Field %s not found in schema, returning whole documents.', fieldName);
+      return null;
+    }
+    const latLonFields = _getLatLonSourceFields(fieldName, masterSchema);
+    (latLonFields ? [latLonFields.lat, latLonFields.lon] : [fieldName]).forEach(name => {
+      if (fieldNames.indexOf(name) === -1) {
+        fieldNames.push(name);
+      }
+    });
+  }
+  return fieldNames.map(name => `${_buildFieldPath(alias, name, includeMetadata)} AS ${_quoteIdentifier(name)}`).join(', ');
+}
 
-        const statement = `SELECT RAW ${collectionName} FROM ${bucketName}.${scopeName}.${collectionName} LIMIT ${maxRows}`;
+/**
+ * @private
+ * Builds the SELECT and GROUP BY clauses for pushing aggregation down to the Query Service.
+ * Aggregation is only pushed down when at least one NUMBER metric is requested and every
+ * metric's default aggregation is SUM, MIN or MAX (AUTO and unset default to SUM).
+ * Looker Studio re-aggregates the returned rows, e.g., when a chart groups them by a coarser
+ * date or by fewer dimensions; sums of sums, minimums of minimums and maximums of maximums
+ * still give the right result. AVG (an average of averages), COUNT, COUNT_DISTINCT and NONE
+ * would not, so requests containing them fall back to raw documents.
+ *
+ * @param {Array<Object>} requestFields The requested fields (`request.fields`) to return.
+ * @param {Array<Object>} masterSchema The data source schema.
+ * @param {string|null} alias The keyspace alias used in the statement.
+ * @param {boolean=} includeMetadata Whether the document metadata fields are part of the data
+ * source (see `_buildFieldPath`).
+ * @return {{selectClause: string, groupByClause: string}|null} The clauses (GROUP BY is empty for
+ * metric-only requests), or null if the request cannot be aggregated server-side.
+ */
+function _buildAggregationClauses(requestFields, masterSchema, alias, includeMetadata) {
+  const pushableAggregations = ['SUM', 'MIN', 'MAX'];
+  const selectExpressions = [];
+  const groupByExpressions = [];
+  let hasMetric = false;
+
+  for (let i = 0; i < (requestFields || []).length; i++) {
+    const fieldName = requestFields[i].name;
+    const fieldDefinition = masterSchema.find(f => f.name === fieldName);
+    if (!fieldDefinition) {
+      Logger.log('_buildAggregationClauses: Field %s not found in schema, not aggregating.', fieldName);
+      return null;
+    }
+    const latLonFields = _getLatLonSourceFields(fieldName, masterSchema);
+    // Synthetic LATITUDE_LONGITUDE fields group by the "lat,lon" string built from their pair.
+    const fieldPath = latLonFields ?
+      `TOSTRING(${_buildFieldPath(alias, latLonFields.lat)}) || "," || TOSTRING(${_buildFieldPath(alias, latLonFields.lon)})` :
+      _buildFieldPath(alias, fieldName, includeMetadata);
+    const fieldAlias = _quoteIdentifier(fieldName); // Alias results by the full schema field name.
+
+    if (fieldDefinition.semantics.conceptType === 'METRIC') {
+      let aggregation = fieldDefinition.defaultAggregationType || 'SUM';
+      if (aggregation === 'AUTO') aggregation = 'SUM';
+      if (fieldDefinition.dataType !== 'NUMBER' || !pushableAggregations.includes(aggregation)) {
+        Logger.log('_buildAggregationClauses: Metric %s (%s, %s) cannot be aggregated server-side.', fieldName, fieldDefinition.dataType, aggregation);
+        return null;
+      }
+      selectExpressions.push(`${aggregation}(${fieldPath}) AS ${fieldAlias}`);
+      hasMetric = true;
+    } else {
+      selectExpressions.push(`${fieldPath} AS ${fieldAlias}`);
+      groupByExpressions.push(fieldPath);
+    }
+  }
 
-        Logger.log('getData (collectionMode): Retrieving documents. Statement: %s', statement);
-        const queryResults = _executeN1qlQuery(apiUrl, authHeader, statement);
+  if (!hasMetric) {
+    return null;
+  }
+  return {
+    selectClause: selectExpressions.join(', '),
+    groupByClause: groupByExpressions.join(', ')
+  };
+}
 
-        if (queryResults === null) {
-            _throwUserError('Failed to retrieve documents for getData (collection mode). Check logs for query error details.');
-        }
-        documents = queryResults;
-        Logger.log('getData (collectionMode): Successfully retrieved %s documents.', documents.length);
+/**
+ * @private
+ * Converts a Looker Studio date range into epoch-millisecond bounds. Dates are interpreted
+ * as UTC days; the end bound is exclusive (midnight after `endDate`).
+ *
+ * @param {Object} dateRange The `request.dateRange` object, with `startDate` and `endDate`
+ * as "YYYY-MM-DD" strings.
+ * @return {{start: number, end: number}} The inclusive start and exclusive end, in epoch milliseconds.
+ */
+function _getDateRangeBounds(dateRange) {
+  const start = Date.parse(`${dateRange.startDate}T00:00:00Z`);
+  const end = Date.parse(`${dateRange.endDate}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+  if (isNaN(start) || isNaN(end)) {
+    _throwUserError(`Invalid date range: ${dateRange.startDate} - ${dateRange.endDate}`);
+  }
+  return { start: start, end: end };
+}
 
-    } else if (configParams.configMode === 'customQuery') {
-        if (!configParams.query || configParams.query.trim() === '') {
-            _throwUserError('Custom query must be specified in "Use Custom Query" mode.');
-        }
-        let userQuery = configParams.query.trim();
-        Logger.log('getData (customQueryMode): Executing custom query: %s', userQuery);
-        const queryResults = _executeN1qlQuery(apiUrl, authHeader, userQuery);
+/**
+ * @private
+ * Builds a parameterized N1QL condition restricting a timestamp field to a date range.
+ *
+ * @param {string} fieldPath The N1QL path expression of the timestamp field (see `_buildFieldPath`).
+ * @param {string} format How the field is stored: 'iso8601' (string), 'epochMillis' or 'epochSeconds'.
+ * @param {Object} dateRange The `request.dateRange` object.
+ * @return {{clause: string, namedParams: Object}} The condition and the named parameters it references.
+ */
+function _buildDateRangeCondition(fieldPath, format, dateRange) {
+  const bounds = _getDateRangeBounds(dateRange);
+  let fieldExpression = fieldPath;
+  let namedParams = { _dateRangeStart: bounds.start, _dateRangeEnd: bounds.end };
+
+  if (format === 'epochSeconds') {
+    namedParams = { _dateRangeStart: bounds.start / 1000, _dateRangeEnd: bounds.end / 1000 };
+  } else if (format !== 'epochMillis') {
+    // ISO-8601 strings are compared as instants so values with different UTC offsets sort correctly.
+    fieldExpression = `STR_TO_MILLIS(${fieldPath})`;
+  }
 
-        if (queryResults === null) {
-            _throwUserError('Failed to retrieve documents for custom query. Check logs for N1QL error details.');
-        }
-        documents = queryResults;
-        Logger.log('getData (customQueryMode): Successfully retrieved %s documents.', documents.length);
-    } else {
-      _throwUserError('Invalid configuration mode specified for getData.');
-    }
+  const clause = `${fieldExpression} >= $_dateRangeStart AND ${fieldExpression} < $_dateRangeEnd`;
+  Logger.log('_buildDateRangeCondition: Clause: %s, Parameters: %s', clause, JSON.stringify(namedParams));
+  return { clause: clause, namedParams: namedParams };
+}
 
-    // Transform retrieved documents into Looker Studio row format.
-    const rows = documents.map(doc => {
-      const values = [];
-      schemaForResponse.forEach(fieldDefinition => {
-        const fieldName = fieldDefinition.name;
-        const lookerDataType = fieldDefinition.dataType;
+/**
+ * @private
+ * Returns whether a custom query uses the `@DS_START_DATE` or `@DS_END_DATE` placeholders
+ * outside string literals and backticked identifiers.
+ *
+ * @param {string} statement The custom N1QL query.
+ * @return {boolean} True if the query filters by the report's date range.
+ */
+function _hasDateRangePlaceholders(statement) {
+  const withoutLiterals = statement.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`[^`]*`/g, '');
+  return /@DS_(START|END)_DATE\b/.test(withoutLiterals);
+}
 
-        let value = _getNestedValue(doc, fieldName);
-        let formattedValue = null;
+/**
+ * @private
+ * Replaces the `@DS_START_DATE` and `@DS_END_DATE` placeholders in a custom query with named
+ * parameters bound to the first and last day of the date range, as "YYYY-MM-DD" strings.
+ * Without a date range (e.g., when Looker Studio requests the schema), the last 28 days
+ * up to yesterday are used, matching Looker Studio's default range. Placeholders inside
+ * string literals and backticked identifiers are left unchanged.
+ *
+ * @param {string} statement The custom N1QL query.
+ * @param {Object|undefined} dateRange The `request.dateRange` object, if any.
+ * @return {{statement: string, namedParams: Object}} The statement with placeholders replaced
+ * and the named parameters it references (empty if the query has no placeholders).
+ */
+function _applyDateRangePlaceholders(statement, dateRange) {
+  const namedParams = {};
+  if (!_hasDateRangePlaceholders(statement)) {
+    return { statement: statement, namedParams: namedParams };
+  }
 
-        if (value !== null && value !== undefined) {
-          switch (lookerDataType) {
-            case 'NUMBER':
-              formattedValue = Number(value);
-              if (isNaN(formattedValue)) formattedValue = null;
-              break;
-            case 'BOOLEAN':
-              if (typeof value === 'string') {
-                const lower = value.toLowerCase();
-                formattedValue = lower === 'true' ? true : (lower === 'false' ? false : null);
-              } else {
-                formattedValue = Boolean(value);
-              }
-              break;
-            case 'URL':
-                 formattedValue = String(value);
-                 break;
-            case 'STRING':
-            default:
-              formattedValue = (typeof value === 'object') ? JSON.stringify(value) : String(value);
-              break;
-          }
-        } else {
-          formattedValue = null;
-        }
-        values.push(formattedValue);
-      });
-      return { values };
-    });
+  let range = dateRange;
+  if (!range || !range.startDate || !range.endDate) {
+    const dayMillis = 24 * 60 * 60 * 1000;
+    const today = Date.parse(new Date().toISOString().substring(0, 10) + 'T00:00:00Z');
+    range = {
+      startDate: new Date(today - 28 * dayMillis).toISOString().substring(0, 10),
+      endDate: new Date(today - dayMillis).toISOString().substring(0, 10)
+    };
+  }
 
-    Logger.log('getData: Final rows sample (first %s): %s', Math.min(3, rows.length), JSON.stringify(rows.slice(0, 3)));
+  // Literals are matched first so placeholders inside them are kept as written.
+  const tokenPattern = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`[^`]*`|@DS_(START|END)_DATE\b/g;
+  const replaced = statement.replace(tokenPattern, (token, bound) => {
+    if (bound === 'START') {
+      namedParams._dsStartDate = range.startDate;
+      return '$_dsStartDate';
+    }
+    if (bound === 'END') {
+      namedParams._dsEndDate = range.endDate;
+      return '$_dsEndDate';
+    }
+    return token;
+  });
+  Logger.log('_applyDateRangePlaceholders: Bound date range placeholders: %s', JSON.stringify(namedParams));
+  return { statement: replaced, namedParams: namedParams };
+}
 
-    return {
-      schema: schemaForResponse,
-      rows: rows
-    };
-  } catch (e) {
-    Logger.log('Error in getData: %s. Stack: %s', e.message, e.stack);
-    const errorMessage = typeof e.getText === 'function' ? e.getText() : e.message;
-    
-    // Check if this is a user error that should be displayed to the user
-    if (e.isUserError || e.name === 'UserError') {
-      // Convert to Apps Script user error for proper display
-      DataStudioApp.createCommunityConnector()
-        .newUserError()
-        .setText(e.message)
-        .throwException();
+/**
+ * @private
+ * Lists the `$name` named-parameter placeholders used in a custom N1QL query, in order of
+ * first appearance. Placeholders inside string literals and backticked identifiers are
+ * ignored, as are names starting with an underscore, which the connector reserves for its
+ * own parameters (e.g., `$_pageSize`).
+ *
+ * @param {string} statement The custom N1QL query.
+ * @return {Array<string>} The parameter names, without the `$` prefix.
+ */
+function _extractQueryParameterNames(statement) {
+  const withoutLiterals = statement.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`[^`]*`/g, '');
+  const names = [];
+  const placeholderPattern = /\$([A-Za-z][A-Za-z0-9_]*)/g;
+  let match;
+  while ((match = placeholderPattern.exec(withoutLiterals)) !== null) {
+    if (names.indexOf(match[1]) === -1) {
+      names.push(match[1]);
     }
-    
-    // For genuine system errors, wrap with context
-    DataStudioApp.createCommunityConnector()
-      .newUserError()
-      .setText(`Error retrieving data: ${errorMessage}`)
-      .throwException();
   }
+  return names;
+}
+
+/**
+ * @private
+ * Converts a parameter value entered in the configuration into the JSON value sent to the
+ * Query Service, according to the type selected for it. Values are strings unless another
+ * type is selected, so numeric-looking codes (e.g., "00501", "12345") are never coerced.
+ *
+ * @param {string} paramName The parameter name, without the `$` prefix.
+ * @param {string} rawValue The value entered for the parameter.
+ * @param {string=} type 'string' (the default), 'number', 'boolean' or 'json'.
+ * @return {*} The value to bind.
+ * @throws {UserError} If the value is not of the selected type.
+ */
+function _parseQueryParameterValue(paramName, rawValue, type) {
+  const trimmed = String(rawValue).trim();
+  switch (type) {
+    case 'number':
+      // JSON number syntax: a value with leading zeros (e.g., a ZIP code) is rejected, not coerced.
+      if (!/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(trimmed)) {
+        _throwUserError(`The query parameter $${paramName} must be a number, e.g., 42 or -1.5 (got "${trimmed}"). Use the Text type for codes with leading zeros.`);
+      }
+      return Number(trimmed);
+    case 'boolean':
+      if (trimmed !== 'true' && trimmed !== 'false') {
+        _throwUserError(`The query parameter $${paramName} must be true or false (got "${trimmed}").`);
+      }
+      return trimmed === 'true';
+    case 'json':
+      try {
+        return JSON.parse(trimmed);
+      } catch (e) {
+        _throwUserError(`The query parameter $${paramName} must be valid JSON, e.g., ["FR", "DE"]: ${e.message}`);
+      }
+      break;
+    default:
+      return trimmed;
+  }
+}
+
+/**
+ * @private
+ * Builds the named parameters for the `$name` placeholders of a custom query from the
+ * `param_<name>` configuration values and their `paramType_<name>` types (see `getConfig`).
+ *
+ * @param {string} statement The custom N1QL query.
+ * @param {Object} configParams The configuration parameters, holding `param_<name>` values.
+ * @return {Object} The named parameters, keyed by name without the `$` prefix.
+ * @throws {UserError} If a placeholder has no configured value, or a value of the wrong type.
+ */
+function _buildQueryParameters(statement, configParams) {
+  const namedParams = {};
+  _extractQueryParameterNames(statement).forEach(paramName => {
+    const rawValue = configParams[`param_${paramName}`];
+    if (rawValue === undefined || rawValue === null || String(rawValue).trim() === '') {
+      _throwUserError(`A value is required for the query parameter $${paramName}.`);
+    }
+    namedParams[paramName] = _parseQueryParameterValue(paramName, rawValue, configParams[`paramType_${paramName}`]);
+  });
+  return namedParams;
 }
 
 